@@ -3,72 +3,598 @@
  * Handles all API calls and data processing for the frontend
  */
 
+/**
+ * Environment profiles, selected with data-api-env, the global config or ?apiEnv= (QA)
+ * Extra profiles (e.g. staging) can be added through window.VALETI_API_CONFIG.profiles
+ */
+const API_PROFILES = {
+    production: {
+        baseURL: 'https://valeti-444t.vercel.app/api'
+    },
+    local: {
+        baseURL: 'http://localhost:5000/api',
+        cache: { persist: false }
+    }
+};
+
+const DEFAULT_API_CONFIG = {
+    profile: 'production',
+    baseURL: API_PROFILES.production.baseURL,
+    timeout: 10000,
+    // GET requests are retried with exponential backoff on network errors, timeouts and 5xx
+    retry: {
+        retries: 2,
+        baseDelay: 400,
+        maxDelay: 4000
+    },
+    // Set server: true when the API sorts by ?sort=-price,createdAt so sorting spans all pages
+    sort: {
+        server: false,
+        param: 'sort'
+    },
+    endpoints: {
+        properties: '/properties',
+        propertyDetails: '/properties',
+        search: '/properties/search',
+        featured: '/properties/featured',
+        // Optional category taxonomy, e.g. '/categories' returning [{ slug, label, icon, synonyms, order }]
+        categories: null,
+        // Optional price stats, e.g. '/properties/stats' returning { minPrice, maxPrice, currency }
+        priceStats: null
+    },
+    // Response cache: fresh for ttl, served stale while revalidating until staleTTL
+    cache: {
+        ttl: 60 * 1000,
+        staleTTL: 5 * 60 * 1000,
+        persist: true,
+        storageKey: 'valeti:api-cache',
+        maxEntries: 30
+    }
+};
+
+// Captured at load time, currentScript is null once the script has run
+const apiScriptElement = typeof document !== 'undefined' ? document.currentScript : null;
+
+/**
+ * Resolve API configuration
+ * Later sources win: defaults, profile, window.VALETI_API_CONFIG, script tag attributes, query string
+ * @returns {object} - API configuration
+ */
+function resolveAPIConfig() {
+    const globalConfig = (typeof window !== 'undefined' && window.VALETI_API_CONFIG) || {};
+    const profiles = { ...API_PROFILES, ...(globalConfig.profiles || {}) };
+    const dataset = apiScriptElement ? apiScriptElement.dataset : {};
+    const query = typeof window !== 'undefined' && window.location
+        ? new URLSearchParams(window.location.search)
+        : new URLSearchParams();
+
+    // QA may only switch to a named profile or a local backend from the query string
+    const queryBase = query.get('apiBase');
+    const allowedQueryBase = queryBase && /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/.test(queryBase) ? queryBase : null;
+    if (queryBase && !allowedQueryBase) {
+        console.warn('Ignoring apiBase override, only local URLs are allowed:', queryBase);
+    }
+
+    const queryProfile = query.get('apiEnv');
+    const profileName = queryProfile || dataset.apiEnv || globalConfig.profile || DEFAULT_API_CONFIG.profile;
+    const profile = profiles[profileName] || {};
+    if (!profiles[profileName]) {
+        console.warn('Unknown API profile, using defaults:', profileName);
+    }
+
+    const sources = [profile, globalConfig];
+    const scriptTimeout = parseInt(dataset.apiTimeout, 10);
+
+    return {
+        profile: profiles[profileName] ? profileName : DEFAULT_API_CONFIG.profile,
+        baseURL: (allowedQueryBase || (queryProfile && profile.baseURL) || dataset.apiBase || globalConfig.baseURL || profile.baseURL || DEFAULT_API_CONFIG.baseURL).replace(/\/+$/, ''),
+        timeout: scriptTimeout > 0 ? scriptTimeout : (globalConfig.timeout || profile.timeout || DEFAULT_API_CONFIG.timeout),
+        retry: Object.assign({}, DEFAULT_API_CONFIG.retry, ...sources.map(source => source.retry || {})),
+        sort: Object.assign({}, DEFAULT_API_CONFIG.sort, ...sources.map(source => source.sort || {})),
+        endpoints: Object.assign({}, DEFAULT_API_CONFIG.endpoints, ...sources.map(source => source.endpoints || {})),
+        cache: Object.assign({}, DEFAULT_API_CONFIG.cache, ...sources.map(source => source.cache || {}))
+    };
+}
+
+/**
+ * Base class for API failures
+ * type lets the UI pick a message without inspecting the error class
+ */
+class APIError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'APIError';
+        this.type = 'unknown';
+        this.url = options.url || null;
+        this.status = options.status || null;
+        this.code = options.code || null;
+        this.cause = options.cause || null;
+    }
+}
+
+/** The request never reached the server (offline, DNS, CORS) */
+class NetworkError extends APIError {
+    constructor(message = 'Network request failed', options = {}) {
+        super(message, options);
+        this.name = 'NetworkError';
+        this.type = 'network';
+    }
+}
+
+/** The server did not respond within the configured timeout */
+class TimeoutError extends APIError {
+    constructor(message = 'Request timed out', options = {}) {
+        super(message, options);
+        this.name = 'TimeoutError';
+        this.type = 'timeout';
+    }
+}
+
+/** The server responded with a non-2xx status */
+class HTTPError extends APIError {
+    constructor(status, options = {}) {
+        super(`HTTP error! status: ${status}`, { ...options, status: status });
+        this.name = 'HTTPError';
+        this.type = 'http';
+    }
+}
+
+/** The response body was not the JSON shape we expect */
+class InvalidPayloadError extends APIError {
+    constructor(message = 'Invalid API response', options = {}) {
+        super(message, options);
+        this.name = 'InvalidPayloadError';
+        this.type = 'invalid-payload';
+    }
+}
+
+/** The server answered with success: false, keeping its own message and error code */
+class APIResponseError extends APIError {
+    constructor(message = 'The server could not complete the request', options = {}) {
+        super(message, options);
+        this.name = 'APIResponseError';
+        this.type = 'api';
+    }
+}
+
+/** The payload says the requested property does not exist */
+class NotFoundError extends APIError {
+    constructor(message = 'Property not found', options = {}) {
+        super(message, options);
+        this.name = 'NotFoundError';
+        this.type = 'not-found';
+    }
+}
+
+/** The caller cancelled the request, e.g. a newer search superseded it */
+class RequestCancelledError extends APIError {
+    constructor(message = 'Request cancelled', options = {}) {
+        super(message, options);
+        this.name = 'RequestCancelledError';
+        this.type = 'cancelled';
+    }
+}
+
+/**
+ * Get a user-facing message for a failed request
+ * @param {Error|object} failure - Thrown error or failed result ({ errorType, status })
+ * @param {string} fallback - Message used when the failure type is unknown
+ * @returns {string} - Message for showError
+ */
+function getAPIErrorMessage(failure, fallback = 'Something went wrong. Please try again.') {
+    const type = failure ? (failure.errorType || failure.type) : null;
+    const status = failure ? failure.status : null;
+
+    switch (type) {
+        case 'network':
+            return 'Unable to reach the server. Please check your connection and try again.';
+        case 'timeout':
+            return 'The server is taking too long to respond. Please try again in a moment.';
+        case 'http':
+            if (status === 404) return 'The requested listing could not be found.';
+            if (status >= 500) return 'Our property service is having trouble right now. Please try again later.';
+            return fallback;
+        case 'not-found':
+            return 'The requested listing could not be found.';
+        case 'api':
+            return (failure.errorType ? failure.error : failure.message) || fallback;
+        case 'invalid-payload':
+            return 'We received an unexpected response from the server. Please try again later.';
+        default:
+            return fallback;
+    }
+}
+
 class PropertyAPI {
-    constructor() {
-        this.baseURL = 'https://valeti-444t.vercel.app/api';
-        // this.baseURL = 'http://localhost:5000/api';
-        this.endpoints = {
-            properties: '/properties',
-            propertyDetails: '/properties',
-            search: '/properties/search',
-            featured: '/properties/featured'
-        };
+    constructor(config = resolveAPIConfig()) {
+        this.config = config;
+        this.baseURL = config.baseURL;
+        this.timeout = config.timeout;
+        this.retryOptions = { ...config.retry };
+        this.sortOptions = { ...config.sort };
+        this.filterSchema = window.searchFilterSchema;
+        this.normalizer = window.propertyNormalizer;
+        this.sorter = window.propertySorter;
+        this.endpoints = { ...config.endpoints };
+
+        this.cacheOptions = { ...config.cache };
+        this.cache = new Map();
+        this.inFlightRequests = new Map();
+        this.restoreCache();
+
+        // Dedicated endpoints that returned 404 and are skipped from then on
+        this.unavailableEndpoints = new Set();
     }
 
     /**
      * Generic API call method
      * @param {string} endpoint - API endpoint
      * @param {object} params - Query parameters
+     * @param {object} options - Request options ({ cache: false } bypasses the cache, signal cancels the call)
      * @returns {Promise} - API response
      */
-    async makeAPICall(endpoint, params = {}) {
+    async makeAPICall(endpoint, params = {}, options = {}) {
         try {
+            if (options.signal && options.signal.aborted) {
+                throw new RequestCancelledError();
+            }
+
             const url = new URL(`${this.baseURL}${endpoint}`);
             
-            // Add query parameters
-            Object.keys(params).forEach(key => {
+            // Add query parameters in a stable order so equal requests share a cache key
+            Object.keys(params).sort().forEach(key => {
                 if (params[key] !== null && params[key] !== undefined && params[key] !== '') {
                     url.searchParams.append(key, params[key]);
                 }
             });
 
-            const response = await fetch(url.toString(), {
+            const cacheKey = url.toString();
+            if (options.cache === false) {
+                return await this.withSignal(this.fetchAndCache(cacheKey), options.signal);
+            }
+
+            const entry = this.cache.get(cacheKey);
+            const age = entry ? Date.now() - entry.timestamp : Infinity;
+
+            if (age < this.cacheOptions.ttl) {
+                return entry.data;
+            }
+
+            if (age < this.cacheOptions.staleTTL) {
+                // Serve stale data now and refresh it in the background
+                this.fetchAndCache(cacheKey).catch(error => {
+                    console.warn('Background revalidation failed:', error);
+                });
+                return entry.data;
+            }
+
+            return await this.withSignal(this.fetchAndCache(cacheKey), options.signal);
+        } catch (error) {
+            if (!(error instanceof RequestCancelledError)) {
+                console.error('API call failed:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Reject when the caller's signal aborts
+     * The shared request keeps running so other callers and the cache still get the response
+     * @param {Promise} request - Shared request
+     * @param {AbortSignal} signal - Caller's abort signal
+     * @returns {Promise} - Request result, or RequestCancelledError on abort
+     */
+    withSignal(request, signal) {
+        if (!signal) return request;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(new RequestCancelledError());
+            signal.addEventListener('abort', onAbort, { once: true });
+
+            request.then(
+                data => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(data);
+                },
+                error => {
+                    signal.removeEventListener('abort', onAbort);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    /**
+     * Fetch a URL and store the response, sharing one request between concurrent callers
+     * @param {string} url - Full request URL
+     * @returns {Promise} - API response
+     */
+    fetchAndCache(url) {
+        if (this.inFlightRequests.has(url)) {
+            return this.inFlightRequests.get(url);
+        }
+
+        const request = (async () => {
+            const data = await this.fetchWithRetry(url);
+            this.cache.set(url, { data: data, timestamp: Date.now() });
+            this.persistCache();
+            return data;
+        })();
+
+        this.inFlightRequests.set(url, request);
+        request.then(
+            () => this.inFlightRequests.delete(url),
+            () => this.inFlightRequests.delete(url)
+        );
+
+        return request;
+    }
+
+    /**
+     * Fetch JSON, retrying network errors, timeouts and 5xx responses with exponential backoff
+     * Only used for GET requests, which are safe to repeat
+     * @param {string} url - Full request URL
+     * @returns {Promise} - Parsed JSON response
+     */
+    async fetchWithRetry(url) {
+        const { retries, baseDelay, maxDelay } = this.retryOptions;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetchJSON(url);
+            } catch (error) {
+                const retryable = error instanceof NetworkError ||
+                    error instanceof TimeoutError ||
+                    (error instanceof HTTPError && error.status >= 500);
+
+                if (!retryable || attempt >= retries) throw error;
+
+                // Exponential backoff with jitter: ~baseDelay, 2x, 4x ... capped at maxDelay
+                const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt)) * (0.75 + Math.random() * 0.5);
+                console.warn(`Retrying ${url} in ${Math.round(delay)}ms (${error.name})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Fetch a URL once and parse its JSON body
+     * @param {string} url - Full request URL
+     * @returns {Promise} - Parsed JSON response
+     */
+    async fetchJSON(url) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        let response;
+        try {
+            response = await fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
-                }
+                },
+                signal: controller.signal
             });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new TimeoutError(`Request timed out after ${this.timeout}ms`, { url: url, cause: error });
             }
+            throw new NetworkError(error.message, { url: url, cause: error });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        if (!response.ok) {
+            throw new HTTPError(response.status, { url: url });
+        }
 
+        try {
             const data = await response.json();
+            if (!data || typeof data !== 'object') {
+                throw new InvalidPayloadError('Response is not a JSON object', { url: url });
+            }
             return data;
         } catch (error) {
-            console.error('API call failed:', error);
-            throw error;
+            if (error instanceof APIError) throw error;
+            throw new InvalidPayloadError('Response is not valid JSON', { url: url, cause: error });
+        }
+    }
+
+    /**
+     * Build the failure result returned by the data methods
+     * @param {Error} error - Error thrown while loading
+     * @param {*} data - Empty data value for the caller
+     * @returns {object} - Failure result ({ success, data, error, errorType, status })
+     */
+    createErrorResult(error, data = []) {
+        return {
+            success: false,
+            data: data,
+            error: error.message,
+            errorType: error.type || 'unknown',
+            status: error.status || null,
+            code: error.code || null
+        };
+    }
+
+    /**
+     * Build the error for a payload that reports a failure
+     * Keeps the server message and error code; a not-found code or status becomes a NotFoundError
+     * @param {object} response - API response ({ success: false, error|message, code, status })
+     * @returns {APIError} - Error for createErrorResult
+     */
+    createPayloadError(response) {
+        if (!response || response.success !== false) {
+            return new InvalidPayloadError();
+        }
+
+        const details = response.error && typeof response.error === 'object' ? response.error : {};
+        const message = typeof response.error === 'string' ? response.error : response.message || details.message;
+        const code = response.code || response.errorCode || details.code || null;
+        const status = parseInt(response.status ?? response.statusCode ?? details.status, 10) || null;
+        const options = { code: code, status: status };
+
+        if (status === 404 || /not[_\s-]?found/i.test(code || '')) {
+            return new NotFoundError(message || undefined, options);
+        }
+
+        return new APIResponseError(message || undefined, options);
+    }
+
+    /**
+     * Call a dedicated endpoint, falling back to another endpoint when it responds 404
+     * @param {string} endpoint - Preferred endpoint
+     * @param {object} params - Query parameters for the preferred endpoint
+     * @param {function} fallback - Called when the endpoint is unavailable
+     * @param {object} options - Request options passed to makeAPICall
+     * @returns {Promise} - Result of the endpoint or the fallback
+     */
+    async callWithFallback(endpoint, params, fallback, options = {}) {
+        if (this.unavailableEndpoints.has(endpoint)) {
+            return fallback();
+        }
+
+        try {
+            return await this.makeAPICall(endpoint, params, options);
+        } catch (error) {
+            if (!(error instanceof HTTPError) || error.status !== 404) throw error;
+
+            console.warn(`Endpoint ${endpoint} not available, falling back`);
+            this.unavailableEndpoints.add(endpoint);
+            return fallback();
+        }
+    }
+
+    /**
+     * Remove cached responses
+     * @param {string} endpoint - Only clear entries for this endpoint (optional)
+     */
+    clearCache(endpoint = null) {
+        if (endpoint) {
+            const prefix = `${this.baseURL}${endpoint}`;
+            [...this.cache.keys()]
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => this.cache.delete(key));
+        } else {
+            this.cache.clear();
+        }
+
+        this.persistCache();
+    }
+
+    /**
+     * Load cached responses from sessionStorage
+     */
+    restoreCache() {
+        if (!this.cacheOptions.persist || typeof sessionStorage === 'undefined') return;
+
+        try {
+            const raw = sessionStorage.getItem(this.cacheOptions.storageKey);
+            const entries = raw ? JSON.parse(raw) : [];
+            const now = Date.now();
+
+            entries.forEach(([key, entry]) => {
+                if (entry && now - entry.timestamp < this.cacheOptions.staleTTL) {
+                    this.cache.set(key, entry);
+                }
+            });
+        } catch (error) {
+            console.warn('Failed to restore API cache:', error);
+        }
+    }
+
+    /**
+     * Save the newest cached responses to sessionStorage
+     */
+    persistCache() {
+        if (!this.cacheOptions.persist || typeof sessionStorage === 'undefined') return;
+
+        try {
+            const entries = [...this.cache.entries()]
+                .sort((a, b) => b[1].timestamp - a[1].timestamp)
+                .slice(0, this.cacheOptions.maxEntries);
+            sessionStorage.setItem(this.cacheOptions.storageKey, JSON.stringify(entries));
+        } catch (error) {
+            // Storage full or unavailable - the in-memory cache still works
+            console.warn('Failed to persist API cache:', error);
         }
     }
 
     /**
      * Get all properties with optional filters
-     * @param {object} filters - Filter parameters
+     * @param {object} filters - Filter parameters (sort takes a property-sort.js sort value)
+     * @param {object} options - Request options ({ signal })
      * @returns {Promise} - Properties data
      */
-    async getAllProperties(filters = {}) {
+    async getAllProperties(filters = {}, options = {}) {
         try {
-            const params = {
+            const { sort, ...rest } = filters;
+            const params = this.applySortParam({
                 limit: filters.limit || 100,
                 page: filters.page || 1,
-                ...filters
-            };
+                ...rest
+            }, sort);
 
-            const response = await this.makeAPICall(this.endpoints.properties, params);
-            return this.processPropertiesData(response);
+            const response = await this.makeAPICall(this.endpoints.properties, params, options);
+            return this.sortResult(this.processPropertiesData(response, params), sort);
         } catch (error) {
-            console.error('Failed to fetch properties:', error);
-            return { success: false, data: [], error: error.message };
+            if (!(error instanceof RequestCancelledError)) {
+                console.error('Failed to fetch properties:', error);
+            }
+            return this.createErrorResult(error);
+        }
+    }
+
+    /**
+     * Get the category taxonomy
+     * Resolves with an empty list when no categories endpoint is configured
+     * @returns {Promise} - Categories ({ slug, label, icon, synonyms, order })
+     */
+    async getCategories() {
+        if (!this.endpoints.categories) {
+            return { success: true, data: [] };
+        }
+
+        try {
+            const response = await this.callWithFallback(this.endpoints.categories, {}, () => ({ success: true, data: [] }));
+            const categories = Array.isArray(response.data) ? response.data : response.data?.categories;
+            if (!response.success || !Array.isArray(categories)) {
+                return this.createErrorResult(new InvalidPayloadError());
+            }
+
+            return { success: true, data: categories };
+        } catch (error) {
+            console.error('Failed to fetch categories:', error);
+            return this.createErrorResult(error);
+        }
+    }
+
+    /**
+     * Get the catalog price range for the price slider
+     * Uses the price stats endpoint when configured, otherwise the prices of every listing
+     * @returns {Promise} - Price range ({ min, max, currency })
+     */
+    async getPriceRange() {
+        try {
+            if (this.endpoints.priceStats) {
+                const response = await this.callWithFallback(this.endpoints.priceStats, {}, () => null);
+                const stats = response && response.success ? response.data || {} : {};
+                const min = parseFloat(stats.min ?? stats.minPrice);
+                const max = parseFloat(stats.max ?? stats.maxPrice);
+
+                if (isFinite(min) && isFinite(max) && max >= min) {
+                    return { success: true, data: { min: min, max: max, currency: stats.currency || 'USD' } };
+                }
+            }
+
+            // Walk every page, the first page alone would miss the cheapest and dearest listings
+            const result = await this.getAllResults({});
+            if (!result.success) return result;
+
+            return { success: true, data: this.getPriceStats(result.data) };
+        } catch (error) {
+            console.error('Failed to fetch price range:', error);
+            return this.createErrorResult(error, null);
         }
     }
 
@@ -80,34 +606,83 @@ class PropertyAPI {
     async getFeaturedProperties(limit = 6) {
         try {
             const params = {
-                limit: limit,
-                featured: true
+                limit: limit
             };
+            let clientFiltered = false;
+
+            const response = await this.callWithFallback(this.endpoints.featured, params, () => {
+                // Generic listing does not filter by featured, so filter client-side
+                clientFiltered = true;
+                return this.makeAPICall(this.endpoints.properties, { limit: 100, featured: true });
+            });
 
-            const response = await this.makeAPICall(this.endpoints.properties, params);
-            return this.processPropertiesData(response);
+            const result = this.processPropertiesData(response, params);
+            if (result.success && clientFiltered) {
+                result.data = result.data.filter(property => property.isFeatured === true).slice(0, limit);
+                result.pagination = this.normalizePagination(null, result.data.length, params);
+            }
+            return result;
         } catch (error) {
             console.error('Failed to fetch featured properties:', error);
-            return { success: false, data: [], error: error.message };
+            return this.createErrorResult(error);
         }
     }
 
     /**
      * Search properties based on form criteria
      * @param {object} searchCriteria - Search form data
+     * @param {object} paging - Page, limit and sort to request
+     * @param {object} options - Request options ({ signal } cancels a superseded search)
      * @returns {Promise} - Search results
      */
-    async searchProperties(searchCriteria) {
+    async searchProperties(searchCriteria, paging = {}, options = {}) {
         try {
-            const params = this.buildSearchParams(searchCriteria);
-            const response = await this.makeAPICall(this.endpoints.properties, params);
-            return this.processPropertiesData(response);
+            const params = this.buildSearchParams(searchCriteria, paging);
+            const response = await this.callWithFallback(this.endpoints.search, params, () => {
+                return this.makeAPICall(this.endpoints.properties, params, options);
+            }, options);
+            return this.sortResult(this.processPropertiesData(response, params), paging.sort);
         } catch (error) {
-            console.error('Failed to search properties:', error);
-            return { success: false, data: [], error: error.message };
+            if (!(error instanceof RequestCancelledError)) {
+                console.error('Failed to search properties:', error);
+            }
+            return this.createErrorResult(error);
         }
     }
 
+    /**
+     * Get every result for some criteria by walking the listing pages
+     * For work the client has to do over the whole result set, e.g. sorting when the API cannot
+     * @param {object} searchCriteria - Search criteria, empty for the whole catalog
+     * @param {object} options - Request options ({ signal, maxResults })
+     * @returns {Promise} - Results, complete is false when maxResults cut the set short
+     */
+    async getAllResults(searchCriteria = {}, options = {}) {
+        const { maxResults = 500, ...requestOptions } = options;
+        const hasCriteria = Object.keys(searchCriteria).length > 0;
+        const properties = [];
+        let page = 1;
+        let result;
+
+        do {
+            const paging = { page: page, limit: 100 };
+            result = hasCriteria
+                ? await this.searchProperties(searchCriteria, paging, requestOptions)
+                : await this.getAllProperties(paging, requestOptions);
+            if (!result.success) return result;
+
+            properties.push(...result.data);
+            page++;
+        // An empty page ends the walk even if the server claims there are more
+        } while (result.pagination.hasNextPage && result.data.length > 0 && properties.length < maxResults);
+
+        return {
+            success: true,
+            data: properties.slice(0, maxResults),
+            complete: !result.pagination.hasNextPage && properties.length <= maxResults
+        };
+    }
+
     /**
      * Get property details by ID
      * @param {string} propertyId - Property ID
@@ -115,155 +690,130 @@ class PropertyAPI {
      */
     async getPropertyDetails(propertyId) {
         try {
-            const response = await this.makeAPICall(`${this.endpoints.propertyDetails}/${propertyId}`);
+            const response = await this.makeAPICall(`${this.endpoints.propertyDetails}/${encodeURIComponent(propertyId)}`);
             return this.processPropertyDetailData(response);
         } catch (error) {
             console.error('Failed to fetch property details:', error);
-            return { success: false, data: null, error: error.message };
+            return this.createErrorResult(error, null);
         }
     }
 
     /**
      * Process properties data from API response
+     * Malformed listings are dropped by the property normalizer, the rest are still returned
      * @param {object} response - API response
+     * @param {object} params - Query parameters the response was requested with
      * @returns {object} - Processed data
      */
-    processPropertiesData(response) {
-        if (!response.success || !response.data.properties) {
-            return { success: false, data: [], error: 'Invalid API response' };
+    processPropertiesData(response, params = {}) {
+        // Listing endpoints return { properties, pagination }, some return the array directly
+        const properties = Array.isArray(response.data) ? response.data : response.data?.properties;
+        if (!response.success || !properties) {
+            return this.createErrorResult(new InvalidPayloadError());
         }
 
-        const processedProperties = response.data.properties.map(property => ({
-            id: property._id,
-            title: property.title,
-            description: property.description,
-            type: property.type,
-            category: property.category,
-            propertyFor: property.propertyFor,
-            currency: property.currency,
-            location: property.location,
-            features: {
-                bedrooms: property.features.bedrooms,
-                bathrooms: property.features.bathrooms,
-                area: property.features.area,
-                areaUnit: property.features.areaUnit,
-                floors: property.features.floors,
-                garages: property.features.garages,
-                theater: property.features.theater || 0,
-                furnished: property.features.furnished
-            },
-            amenities: property.amenities,
-            images: property.images,
-            primaryImage: property.images.find(img => img.isPrimary)?.url || property.images[0]?.url || '',
-            status: property.status,
-            agent: property.agent,
-            owner: property.owner,
-            tags: property.tags,
-            views: property.views,
-            isFeatured: property.isFeatured,
-            isActive: property.isActive,
-            createdAt: property.createdAt,
-            updatedAt: property.updatedAt
-        }));
+        const { properties: processedProperties, rejected } = this.normalizer.normalizeList(properties);
 
         return {
             success: true,
             data: processedProperties,
-            pagination: response.data.pagination || null
+            // Count what the server sent so dropped records do not end paging early
+            pagination: this.normalizePagination(response.data.pagination, properties.length, params),
+            rejected: rejected
         };
     }
 
     /**
-     * Process single property detail data
-     * @param {object} response - API response
-     * @returns {object} - Processed property detail
+     * Normalize pagination metadata from API response
+     * @param {object} pagination - Raw pagination metadata
+     * @param {number} count - Number of properties in the response
+     * @param {object} params - Query parameters the response was requested with
+     * @returns {object} - Pagination ({ page, limit, total, totalPages, hasNextPage, hasPrevPage })
      */
-    processPropertyDetailData(response) {
-        if (!response.success || !response.data) {
-            return { success: false, data: null, error: 'Invalid API response' };
-        }
+    normalizePagination(pagination, count, params = {}) {
+        const raw = pagination || {};
+        const page = parseInt(raw.page ?? raw.currentPage, 10) || parseInt(params.page, 10) || 1;
+        const limit = parseInt(raw.limit ?? raw.perPage ?? raw.pageSize, 10) || parseInt(params.limit, 10) || count;
+        const total = parseInt(raw.total ?? raw.totalItems ?? raw.totalProperties ?? raw.count, 10);
+        // Without a total, a full page suggests there is at least one more
+        const totalPages = parseInt(raw.pages ?? raw.totalPages, 10) ||
+            (!isNaN(total) && limit ? Math.max(1, Math.ceil(total / limit)) : (count >= limit ? page + 1 : page));
 
-        const property = response.data;
         return {
-            success: true,
-            data: {
-                id: property._id,
-                title: property.title,
-                description: property.description,
-                type: property.type,
-                category: property.category,
-                propertyFor: property.propertyFor,
-                currency: property.currency,
-                location: property.location,
-                features: property.features,
-                amenities: property.amenities,
-                images: property.images,
-                status: property.status,
-                agent: property.agent,
-                owner: property.owner,
-                tags: property.tags,
-                views: property.views,
-                isFeatured: property.isFeatured,
-                isActive: property.isActive,
-                documents: property.documents,
-                createdAt: property.createdAt,
-                updatedAt: property.updatedAt
-            }
+            page: page,
+            limit: limit,
+            total: isNaN(total) ? null : total,
+            totalPages: totalPages,
+            hasNextPage: raw.hasNextPage ?? raw.hasNext ?? page < totalPages,
+            hasPrevPage: raw.hasPrevPage ?? raw.hasPrev ?? page > 1
         };
     }
 
     /**
-     * Build search parameters from form data
-     * @param {object} searchCriteria - Form search criteria
-     * @returns {object} - API search parameters
+     * Process single property detail data
+     * @param {object} response - API response
+     * @returns {object} - Processed property detail
      */
-    buildSearchParams(searchCriteria) {
-        const params = {
-            limit: 50,
-            page: 1
-        };
-
-        // Property Type filter
-        if (searchCriteria.property_type) {
-            params.category = searchCriteria.property_type;
-        }
-
-        // Bedrooms filter
-        if (searchCriteria.bedrooms) {
-            params.bedrooms = searchCriteria.bedrooms;
+    processPropertyDetailData(response) {
+        if (!response.success) {
+            return this.createErrorResult(this.createPayloadError(response), null);
         }
 
-        // Bathrooms filter
-        if (searchCriteria.bathrooms) {
-            params.bathrooms = searchCriteria.bathrooms;
+        if (!response.data) {
+            return this.createErrorResult(new NotFoundError(), null);
         }
 
-        // Area filter
-        if (searchCriteria.area) {
-            params.area = searchCriteria.area;
+        const { property, errors } = this.normalizer.normalize(response.data);
+        if (!property) {
+            console.warn('Malformed property detail:', errors.join('; '), response.data);
+            return this.createErrorResult(new InvalidPayloadError(`Invalid property: ${errors.join('; ')}`), null);
         }
 
-        // Lot Size filter
-        if (searchCriteria.lot_size) {
-            params.propertyFor = `${searchCriteria.lot_size} meter`;
-        }
+        return { success: true, data: property };
+    }
 
-        // Garage filter
-        if (searchCriteria.garage) {
-            params.garages = searchCriteria.garage;
-        }
+    /**
+     * Build search parameters from form data
+     * @param {object} searchCriteria - Form search criteria
+     * @param {object} paging - Page, limit and sort to request
+     * @returns {object} - API search parameters
+     */
+    buildSearchParams(searchCriteria, paging = {}) {
+        // Field names, types, ranges and API params come from the filter schema
+        return this.applySortParam({
+            limit: paging.limit || 50,
+            page: paging.page || 1,
+            ...this.filterSchema.toAPIParams(searchCriteria)
+        }, paging.sort);
+    }
 
-        // Floor Level filter
-        if (searchCriteria.floor_level) {
-            params.floors = searchCriteria.floor_level === 'single' ? 1 : 2;
+    /**
+     * Add the server-side sort parameter when the API supports sorting
+     * @param {object} params - Query parameters
+     * @param {string} sort - Sort value
+     * @returns {object} - Query parameters
+     */
+    applySortParam(params, sort) {
+        const value = this.sortOptions.server ? this.sorter.toAPIParam(sort) : null;
+        if (value) {
+            params[this.sortOptions.param] = value;
         }
+        return params;
+    }
 
-        // Location filter
-        if (searchCriteria.location) {
-            params.location = searchCriteria.location;
+    /**
+     * Sort a page of results on the client
+     * Keeps the order stable when the server already sorted, and sorts the page when it cannot
+     * @param {object} result - Processed properties result
+     * @param {string} sort - Sort value
+     * @returns {object} - Result with sorted data
+     */
+    sortResult(result, sort) {
+        if (result.success && sort) {
+            result.data = this.sorter.sort(result.data, sort);
+            result.sort = sort;
         }
-
-        return params;
+        return result;
     }
 
     /**
@@ -295,27 +845,14 @@ class PropertyAPI {
 
     /**
      * Sort properties by various criteria
-     * @param {array} properties - Properties array
-     * @param {string} sortBy - Sort criteria
-     * @param {string} order - Sort order (asc/desc)
-     * @returns {array} - Sorted properties
+     * @param {array} properties - Properties array (not modified)
+     * @param {string} sortBy - Sort field or option key (see property-sort.js)
+     * @param {string} order - Sort order (asc/desc) for a single field
+     * @returns {array} - New sorted array
      */
     sortProperties(properties, sortBy = 'createdAt', order = 'desc') {
-        return properties.sort((a, b) => {
-            let aValue = a[sortBy];
-            let bValue = b[sortBy];
-
-            if (sortBy === 'features') {
-                aValue = a.features.bedrooms;
-                bValue = b.features.bedrooms;
-            }
-
-            if (order === 'desc') {
-                return bValue > aValue ? 1 : -1;
-            } else {
-                return aValue > bValue ? 1 : -1;
-            }
-        });
+        const sort = (this.sorter.getOption(sortBy) || sortBy.includes(':')) ? sortBy : `${sortBy}:${order}`;
+        return this.sorter.sort(properties, sort);
     }
 
     /**
@@ -328,6 +865,27 @@ class PropertyAPI {
         return [...new Set(categories)];
     }
 
+    /**
+     * Get the price range of properties
+     * Hidden prices are skipped, the most common currency is reported
+     * @param {array} properties - Properties array
+     * @returns {object} - Price range ({ min, max, currency }), min/max null without prices
+     */
+    getPriceStats(properties) {
+        const priced = properties.filter(p => p.price && p.price.kind !== 'on-request' && p.price.amount > 0);
+        const currencies = {};
+        priced.forEach(p => {
+            currencies[p.currency] = (currencies[p.currency] || 0) + 1;
+        });
+
+        const amounts = priced.map(p => p.price.amount);
+        return {
+            min: amounts.length > 0 ? Math.min(...amounts) : null,
+            max: amounts.length > 0 ? Math.max(...amounts) : null,
+            currency: Object.keys(currencies).sort((a, b) => currencies[b] - currencies[a])[0] || 'USD'
+        };
+    }
+
     /**
      * Get property statistics
      * @param {array} properties - Properties array
@@ -365,9 +923,33 @@ const propertyAPI = new PropertyAPI();
 
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { PropertyAPI, propertyAPI };
+    module.exports = {
+        PropertyAPI,
+        propertyAPI,
+        resolveAPIConfig,
+        API_PROFILES,
+        APIError,
+        NetworkError,
+        TimeoutError,
+        HTTPError,
+        InvalidPayloadError,
+        APIResponseError,
+        NotFoundError,
+        RequestCancelledError,
+        getAPIErrorMessage
+    };
 }
 
 // Make available globally
 window.PropertyAPI = PropertyAPI;
 window.propertyAPI = propertyAPI;
+window.resolveAPIConfig = resolveAPIConfig;
+window.APIError = APIError;
+window.NetworkError = NetworkError;
+window.TimeoutError = TimeoutError;
+window.HTTPError = HTTPError;
+window.InvalidPayloadError = InvalidPayloadError;
+window.APIResponseError = APIResponseError;
+window.NotFoundError = NotFoundError;
+window.RequestCancelledError = RequestCancelledError;
+window.getAPIErrorMessage = getAPIErrorMessage;
@@ -0,0 +1,57 @@
+/**
+ * Compare Store
+ * Persists the properties picked for comparison in localStorage and keeps open tabs in sync
+ */
+
+// Most properties compared side by side
+const PROPERTY_COMPARE_LIMIT = 4;
+
+class CompareStore extends PersistedStore {
+    constructor(storageKey = 'valeti:compare', limit = PROPERTY_COMPARE_LIMIT) {
+        super(storageKey, {
+            label: 'comparison',
+            limit: limit,
+            validate: item => Boolean(item.id && item.property)
+        });
+    }
+
+    /**
+     * Get all compared items in the order they were picked, so columns don't move
+     * @returns {array} - Compared items ({ id, addedAt, property })
+     */
+    getAll() {
+        return [...this.items].sort((a, b) => a.addedAt - b.addedAt);
+    }
+
+    /**
+     * Add a property to the comparison
+     * @param {object} property - Processed property data
+     * @returns {boolean} - True if the property is being compared, false when the comparison is full
+     */
+    add(property) {
+        if (!property || !property.id) return false;
+        if (this.has(property.id)) return true;
+        if (this.isFull()) return false;
+
+        this.items.push({
+            id: property.id,
+            addedAt: Date.now(),
+            property: property
+        });
+        this.commit();
+        return true;
+    }
+}
+
+// Initialize compare store instance
+const compareStore = new CompareStore();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROPERTY_COMPARE_LIMIT, CompareStore, compareStore };
+}
+
+// Make available globally
+window.PROPERTY_COMPARE_LIMIT = PROPERTY_COMPARE_LIMIT;
+window.CompareStore = CompareStore;
+window.compareStore = compareStore;
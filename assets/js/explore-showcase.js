@@ -0,0 +1,266 @@
+/**
+ * Explore Showcase
+ * Binds the explore card to the property shown on the active panorama slide
+ */
+
+class ExploreShowcase {
+    constructor(root, options = {}) {
+        this.root = root;
+        this.api = window.propertyAPI;
+        this.virtualTour = window.virtualTour;
+        this.slider = root.querySelector('.th-slider');
+        this.card = root.querySelector('.explore-card');
+        this.toggle = root.querySelector('.add-explore-city-icon');
+        this.limit = options.limit || 5;
+        this.fallbackImage = 'assets/img/popular/popular-1-1.jpg';
+
+        // Properties shown on the slides, keyed by id
+        this.properties = new Map();
+    }
+
+    /**
+     * Initialize the showcase
+     * Slides may name their property with data-property-id; without any, featured properties
+     * replace the slides. The static card stays when no property can be loaded.
+     */
+    async init() {
+        if (!this.slider || !this.card) return;
+
+        this.setupCardToggle();
+
+        try {
+            const pinnedIds = this.getSlideIds();
+            const properties = pinnedIds.length > 0
+                ? await this.loadProperties(pinnedIds)
+                : await this.loadFeatured();
+
+            if (properties.length === 0) return;
+            properties.forEach(property => this.properties.set(property.id, property));
+
+            const swiper = this.slider.swiper;
+            if (!swiper) {
+                console.warn('Explore slider is not initialized, keeping the static card');
+                return;
+            }
+
+            if (pinnedIds.length === 0) {
+                this.renderSlides(swiper, properties);
+            }
+
+            swiper.on('slideChange', () => this.renderCard(this.getActiveProperty()));
+            this.renderCard(this.getActiveProperty());
+        } catch (error) {
+            console.error('Error loading explore showcase:', error);
+        }
+    }
+
+    /**
+     * Get the property ids named by the slides in the markup
+     * @returns {array} - Distinct property ids
+     */
+    getSlideIds() {
+        const ids = [...this.slider.querySelectorAll('.swiper-slide[data-property-id]')]
+            .map(slide => slide.getAttribute('data-property-id').trim())
+            .filter(Boolean);
+
+        return [...new Set(ids)];
+    }
+
+    /**
+     * Load the properties named by the slides
+     * @param {array} ids - Property ids
+     * @returns {Promise<array>} - Properties that loaded
+     */
+    async loadProperties(ids) {
+        const responses = await Promise.all(ids.map(id => this.api.getPropertyDetails(id)));
+
+        return responses
+            .filter((response, index) => {
+                if (!response.success) {
+                    console.warn(`Explore slide property ${ids[index]} failed to load:`, response.error);
+                }
+                return response.success;
+            })
+            .map(response => response.data);
+    }
+
+    /**
+     * Load featured properties for the slides, those with a virtual tour first
+     * @returns {Promise<array>} - Properties with an image
+     */
+    async loadFeatured() {
+        const response = await this.api.getFeaturedProperties(this.limit * 2);
+        if (!response.success) {
+            console.warn('Failed to load explore properties:', response.error);
+            return [];
+        }
+
+        const hasTour = property => (this.virtualTour && this.virtualTour.hasTour(property) ? 1 : 0);
+        return response.data
+            .filter(property => property.primaryImage)
+            .sort((a, b) => hasTour(b) - hasTour(a))
+            .slice(0, this.limit);
+    }
+
+    /**
+     * Replace the slides with one slide per property
+     * A property's first 360° image is shown in a viewer, otherwise its primary image
+     * @param {Swiper} swiper - Slider instance
+     * @param {array} properties - Properties to show
+     */
+    renderSlides(swiper, properties) {
+        if (this.virtualTour) {
+            this.virtualTour.unmountSlides(this.slider);
+        }
+
+        swiper.removeAllSlides();
+        swiper.appendSlide(properties.map(property => this.createSlideHTML(property).toString()));
+        swiper.update();
+        if (swiper.params.loop) {
+            swiper.slideToLoop(0, 0);
+        } else {
+            swiper.slideTo(0, 0);
+        }
+
+        if (this.virtualTour) {
+            this.virtualTour.mountSlides(this.slider, swiper);
+        }
+    }
+
+    /**
+     * Create HTML for a property slide
+     * @param {object} property - Property data
+     * @returns {SafeHTML} - Slide markup
+     */
+    createSlideHTML(property) {
+        const panorama = (property.images || []).find(image => image.isPanorama && safeURL(image.url));
+        const imageUrl = safeURL(property.primaryImage, { fallback: this.fallbackImage });
+
+        return html`
+            <div class="swiper-slide" data-property-id="${property.id}">
+                <div class="explore-single-slide">
+                    ${panorama
+                        ? html`<img src="${safeURL(panorama.url)}" alt="${property.title}" data-panorama>`
+                        : html`<img src="${imageUrl}" alt="${property.title}" onerror="this.src='${this.fallbackImage}'">`}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Get the property of the active slide
+     * @returns {object|null} - Property data
+     */
+    getActiveProperty() {
+        const swiper = this.slider.swiper;
+        const slide = swiper && swiper.slides ? swiper.slides[swiper.activeIndex] : null;
+        const id = slide ? slide.getAttribute('data-property-id') : null;
+
+        return id ? this.properties.get(id) || null : null;
+    }
+
+    /**
+     * Fill the explore card with a property
+     * @param {object|null} property - Property data, null leaves the card as it is
+     */
+    renderCard(property) {
+        const content = this.card.querySelector('.property-content');
+        if (!property || !content) return;
+
+        const features = property.features || {};
+        const detailsUrl = `property-details.html?id=${encodeURIComponent(property.id)}`;
+        const items = [
+            { icon: 'bed.svg', text: features.bedrooms !== null && features.bedrooms !== undefined ? `Bed ${features.bedrooms}` : null },
+            { icon: 'bath.svg', text: features.bathrooms !== null && features.bathrooms !== undefined ? `Bath ${features.bathrooms}` : null },
+            { icon: 'sqft.svg', text: features.area ? `${features.area} ${features.areaUnit || 'sqft'}` : null }
+        ].filter(item => item.text);
+        const description = this.truncate(property.description, 120);
+
+        this.card.setAttribute('data-property-id', property.id);
+        setHTML(content, html`
+            <div class="media-body">
+                <h3 class="box-title"><a href="${detailsUrl}">${property.title}</a></h3>
+                ${window.propertyDisplay ? window.propertyDisplay.createPriceHTML(property) : ''}
+                ${description ? html`<p class="box-text">${description}</p>` : ''}
+            </div>
+
+            <div class="bottom-wrap">
+                <ul class="property-featured">
+                    ${items.map(item => html`
+                        <li>
+                            <div class="icon"><img src="assets/img/icon/${item.icon}" alt="icon"></div>
+                            ${item.text}
+                        </li>
+                    `)}
+                </ul>
+                <div class="property-bottom">
+                    <a class="th-btn sm style3 pill" href="${detailsUrl}">View More </a>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * Shorten text to a length at a word boundary
+     * @param {string} text - Text to shorten
+     * @param {number} max - Maximum length
+     * @returns {string} - Text, with an ellipsis if it was shortened
+     */
+    truncate(text, max) {
+        const value = String(text || '').trim();
+        if (value.length <= max) return value;
+
+        const cut = value.slice(0, max);
+        const lastSpace = cut.lastIndexOf(' ');
+        return `${(lastSpace > max / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.;:]+$/, '')}…`;
+    }
+
+    /**
+     * Show the card while the plus icon or the card is hovered, and on click or Enter for
+     * keyboard and touch users
+     */
+    setupCardToggle() {
+        if (!this.toggle) return;
+
+        const setOpen = (open) => {
+            this.card.classList.toggle('active', open);
+            this.toggle.setAttribute('aria-expanded', String(open));
+        };
+
+        this.toggle.addEventListener('mouseenter', () => setOpen(true));
+        [this.toggle, this.card].forEach(element => {
+            element.addEventListener('mouseleave', (e) => {
+                if (!e.relatedTarget || !e.relatedTarget.closest('.add-explore-city-icon, .explore-card')) {
+                    setOpen(false);
+                }
+            });
+        });
+
+        this.toggle.addEventListener('click', () => setOpen(!this.card.classList.contains('active')));
+        this.toggle.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                setOpen(!this.card.classList.contains('active'));
+            } else if (e.key === 'Escape') {
+                setOpen(false);
+            }
+        });
+    }
+}
+
+// Initialize showcase when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    const root = document.querySelector('[data-explore-showcase]');
+    if (!root) return;
+
+    window.exploreShowcase = new ExploreShowcase(root);
+    window.exploreShowcase.init();
+});
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExploreShowcase;
+}
+
+// Make available globally
+window.ExploreShowcase = ExploreShowcase;
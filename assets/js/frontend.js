@@ -3,12 +3,71 @@
  * Handles property display, search functionality, and UI interactions
  */
 
+/**
+ * Criteria set by controls outside the search forms (keyword box, category menu, price slider, map area)
+ * They can be applied to a complete loaded set on the client without a new request
+ */
+const CLIENT_FILTER_KEYS = ['keyword', 'category', 'minPrice', 'maxPrice', 'bounds'];
+
 class PropertyDisplay {
     constructor() {
         this.api = window.propertyAPI;
+        this.filterSchema = window.searchFilterSchema;
+        this.wishlist = window.wishlistStore;
+        this.compare = window.compareStore;
+        this.comparison = window.propertyComparison;
+        this.priceFormatter = window.priceFormatter;
+        this.sorter = window.propertySorter;
+        this.facets = new PropertyFacets();
+        this.categories = window.propertyCategories;
+        this.keywordSearch = window.keywordSearch;
+        this.recentSearches = window.recentSearchStore;
+        this.savedSearches = window.savedSearchStore;
+        this.virtualTour = window.virtualTour;
         this.currentProperties = [];
         this.currentFilters = {};
+        this.currentSort = null;
+
+        // Facet selections beside the category menu ({ bedrooms: ["3"] }) and operator overrides
+        this.facetSelection = {};
+        this.facetOperators = {};
+
+        // Criteria the loaded set was fetched with, and whether it holds every result
+        this.loadedResults = { criteria: {}, complete: true };
+        // Matched tokens per property id, for highlighting
+        this.keywordMatches = new Map();
+        this.keywordTimer = null;
+        this.keywordUI = null;
+
+        // Price slider bounds from catalog prices ({ min, max, step, currency })
+        this.priceRange = null;
+        this.priceSlider = null;
+        this.priceTimer = null;
+
+        // Map beside the list, shown in map view
+        this.map = null;
+        this.view = 'grid';
+
+        this.pagination = null;
+        this.grid = null;
+        // Every result for the server criteria, loaded when pages are cut on the client
+        // ({ criteria, properties, complete: false when too large to page on the client })
+        this.resultSet = null;
         this.isLoading = false;
+        this.scrollObserver = null;
+
+        // Aborts the in-flight grid request when a newer search or page supersedes it
+        this.searchController = null;
+
+        // Every property rendered on the page, keyed by id
+        this.renderedProperties = new Map();
+
+        // Category facet values are the card filter classes, so buttons and cards always agree
+        this.facets.setFacet('category', {
+            value: property => this.getCategoryClass(property.category),
+            format: value => this.getFilterDisplayName(value),
+            order: (a, b) => this.categories.compare(a.value, b.value)
+        });
     }
 
     /**
@@ -16,39 +75,82 @@ class PropertyDisplay {
      */
     async init() {
         try {
-            await this.loadInitialProperties();
-            await this.loadFeaturedProperties();
+            this.setupWishlist();
+            this.setupCompare();
+
+            const propertiesContainer = document.getElementById('properties-container');
+            if (propertiesContainer) {
+                await this.loadCategories();
+                this.grid = new PropertyGrid(propertiesContainer);
+                this.setupSortSelect();
+                this.setupMap();
+
+                const state = this.readURLState();
+                this.applyURLState(state);
+                await this.reloadProperties(state.page);
+                this.setupURLState();
+            }
+            if (document.getElementById('featured-properties-container')) {
+                await this.loadFeaturedProperties();
+            }
             this.setupEventListeners();
             this.setupSearchForm();
+            this.setupKeywordSearch();
+            this.setupSavedSearches();
+            this.setupPriceRange();
+            this.setupPagination();
         } catch (error) {
             console.error('Failed to initialize frontend:', error);
             this.showError('Failed to load properties. Please try again later.');
         }
     }
 
+    /**
+     * Load the category taxonomy from the API, keeping the built-in categories on failure
+     */
+    async loadCategories() {
+        const response = await this.api.getCategories();
+        if (response.success) {
+            this.categories.load(response.data);
+        } else {
+            console.warn('Using built-in categories:', response.error);
+        }
+    }
+
     /**
      * Load initial properties for homepage
      */
     async loadInitialProperties() {
+        if (this.getPagingOptions().mode) {
+            await this.loadPage(1);
+            return;
+        }
+
+        const controller = this.startGridRequest();
         this.showLoading();
         
         try {
             // Fetch more properties to have a good pool for randomization
-            const response = await this.api.getAllProperties({ limit: 50 });
+            const response = await this.api.getAllProperties({ limit: 50 }, { signal: controller.signal });
+            if (controller.signal.aborted) return;
             
             if (response.success) {
                 // Get 8 random properties from the response
                 this.currentProperties = this.getRandomProperties(response.data, 8);
-                this.displayProperties(this.currentProperties);
+                this.loadedResults = {
+                    criteria: {},
+                    complete: this.currentProperties.length === response.data.length && !response.pagination.hasNextPage
+                };
+                this.renderCurrentProperties();
                 this.updatePropertyStats();
             } else {
-                throw new Error(response.error || 'Failed to load properties');
+                throw this.createResponseError(response, 'Failed to load properties');
             }
         } catch (error) {
             console.error('Error loading properties:', error);
-            this.showError('Failed to load properties. Please refresh the page.');
+            this.showError(this.getErrorMessage(error, 'Failed to load properties. Please refresh the page.'));
         } finally {
-            this.hideLoading();
+            this.finishGridRequest(controller);
         }
     }
 
@@ -59,15 +161,12 @@ class PropertyDisplay {
         this.showFeaturedLoading();
         
         try {
-            // Fetch all properties to filter featured ones
-            const response = await this.api.getAllProperties({ limit: 100 });
+            // Fetch a small pool of featured properties to rotate through
+            const response = await this.api.getFeaturedProperties(8);
             
             if (response.success) {
-                // Filter featured properties
-                const featuredProperties = response.data.filter(property => property.isFeatured === true);
-                
                 // Get 4 random featured properties
-                const randomFeatured = this.getRandomProperties(featuredProperties, 4);
+                const randomFeatured = this.getRandomProperties(response.data, 4);
                 
                 // Display in the featured section
                 this.displayFeaturedProperties(randomFeatured);
@@ -124,28 +223,86 @@ class PropertyDisplay {
         }
 
         if (properties.length === 0) {
-            container.innerHTML = this.getNoPropertiesHTML();
+            this.renderCards(container, this.getNoPropertiesHTML());
             return;
         }
 
-        const propertiesHTML = properties.map(property => this.createPropertyCard(property)).join('');
-        container.innerHTML = propertiesHTML;
+        this.renderCards(container, html`${properties.map(property => this.createPropertyCard(property))}`, properties);
+    }
+
+    /**
+     * Replace the cards in a container
+     * Fires properties:teardown before and properties:rendered after, so main.js can
+     * destroy the old sliders and popups and initialize them on the new cards
+     * @param {HTMLElement} container - Cards container
+     * @param {SafeHTML} content - Markup to render
+     * @param {array} properties - Properties rendered as cards, empty for placeholder content
+     */
+    renderCards(container, content, properties = []) {
+        this.dispatchRenderEvent(container, 'properties:teardown', []);
+        setHTML(container, content);
+
+        if (properties.length > 0) {
+            this.registerProperties(properties);
+            this.addPropertyCardListeners(container);
+        }
+
+        this.dispatchRenderEvent(container, 'properties:rendered', properties);
+    }
+
+    /**
+     * Dispatch a card lifecycle event from a container
+     * @param {HTMLElement} container - Cards container
+     * @param {string} type - Event name
+     * @param {array} properties - Properties in the container
+     */
+    dispatchRenderEvent(container, type, properties) {
+        container.dispatchEvent(new CustomEvent(type, {
+            bubbles: true,
+            detail: { properties: properties }
+        }));
+    }
+
+    /**
+     * Create HTML for a property price
+     * Rent periods go in the template's .month span
+     * @param {object} property - Property data
+     * @returns {SafeHTML|string} - Price markup
+     */
+    createPriceHTML(property) {
+        const price = property.price;
+        if (!this.priceFormatter) return '';
+
+        if (!price || price.kind === 'on-request') {
+            return html`<h5 class="price on-request">${this.priceFormatter.format(price)}</h5>`;
+        }
+
+        const amount = this.priceFormatter.formatAmount(price.amount, property.currency);
+        const period = this.priceFormatter.formatPeriod(price.period);
 
-        // Add click event listeners to property cards
-        this.addPropertyCardListeners();
+        return html`<h5 class="price">${amount}${period ? html` <span class="month">${period}</span>` : ''}</h5>`;
     }
 
     /**
      * Create HTML for a single property card
+     * API values are escaped and image URLs validated by the html`` template
      * @param {object} property - Property data
-     * @returns {string} - HTML string
+     * @param {string} badgeLabel - Badge text when the property has no category
+     * @returns {SafeHTML} - Card markup
      */
-    createPropertyCard(property) {
-        const imageUrl = property.primaryImage || 'assets/img/popular/popular-1-1.jpg';
-        const price = property.features.area ? `$${property.features.area.toLocaleString()}` : 'Contact for Price';
+    createPropertyCard(property, badgeLabel = 'Available') {
+        const fallbackImage = 'assets/img/popular/popular-1-1.jpg';
+        const imageUrl = safeURL(property.primaryImage, { fallback: fallbackImage });
+        const detailsUrl = `property-details.html?id=${encodeURIComponent(property.id)}`;
         const categoryClass = this.getCategoryClass(property.category);
+        const isWishlisted = this.isWishlisted(property.id);
+        const isCompared = this.isCompared(property.id);
+        const extraImages = (property.images || [])
+            .filter(img => !img.isPanorama && safeURL(img.url) && safeURL(img.url) !== imageUrl)
+            .slice(0, 3);
+        const hasTour = this.virtualTour ? this.virtualTour.hasTour(property) : false;
         
-        return `
+        return html`
             <div class="col-xxl-3 col-xl-4 col-lg-6 col-md-6 filter-item ${categoryClass}" data-property-id="${property.id}">
                 <div class="popular-list-1">
                     <div class="thumb-wrapper">
@@ -156,13 +313,13 @@ class PropertyDisplay {
                                         <img src="${imageUrl}" alt="${property.title}" onerror="this.src='assets/img/popular/popular-1-1.jpg'">
                                     </a>
                                 </div>
-                                ${property.images && property.images.length > 1 ? property.images.slice(1, 4).map(img => `
+                                ${extraImages.map(img => html`
                                     <div class="swiper-slide">
-                                        <a class="popular-popup-image" href="${img.url}">
-                                            <img src="${img.url}" alt="${property.title}" onerror="this.src='assets/img/popular/popular-1-1.jpg'">
+                                        <a class="popular-popup-image" href="${safeURL(img.url)}">
+                                            <img src="${safeURL(img.url)}" alt="${property.title}" onerror="this.src='assets/img/popular/popular-1-1.jpg'">
                                         </a>
                                     </div>
-                                `).join('') : ''}
+                                `)}
                             </div>
                             <div class="icon-wrap">
                                 <button class="slider-arrow slider-prev"><i class="far fa-arrow-left"></i></button>
@@ -170,33 +327,43 @@ class PropertyDisplay {
                             </div>
                         </div>
                         <div class="actions">
-                            <a href="wishlist.html" class="icon-btn" data-property-id="${property.id}">
+                            <a href="wishlist.html" class="icon-btn wishlist-toggle ${isWishlisted ? 'active' : ''}" data-property-id="${property.id}" aria-pressed="${isWishlisted}">
                                 <i class="fas fa-heart"></i>
                             </a>
                         </div>
                         <div class="actions-style-2-wrapper">
                             <div class="actions style-2">
-                                <a href="#" class="icon-btn" data-property-id="${property.id}">
-                                    <span class="action-text">Add To Favorite</span>
+                                <a href="#" class="icon-btn wishlist-toggle ${isWishlisted ? 'active' : ''}" data-property-id="${property.id}" aria-pressed="${isWishlisted}">
+                                    <span class="action-text">${this.getWishlistLabel(isWishlisted)}</span>
                                     <i class="fa-solid fa-bookmark"></i>
                                 </a>
                                 <a href="${imageUrl}" class="icon-btn popular-popup-image">
                                     <span class="action-text">View all img</span>
                                     <i class="fa-solid fa-camera"></i>
                                 </a>
+                                <a href="#" class="icon-btn compare-toggle ${isCompared ? 'active' : ''}" data-compare-id="${property.id}" aria-pressed="${isCompared}">
+                                    <span class="action-text">${this.getCompareLabel(isCompared)}</span>
+                                    <i class="fa-solid fa-code-compare"></i>
+                                </a>
+                                ${hasTour ? html`
+                                    <a href="#" class="icon-btn" data-virtual-tour="${property.id}">
+                                        <span class="action-text">Take the tour</span>
+                                        <i class="fa-solid fa-vr-cardboard"></i>
+                                    </a>
+                                ` : ''}
                             </div>
                         </div>
                         <div class="popular-badge">
                             <img src="assets/img/icon/sell_rent_icon.svg" alt="icon">
-                            <p>${property.category || 'Available'}</p>
+                            <p>${property.category ? this.categories.resolve(property.category).label : badgeLabel}</p>
                         </div>
                     </div>
                     <div class="property-content">
                         <div class="media-body">
                             <h3 class="box-title">
-                                <a href="property-details.html?id=${property.id}">${property.title}</a>
+                                <a href="${detailsUrl}" data-highlight="title">${property.title}</a>
                             </h3>
-                           
+                            ${this.createPriceHTML(property)}
                         </div>
 
                         <ul class="property-featured">
@@ -214,7 +381,7 @@ class PropertyDisplay {
                             </li>
                         </ul>
                         <div class="property-bottom">
-                            <a class="th-btn sm style3 pill" href="property-details.html?id=${property.id}">View Details</a>
+                            <a class="th-btn sm style3 pill" href="${detailsUrl}">View Details</a>
                         </div>
                     </div>
                 </div>
@@ -224,30 +391,12 @@ class PropertyDisplay {
 
     /**
      * Get category class for filtering
+     * Unknown categories get their own class from the category registry
      * @param {string} category - Property category
      * @returns {string} - CSS class for filtering
      */
     getCategoryClass(category) {
-        if (!category) return 'house';
-        
-        // Map API categories to filter classes
-        const categoryMap = {
-            'single story': 'single-story',
-            'single-story': 'single-story',
-            'double story': 'double-story',
-            'double-story': 'double-story',
-            'small lot design': 'small-lot-design',
-            'small-lot-design': 'small-lot-design',
-            'farm house': 'farm-house',
-            'farm-house': 'farm-house',
-            'house': 'house',
-            'apartment': 'apartment',
-            'villa': 'villa',
-            'condo': 'condo'
-        };
-        
-        const normalizedCategory = category.toLowerCase().trim();
-        return categoryMap[normalizedCategory] || 'house';
+        return this.categories.resolve(category).slug;
     }
 
     /**
@@ -262,108 +411,28 @@ class PropertyDisplay {
         }
 
         if (properties.length === 0) {
-            container.innerHTML = this.getNoFeaturedPropertiesHTML();
+            this.renderCards(container, this.getNoFeaturedPropertiesHTML());
             return;
         }
 
-        const propertiesHTML = properties.map(property => this.createFeaturedPropertyCard(property)).join('');
-        container.innerHTML = propertiesHTML;
-
-        // Add click event listeners to featured property cards
-        this.addPropertyCardListeners();
+        this.renderCards(container, html`${properties.map(property => this.createFeaturedPropertyCard(property))}`, properties);
     }
 
     /**
      * Create HTML for a featured property card
      * @param {object} property - Property data
-     * @returns {string} - HTML string
+     * @returns {SafeHTML} - Card markup
      */
     createFeaturedPropertyCard(property) {
-        const imageUrl = property.primaryImage || 'assets/img/popular/popular-1-1.jpg';
-        const categoryClass = this.getCategoryClass(property.category);
-        
-        return `
-            <div class="col-xxl-3 col-xl-4 col-lg-6 col-md-6 filter-item ${categoryClass}" data-property-id="${property.id}">
-                <div class="popular-list-1">
-                    <div class="thumb-wrapper">
-                        <div class="th-slider" data-slider-options='{"loop":false, "autoplay": false,"autoHeight": true, "effect":"fade"}'>
-                            <div class="swiper-wrapper">
-                                <div class="swiper-slide">
-                                    <a class="popular-popup-image" href="${imageUrl}">
-                                        <img src="${imageUrl}" alt="${property.title}" onerror="this.src='assets/img/popular/popular-1-1.jpg'">
-                                    </a>
-                                </div>
-                                ${property.images && property.images.length > 1 ? property.images.slice(1, 4).map(img => `
-                                    <div class="swiper-slide">
-                                        <a class="popular-popup-image" href="${img.url}">
-                                            <img src="${img.url}" alt="${property.title}" onerror="this.src='assets/img/popular/popular-1-1.jpg'">
-                                        </a>
-                                    </div>
-                                `).join('') : ''}
-                            </div>
-                            <div class="icon-wrap">
-                                <button class="slider-arrow slider-prev"><i class="far fa-arrow-left"></i></button>
-                                <button class="slider-arrow slider-next"><i class="far fa-arrow-right"></i></button>
-                            </div>
-                        </div>
-                        <div class="actions">
-                            <a href="wishlist.html" class="icon-btn" data-property-id="${property.id}">
-                                <i class="fas fa-heart"></i>
-                            </a>
-                        </div>
-                        <div class="actions-style-2-wrapper">
-                            <div class="actions style-2">
-                                <a href="#" class="icon-btn" data-property-id="${property.id}">
-                                    <span class="action-text">Add To Favorite</span>
-                                    <i class="fa-solid fa-bookmark"></i>
-                                </a>
-                                <a href="${imageUrl}" class="icon-btn popular-popup-image">
-                                    <span class="action-text">View all img</span>
-                                    <i class="fa-solid fa-camera"></i>
-                                </a>
-                            </div>
-                        </div>
-                        <div class="popular-badge">
-                            <img src="assets/img/icon/sell_rent_icon.svg" alt="icon">
-                            <p>${property.category || 'Featured'}</p>
-                        </div>
-                    </div>
-                    <div class="property-content">
-                        <div class="media-body">
-                            <h3 class="box-title">
-                                <a href="property-details.html?id=${property.id}">${property.title}</a>
-                            </h3>
-                        </div>
-
-                        <ul class="property-featured">
-                            <li>
-                                <div class="icon"><img src="assets/img/icon/bed.svg" alt="icon"></div>
-                                Bed ${property.features.bedrooms || 0}
-                            </li>
-                            <li>
-                                <div class="icon"><img src="assets/img/icon/bath.svg" alt="icon"></div>
-                                Bath ${property.features.bathrooms || 0}
-                            </li>
-                            <li>
-                                <div class="icon"><img src="assets/img/icon/sqft.svg" alt="icon"></div>
-                                ${property.features.area || 0} ${property.features.areaUnit || 'sqft'}
-                            </li>
-                        </ul>
-                        <div class="property-bottom">
-                            <a class="th-btn sm style3 pill" href="property-details.html?id=${property.id}">View Details</a>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
+        return this.createPropertyCard(property, 'Featured');
     }
 
     /**
      * Get HTML for no properties found
-     * @returns {string} - HTML string
+     * @returns {SafeHTML} - HTML markup
      */
     getNoPropertiesHTML() {
-        return `
+        return html`
             <div class="col-12">
                 <div class="text-center py-5">
                     <div class="th-empty-state">
@@ -381,10 +450,10 @@ class PropertyDisplay {
 
     /**
      * Get HTML for no featured properties found
-     * @returns {string} - HTML string
+     * @returns {SafeHTML} - HTML markup
      */
     getNoFeaturedPropertiesHTML() {
-        return `
+        return html`
             <div class="col-12">
                 <div class="text-center py-5">
                     <div class="th-empty-state">
@@ -399,28 +468,53 @@ class PropertyDisplay {
 
     /**
      * Add event listeners to property cards
+     * @param {HTMLElement} container - Container holding the rendered cards
      */
-    addPropertyCardListeners() {
-        const propertyCards = document.querySelectorAll('[data-property-id]');
-        propertyCards.forEach(card => {
-            const wishlistBtn = card.querySelector('.actions .icon-btn[data-property-id]');
-            const favoriteBtn = card.querySelector('.actions.style-2 .icon-btn[data-property-id]');
-            
-            if (wishlistBtn) {
-                wishlistBtn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    const propertyId = card.getAttribute('data-property-id');
-                    this.toggleWishlist(propertyId);
-                });
-            }
+    addPropertyCardListeners(container = document) {
+        const wishlistButtons = container.querySelectorAll('.wishlist-toggle[data-property-id]');
+        wishlistButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                const propertyId = button.getAttribute('data-property-id');
+                this.toggleWishlist(propertyId);
+            });
+        });
 
-            if (favoriteBtn) {
-                favoriteBtn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    const propertyId = card.getAttribute('data-property-id');
-                    this.toggleWishlist(propertyId);
-                });
-            }
+        const compareButtons = container.querySelectorAll('.compare-toggle[data-compare-id]');
+        compareButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.toggleCompare(button.getAttribute('data-compare-id'));
+            });
+        });
+
+        const tourButtons = container.querySelectorAll('[data-virtual-tour]');
+        tourButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openVirtualTour(button.getAttribute('data-virtual-tour'));
+            });
+        });
+    }
+
+    /**
+     * Open the virtual tour of a rendered property
+     * @param {string} propertyId - Property ID
+     */
+    openVirtualTour(propertyId) {
+        const property = this.renderedProperties.get(propertyId);
+        if (!property || !this.virtualTour || !this.virtualTour.open(property)) {
+            console.warn('No virtual tour for property:', propertyId);
+        }
+    }
+
+    /**
+     * Remember rendered properties so card actions can look them up by id
+     * @param {array} properties - Properties being rendered
+     */
+    registerProperties(properties) {
+        properties.forEach(property => {
+            this.renderedProperties.set(property.id, property);
         });
     }
 
@@ -435,33 +529,102 @@ class PropertyDisplay {
                 this.handleSearch(form);
             });
         });
+
+        this.setupHeroSearch();
+    }
+
+    /**
+     * Setup the hero Buy/Sell/Rent search tabs
+     */
+    setupHeroSearch() {
+        const heroForm = document.querySelector('form[data-hero-search]');
+        if (!heroForm) return;
+
+        heroForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleHeroSearch(heroForm);
+        });
+
+        const submitButtons = heroForm.querySelectorAll('[data-search-submit]');
+        submitButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleHeroSearch(heroForm, button.closest('[data-search-purpose]'));
+            });
+        });
     }
 
     /**
-     * Handle search form submission
-     * @param {HTMLFormElement} form - Search form element
+     * Run a search from the active hero tab pane
+     * @param {HTMLFormElement} form - Hero search form
+     * @param {HTMLElement} pane - Tab pane to read, defaults to the active one
      */
-    async handleSearch(form) {
-        const formData = new FormData(form);
-        const searchCriteria = {};
-        
-        // Extract form data
-        for (let [key, value] of formData.entries()) {
-            if (value && value !== '') {
-                searchCriteria[key] = value;
-            }
+    async handleHeroSearch(form, pane = null) {
+        const activePane = pane || form.querySelector('.tab-pane.active[data-search-purpose]');
+        if (!activePane) return;
+
+        const container = document.getElementById('properties-container');
+        if (container) {
+            container.scrollIntoView({ behavior: 'smooth', block: 'start' });
         }
 
-        // Get additional form inputs that might not be in FormData
-        const additionalInputs = form.querySelectorAll('select, input[type="text"], input[type="number"]');
-        additionalInputs.forEach(input => {
-            if (input.value && input.value !== '' && !searchCriteria[input.name]) {
-                searchCriteria[input.name] = input.value;
+        await this.handleSearch(activePane, {
+            purpose: activePane.getAttribute('data-search-purpose')
+        });
+    }
+
+    /**
+     * Handle search form submission
+     * @param {HTMLElement} form - Search form or tab pane holding the inputs
+     * @param {object} extraCriteria - Criteria not taken from inputs
+     */
+    async handleSearch(form, extraCriteria = {}) {
+        const searchCriteria = this.filterSchema.normalize({
+            ...this.collectSearchCriteria(form),
+            ...extraCriteria
+        });
+
+        // The keyword box and price slider sit outside the search forms, keep their values
+        CLIENT_FILTER_KEYS.forEach(key => {
+            if (searchCriteria[key] === undefined && this.currentFilters[key] !== undefined) {
+                searchCriteria[key] = this.currentFilters[key];
             }
         });
 
         this.currentFilters = searchCriteria;
         await this.performSearch(searchCriteria);
+        this.updateURLState();
+    }
+
+    /**
+     * Collect search criteria from the inputs inside an element
+     * @param {HTMLElement} root - Form or tab pane
+     * @returns {object} - Search criteria keyed by normalized field name
+     */
+    collectSearchCriteria(root) {
+        const searchCriteria = {};
+        const inputs = root.querySelectorAll('select, input[type="text"], input[type="number"], input[type="search"], input[type="hidden"], input[type="checkbox"]:checked, input[type="radio"]:checked');
+
+        inputs.forEach(input => {
+            if (!input.name || !input.value || input.value === '') return;
+
+            const key = this.normalizeFieldName(input.name);
+            if (!searchCriteria[key]) {
+                searchCriteria[key] = input.value;
+            }
+        });
+
+        return searchCriteria;
+    }
+
+    /**
+     * Normalize a form field name to its search criteria key
+     * Tab panes reuse the same fields with numbered names (bedrooms1, Garage2)
+     * @param {string} name - Input name
+     * @returns {string} - Criteria key (bedrooms, garage)
+     */
+    normalizeFieldName(name) {
+        return name.replace(/\d+$/, '').toLowerCase();
     }
 
     /**
@@ -469,330 +632,2074 @@ class PropertyDisplay {
      * @param {object} searchCriteria - Search criteria
      */
     async performSearch(searchCriteria) {
+        if (this.getPagingOptions().mode) {
+            await this.loadPage(1);
+            return;
+        }
+
+        const controller = this.startGridRequest();
         this.showLoading();
         
         try {
-            const response = await this.api.searchProperties(searchCriteria);
+            const response = await this.api.searchProperties(searchCriteria, {}, { signal: controller.signal });
+            if (controller.signal.aborted) return;
             
             if (response.success) {
                 this.currentProperties = response.data;
-                this.displayProperties(this.currentProperties);
+                this.loadedResults = { criteria: { ...searchCriteria }, complete: !response.pagination.hasNextPage };
+                this.renderCurrentProperties();
                 this.updateSearchResultsCount(this.currentProperties.length);
             } else {
-                throw new Error(response.error || 'Search failed');
+                throw this.createResponseError(response, 'Search failed');
             }
         } catch (error) {
             console.error('Search error:', error);
-            this.showError('Search failed. Please try again.');
+            this.showError(this.getErrorMessage(error, 'Search failed. Please try again.'));
         } finally {
-            this.hideLoading();
+            this.finishGridRequest(controller);
         }
     }
 
     /**
-     * Clear all filters and reload properties
+     * Get paging configuration from the properties container
+     * data-paging: pages | load-more | infinite, data-page-size: properties per page
+     * @returns {object} - Paging options ({ mode, limit })
      */
-    async clearFilters() {
-        this.currentFilters = {};
-        
-        // Reset form inputs
-        const forms = document.querySelectorAll('form[data-search-form]');
-        forms.forEach(form => {
-            form.reset();
-        });
-
-        // Reset filter buttons to "View All"
-        const filterButtons = document.querySelectorAll('.filter-menu [data-filter]');
-        filterButtons.forEach(btn => btn.classList.remove('active'));
-        const viewAllButton = document.querySelector('.filter-menu [data-filter="*"]');
-        if (viewAllButton) {
-            viewAllButton.classList.add('active');
-        }
+    getPagingOptions() {
+        const container = document.getElementById('properties-container');
+        const mode = container ? container.getAttribute('data-paging') : null;
+        const limit = container ? parseInt(container.getAttribute('data-page-size'), 10) : NaN;
 
-        await this.loadInitialProperties();
+        return {
+            mode: ['pages', 'load-more', 'infinite'].includes(mode) ? mode : null,
+            limit: limit > 0 ? limit : 8
+        };
     }
 
     /**
-     * Show quick view modal for property
-     * @param {string} propertyId - Property ID
+     * Load a page of properties using the current filters and sort
+     * @param {number} page - Page number to load
+     * @param {boolean} append - Append to the grid instead of replacing it
      */
-    async showQuickView(propertyId) {
+    async loadPage(page = 1, append = false) {
+        // Load more / infinite scroll wait for the current page; anything else supersedes it
+        if (append && this.isLoading) return;
+
+        if (this.needsResultSet() && await this.loadResultSet(page, append)) return;
+
+        const { limit } = this.getPagingOptions();
+        const hasFilters = Object.keys(this.currentFilters).length > 0;
+        const controller = this.startGridRequest();
+        this.showLoading();
+
         try {
-            const response = await this.api.getPropertyDetails(propertyId);
-            
-            if (response.success) {
-                // Create and show quick view modal
-                this.createQuickViewModal(response.data);
-            } else {
-                throw new Error(response.error || 'Failed to load property details');
+            const sort = this.currentSort || undefined;
+            const response = hasFilters
+                ? await this.api.searchProperties(this.currentFilters, { page, limit, sort }, { signal: controller.signal })
+                : await this.api.getAllProperties({ page, limit, sort }, { signal: controller.signal });
+            if (controller.signal.aborted) return;
+
+            if (!response.success) {
+                throw this.createResponseError(response, 'Failed to load properties');
+            }
+
+            this.pagination = response.pagination;
+            this.currentProperties = append ? [...this.currentProperties, ...response.data] : response.data;
+            this.loadedResults = {
+                criteria: { ...this.currentFilters },
+                complete: !this.pagination.hasNextPage && (append || page === 1)
+            };
+            this.renderCurrentProperties();
+            this.updatePropertyStats();
+
+            if (hasFilters) {
+                this.updateSearchResultsCount(this.pagination.total ?? this.currentProperties.length);
             }
         } catch (error) {
-            console.error('Quick view error:', error);
-            this.showError('Failed to load property details.');
+            console.error('Error loading properties page:', error);
+            this.showError(this.getErrorMessage(error, 'Failed to load properties. Please try again.'));
+        } finally {
+            if (this.finishGridRequest(controller)) {
+                this.renderPagination();
+            }
         }
     }
 
     /**
-     * Toggle wishlist for property
-     * @param {string} propertyId - Property ID
+     * Check if pages have to be cut on the client from the full result set
+     * In paging mode a client-side sort and the facet filters have to see every result, not just
+     * the page; until one is picked the server pages the results
+     * @returns {boolean} - True if the grid pages the full result set
      */
-    toggleWishlist(propertyId) {
-        // Implement wishlist functionality
-        console.log('Toggle wishlist for property:', propertyId);
-        // You can implement local storage or API call for wishlist
+    needsResultSet() {
+        if (!this.getPagingOptions().mode) return false;
+
+        const hasClientSort = this.currentSort && !this.api.sortOptions.server;
+        return Boolean(hasClientSort || Object.keys(this.facetSelection).length > 0);
     }
 
     /**
-     * Update property statistics display
+     * Get the criteria the server applies to the full result set
+     * Keyword, category, price and map area are applied on the client like facets
+     * @param {object} criteria - Normalized search criteria
+     * @returns {object} - Criteria without the client filter keys
      */
-    updatePropertyStats() {
-        const stats = this.api.getPropertyStats(this.currentProperties);
-        
-        // Update stats elements if they exist
-        const totalElement = document.getElementById('total-properties');
-        if (totalElement) {
-            totalElement.textContent = stats.total;
-        }
-
-        const featuredElement = document.getElementById('featured-properties');
-        if (featuredElement) {
-            featuredElement.textContent = stats.featured;
-        }
+    getServerCriteria(criteria = this.currentFilters) {
+        return Object.keys(criteria)
+            .filter(key => !CLIENT_FILTER_KEYS.includes(key))
+            .reduce((result, key) => ({ ...result, [key]: criteria[key] }), {});
     }
 
     /**
-     * Update search results count
-     * @param {number} count - Number of results
+     * Get the full result set when the grid pages it on the client
+     * @param {object} criteria - Normalized search criteria
+     * @returns {object|null} - Result set for the criteria, null when pages come from the server
      */
-    updateSearchResultsCount(count) {
-        const resultsElement = document.getElementById('search-results-count');
-        if (resultsElement) {
-            resultsElement.textContent = `${count} properties found`;
-        }
+    getResultSet(criteria = this.currentFilters) {
+        const resultSet = this.resultSet;
+        if (!resultSet || !resultSet.complete || !this.needsResultSet()) return null;
+
+        return this.filterSchema.isEqual(resultSet.criteria, this.getServerCriteria(criteria)) ? resultSet : null;
     }
 
     /**
-     * Show loading indicator
+     * Show a page of the full result set, loading the set when the server criteria changed
+     * @param {number} page - Page number to show
+     * @param {boolean} append - Append to the grid instead of replacing it
+     * @returns {Promise<boolean>} - False when the set is too large to page on the client
      */
-    showLoading() {
-        this.isLoading = true;
-        const loadingElement = document.getElementById('loading-indicator');
-        if (loadingElement) {
-            loadingElement.style.display = 'block';
-        }
-        
-        // Add loading class to properties container
-        const container = document.getElementById('properties-container');
-        if (container) {
-            container.classList.add('loading');
+    async loadResultSet(page = 1, append = false) {
+        const criteria = this.getServerCriteria();
+        const controller = this.startGridRequest();
+
+        try {
+            if (!this.resultSet || !this.filterSchema.isEqual(this.resultSet.criteria, criteria)) {
+                this.showLoading();
+                const response = await this.api.getAllResults(criteria, { signal: controller.signal });
+                if (controller.signal.aborted) return true;
+
+                if (!response.success) {
+                    throw this.createResponseError(response, 'Failed to load properties');
+                }
+                this.resultSet = { criteria: criteria, properties: response.data, complete: response.complete };
+            }
+
+            if (!this.resultSet.complete) return false;
+            this.showResultPage(page, append);
+        } catch (error) {
+            console.error('Error loading properties:', error);
+            this.showError(this.getErrorMessage(error, 'Failed to load properties. Please try again.'));
+        } finally {
+            this.finishGridRequest(controller);
         }
+        return true;
     }
 
     /**
-     * Hide loading indicator
+     * Show a page of the full result set, filtered and sorted as a whole
+     * @param {number} page - Page number, clamped to the pages there are
+     * @param {boolean} append - Append to the grid instead of replacing it
      */
-    hideLoading() {
-        this.isLoading = false;
-        const loadingElement = document.getElementById('loading-indicator');
-        if (loadingElement) {
-            loadingElement.style.display = 'none';
+    showResultPage(page = 1, append = false) {
+        const { limit } = this.getPagingOptions();
+
+        // The category is left to the client, see getFacetSelection
+        this.loadedResults = { criteria: { ...this.resultSet.criteria }, complete: true };
+
+        const results = this.getMatchingResults(this.resultSet.properties);
+        const totalPages = Math.max(1, Math.ceil(results.length / limit));
+        const current = Math.min(Math.max(page, 1), totalPages);
+        const pageResults = results.slice((current - 1) * limit, current * limit);
+
+        this.pagination = {
+            page: current,
+            limit: limit,
+            total: results.length,
+            totalPages: totalPages,
+            hasNextPage: current < totalPages,
+            hasPrevPage: current > 1
+        };
+        this.currentProperties = append ? [...this.currentProperties, ...pageResults] : pageResults;
+        this.renderCurrentProperties();
+        this.updatePropertyStats();
+        this.renderPagination();
+
+        if (Object.keys(this.currentFilters).length > 0) {
+            this.updateSearchResultsCount(results.length);
         }
-        
-        // Remove loading class from properties container
-        const container = document.getElementById('properties-container');
-        if (container) {
-            container.classList.remove('loading');
+    }
+
+    /**
+     * Re-apply the client filters, facets and sort
+     * Pages cut on the client start again from the first page
+     */
+    refreshResults() {
+        if (this.getResultSet()) {
+            this.showResultPage(1);
+        } else {
+            this.arrangeGrid();
         }
     }
 
     /**
-     * Show loading indicator for featured section
+     * Start a properties grid request, cancelling the one it supersedes
+     * @returns {AbortController} - Controller for the new request
      */
-    showFeaturedLoading() {
-        const loadingElement = document.getElementById('featured-loading-indicator');
-        if (loadingElement) {
-            loadingElement.style.display = 'block';
+    startGridRequest() {
+        if (this.searchController) {
+            this.searchController.abort();
         }
-        
-        // Add loading class to featured properties container
-        const container = document.getElementById('featured-properties-container');
+
+        this.searchController = new AbortController();
+        return this.searchController;
+    }
+
+    /**
+     * Finish a properties grid request
+     * Superseded requests leave the loading state to the request that replaced them
+     * @param {AbortController} controller - Controller returned by startGridRequest
+     * @returns {boolean} - True if this was the latest request
+     */
+    finishGridRequest(controller) {
+        if (this.searchController !== controller) return false;
+
+        this.searchController = null;
+        this.hideLoading();
+        return true;
+    }
+
+    /**
+     * Turn a failed API result into an error carrying its type and status
+     * @param {object} response - Failed API result
+     * @param {string} fallback - Message when the result has none
+     * @returns {Error} - Error for the caller's catch block
+     */
+    createResponseError(response, fallback) {
+        const error = new Error(response.error || fallback);
+        error.type = response.errorType || 'unknown';
+        error.status = response.status || null;
+        return error;
+    }
+
+    /**
+     * Get the message to show for a failed request
+     * @param {Error|object} error - Thrown error or failed API result
+     * @param {string} fallback - Message when the failure type is unknown
+     * @returns {string} - User-facing message
+     */
+    getErrorMessage(error, fallback) {
+        return window.getAPIErrorMessage ? window.getAPIErrorMessage(error, fallback) : fallback;
+    }
+
+    /**
+     * Get or create the pagination element below the properties grid
+     * @returns {HTMLElement|null} - Pagination element
+     */
+    getPaginationElement() {
+        let element = document.getElementById('properties-pagination');
+        if (element) return element;
+
+        const container = document.getElementById('properties-container');
+        if (!container || !container.parentNode) return null;
+
+        element = document.createElement('div');
+        element.id = 'properties-pagination';
+        element.className = 'text-center mt-50';
+        container.parentNode.insertBefore(element, container.nextSibling);
+        return element;
+    }
+
+    /**
+     * Setup pagination click handling
+     */
+    setupPagination() {
+        const { mode } = this.getPagingOptions();
+        const element = mode ? this.getPaginationElement() : null;
+        if (!element) return;
+
+        element.addEventListener('click', (e) => {
+            const pageLink = e.target.closest('[data-page]');
+            if (pageLink) {
+                e.preventDefault();
+                const page = parseInt(pageLink.getAttribute('data-page'), 10);
+                if (page && this.pagination && page !== this.pagination.page) {
+                    this.goToPage(page);
+                }
+                return;
+            }
+
+            if (e.target.closest('[data-load-more]')) {
+                e.preventDefault();
+                this.loadNextPage();
+            }
+        });
+    }
+
+    /**
+     * Go to a specific page and scroll back to the grid
+     * @param {number} page - Page number
+     */
+    async goToPage(page) {
+        await this.loadPage(page);
+        this.updateURLState();
+
+        const container = document.getElementById('properties-container');
         if (container) {
-            container.classList.add('loading');
+            container.scrollIntoView({ behavior: 'smooth', block: 'start' });
         }
     }
 
     /**
-     * Hide loading indicator for featured section
+     * Append the next page to the grid
      */
-    hideFeaturedLoading() {
-        const loadingElement = document.getElementById('featured-loading-indicator');
-        if (loadingElement) {
-            loadingElement.style.display = 'none';
+    async loadNextPage() {
+        if (!this.pagination || !this.pagination.hasNextPage) return;
+        await this.loadPage(this.pagination.page + 1, true);
+    }
+
+    /**
+     * Render pagination controls for the current paging mode
+     */
+    renderPagination() {
+        const { mode } = this.getPagingOptions();
+        const element = mode ? this.getPaginationElement() : null;
+        if (!element) return;
+
+        if (this.scrollObserver) {
+            this.scrollObserver.disconnect();
         }
-        
-        // Remove loading class from featured properties container
-        const container = document.getElementById('featured-properties-container');
-        if (container) {
-            container.classList.remove('loading');
+
+        if (!this.pagination || this.currentProperties.length === 0) {
+            setHTML(element, '');
+            return;
+        }
+
+        if (mode === 'pages') {
+            setHTML(element, this.getPaginationHTML(this.pagination));
+            return;
+        }
+
+        if (!this.pagination.hasNextPage) {
+            setHTML(element, '');
+            return;
+        }
+
+        if (mode === 'infinite' && 'IntersectionObserver' in window) {
+            setHTML(element, html`<div class="properties-scroll-sentinel" aria-hidden="true"></div>`);
+            this.observeScrollSentinel(element.firstElementChild);
+            return;
         }
+
+        // Load more button, also used when IntersectionObserver is unavailable
+        setHTML(element, html`
+            <button type="button" class="th-btn" data-load-more>
+                Load More <i class="fa-regular fa-arrow-down ms-2"></i>
+            </button>
+        `);
     }
 
     /**
-     * Show no featured properties message
+     * Load the next page when the sentinel scrolls into view
+     * @param {HTMLElement} sentinel - Element placed after the grid
      */
-    showNoFeaturedProperties() {
-        const container = document.getElementById('featured-properties-container');
-        if (container) {
-            container.innerHTML = this.getNoFeaturedPropertiesHTML();
+    observeScrollSentinel(sentinel) {
+        if (!this.scrollObserver) {
+            this.scrollObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadNextPage();
+                }
+            }, { rootMargin: '200px 0px' });
         }
+
+        this.scrollObserver.observe(sentinel);
     }
 
     /**
-     * Show error message
-     * @param {string} message - Error message
+     * Get HTML for numbered pagination
+     * @param {object} pagination - Normalized pagination
+     * @returns {SafeHTML|string} - HTML markup
      */
-    showError(message) {
-        const errorContainer = document.getElementById('error-container') || this.createErrorContainer();
-        errorContainer.innerHTML = `
-            <div class="alert alert-danger" role="alert">
-                <i class="fa-light fa-exclamation-triangle me-2"></i>
-                ${message}
+    getPaginationHTML(pagination) {
+        if (pagination.totalPages <= 1) return '';
+
+        const pages = this.getPageNumbers(pagination.page, pagination.totalPages);
+
+        return html`
+            <div class="th-pagination">
+                <ul>
+                    ${pagination.hasPrevPage ? html`<li><a href="#" class="prev-page" data-page="${pagination.page - 1}"><i class="far fa-arrow-left me-2"></i>Prev</a></li>` : ''}
+                    ${pages.map(page => page === null
+                        ? html`<li><span>...</span></li>`
+                        : html`<li><a href="#" data-page="${page}" class="${page === pagination.page ? 'active' : ''}"${page === pagination.page ? html` aria-current="page"` : ''}>${page}</a></li>`
+                    )}
+                    ${pagination.hasNextPage ? html`<li><a href="#" class="next-page" data-page="${pagination.page + 1}">Next<i class="far fa-arrow-right ms-2"></i></a></li>` : ''}
+                </ul>
             </div>
         `;
-        errorContainer.style.display = 'block';
-        
-        // Auto-hide after 5 seconds
-        setTimeout(() => {
-            errorContainer.style.display = 'none';
-        }, 5000);
     }
 
     /**
-     * Create error container if it doesn't exist
-     * @returns {HTMLElement} - Error container element
+     * Get page numbers to show, with null marking a gap
+     * @param {number} current - Current page
+     * @param {number} total - Total pages
+     * @returns {array} - Page numbers, e.g. [1, null, 4, 5, 6, null, 12]
      */
-    createErrorContainer() {
-        const container = document.createElement('div');
-        container.id = 'error-container';
-        container.style.display = 'none';
-        container.className = 'container mt-3';
-        
-        const propertiesContainer = document.getElementById('properties-container');
-        if (propertiesContainer && propertiesContainer.parentNode) {
-            propertiesContainer.parentNode.insertBefore(container, propertiesContainer);
+    getPageNumbers(current, total) {
+        const pages = [];
+
+        for (let page = 1; page <= total; page++) {
+            if (page === 1 || page === total || Math.abs(page - current) <= 1) {
+                pages.push(page);
+            } else if (pages[pages.length - 1] !== null) {
+                pages.push(null);
+            }
         }
-        
-        return container;
+
+        return pages;
     }
 
     /**
-     * Setup event listeners
+     * Reload the properties grid for the current filters
+     * @param {number} page - Page to load in paging mode
      */
-    setupEventListeners() {
-        // Filter buttons for properties section
-        const filterButtons = document.querySelectorAll('.filter-menu [data-filter]');
-        filterButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                
-                // Remove active class from all buttons
-                filterButtons.forEach(btn => btn.classList.remove('active'));
-                
-                // Add active class to clicked button
-                button.classList.add('active');
-                
-                const filterValue = button.getAttribute('data-filter');
-                this.applyFilter(filterValue);
-            });
+    async reloadProperties(page = 1) {
+        if (this.getPagingOptions().mode) {
+            await this.loadPage(page);
+        } else if (Object.keys(this.currentFilters).length > 0) {
+            await this.performSearch(this.currentFilters);
+        } else {
+            await this.loadInitialProperties();
+        }
+    }
+
+    /**
+     * Read search state from the query string
+     * @returns {object} - State ({ filters, sort, facets, operators, page, view })
+     */
+    readURLState() {
+        const params = new URLSearchParams(window.location.search);
+        const page = parseInt(params.get('page'), 10);
+
+        const sort = params.get('sort');
+        const facets = {};
+        const operators = {};
+
+        this.facets.facets.forEach(facet => {
+            if (facet.key === 'category') return;
+
+            facets[facet.key] = params.getAll(`facet-${facet.key}`);
+            const operator = params.get(`facet-${facet.key}-op`);
+            if (operator === 'and' || operator === 'or') {
+                operators[facet.key] = operator;
+            }
         });
 
-        // Sort dropdown
+        // Links from before the category became a search criterion name it with ?filter=
+        const filters = this.filterSchema.fromQueryParams(params);
+        const legacyCategory = params.get('filter');
+        if (filters.category === undefined && legacyCategory && legacyCategory !== '*') {
+            filters.category = legacyCategory.replace(/^\./, '');
+        }
+
+        return {
+            filters: filters,
+            sort: this.sorter.isValid(sort) ? sort : null,
+            facets: this.facets.normalizeSelection(facets),
+            operators: operators,
+            page: page > 0 ? page : 1,
+            view: params.get('view') === 'map' ? 'map' : 'grid'
+        };
+    }
+
+    /**
+     * Apply search state to the display and form controls
+     * @param {object} state - State from readURLState
+     */
+    applyURLState(state) {
+        this.currentFilters = state.filters;
+        this.currentSort = state.sort;
+        this.facetSelection = state.facets;
+        this.facetOperators = state.operators;
+
+        this.populateSearchForms(state.filters);
+        this.setActiveFilterButton(this.getActiveFilter());
+        this.setKeywordInput(state.filters.keyword || '');
+        this.syncPriceRange();
+        this.syncMapArea();
+        this.setView(state.view);
+        this.updateSaveSearchForm();
+
         const sortSelect = document.getElementById('sort-properties');
         if (sortSelect) {
-            sortSelect.addEventListener('change', (e) => {
-                this.sortProperties(e.target.value);
-            });
+            sortSelect.value = state.sort || '';
         }
     }
 
     /**
-     * Apply filter to properties
-     * @param {string} filterValue - Filter value
+     * Write the current search state to the query string
+     * Only pushes a history entry when the state actually changed
+     * @param {boolean} replace - Replace the current entry instead, e.g. while typing
      */
-    applyFilter(filterValue) {
-        if (filterValue === '*') {
-            this.displayProperties(this.currentProperties);
-        } else {
-            // Remove the dot from filterValue if it exists (e.g., ".single-story" -> "single-story")
-            const cleanFilterValue = filterValue.startsWith('.') ? filterValue.substring(1) : filterValue;
-            
-            const filteredProperties = this.currentProperties.filter(property => {
-                const categoryClass = this.getCategoryClass(property.category);
-                return categoryClass === cleanFilterValue;
-            });
-            
-            // Show filtered properties or no data message
-            if (filteredProperties.length === 0) {
-                this.showNoDataMessage(cleanFilterValue);
-            } else {
-                this.displayProperties(filteredProperties);
+    updateURLState(replace = false) {
+        // The save form offers whatever criteria the URL records
+        this.updateSaveSearchForm();
+
+        const params = new URLSearchParams(this.filterSchema.toQueryParams(this.currentFilters));
+
+        if (this.currentSort) {
+            params.set('sort', this.currentSort);
+        }
+        Object.keys(this.facetSelection).forEach(key => {
+            this.facetSelection[key].forEach(value => params.append(`facet-${key}`, value));
+        });
+        Object.keys(this.facetOperators).forEach(key => {
+            const facet = this.facets.getFacet(key);
+            if (facet && this.facetOperators[key] !== facet.operator) {
+                params.set(`facet-${key}-op`, this.facetOperators[key]);
             }
+        });
+        if (this.getPagingOptions().mode === 'pages' && this.pagination && this.pagination.page > 1) {
+            params.set('page', this.pagination.page);
+        }
+        if (this.view === 'map') {
+            params.set('view', 'map');
+        }
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+
+        if (query !== window.location.search.replace(/^\?/, '')) {
+            window.history[replace ? 'replaceState' : 'pushState']({ search: query }, '', url);
         }
     }
 
     /**
-     * Show no data message for specific filter
-     * @param {string} filterValue - Filter value that has no results
+     * Restore search state on back/forward navigation
      */
-    showNoDataMessage(filterValue) {
-        const container = document.getElementById('properties-container');
-        if (!container) return;
+    setupURLState() {
+        window.addEventListener('popstate', async () => {
+            const state = this.readURLState();
+            this.applyURLState(state);
+            await this.reloadProperties(state.page);
+        });
+    }
 
-        const filterName = this.getFilterDisplayName(filterValue);
-        
-        container.innerHTML = `
-            <div class="col-12">
-                <div class="text-center py-5">
-                    <div class="th-empty-state">
-                        <i class="fa-light fa-home fa-3x mb-3 text-muted"></i>
-                        <h4 class="mb-3">No ${filterName} Properties Found</h4>
-                        <p class="text-muted mb-4">We don't have any ${filterName.toLowerCase()} properties available at the moment.</p>
-                        <button type="button" class="th-btn" onclick="propertyDisplay.clearFilters()">
-                            View All Properties
-                        </button>
-                    </div>
-                </div>
-            </div>
-        `;
+    /**
+     * Fill search form controls from criteria
+     * @param {object} criteria - Normalized search criteria
+     */
+    populateSearchForms(criteria) {
+        const heroForm = document.querySelector('form[data-hero-search]');
+        const purposePane = heroForm && criteria.purpose
+            ? heroForm.querySelector(`[data-search-purpose="${criteria.purpose}"]`)
+            : null;
+        const heroPane = purposePane || (heroForm ? heroForm.querySelector('.tab-pane.active[data-search-purpose]') : null);
+        const roots = [...document.querySelectorAll('form[data-search-form]'), heroPane].filter(Boolean);
+
+        roots.forEach(root => {
+            root.querySelectorAll('select, input[type="text"], input[type="number"], input[type="search"]').forEach(input => {
+                if (!input.name) return;
+
+                const filter = this.filterSchema.getFilter(this.normalizeFieldName(input.name));
+                const value = filter ? criteria[filter.key] : undefined;
+                input.value = value !== undefined ? String(value) : '';
+
+                if (input.tagName === 'SELECT' && input.selectedIndex === -1) {
+                    input.selectedIndex = 0;
+                }
+            });
+
+            if (window.jQuery && jQuery.fn.niceSelect) {
+                jQuery(root).find('select.nice-select').niceSelect('update');
+            }
+        });
     }
 
     /**
-     * Get display name for filter
-     * @param {string} filterValue - Filter value
-     * @returns {string} - Display name
+     * Mark a filter button as active
+     * @param {string} filterValue - Filter value, e.g. "*" or ".single-story"
      */
-    getFilterDisplayName(filterValue) {
-        const filterNames = {
-            'single-story': 'Single Story',
-            'double-story': 'Double Story',
-            'small-lot-design': 'Small Lot Design',
-            'farm-house': 'Farm House',
-            'house': 'House',
-            'apartment': 'Apartment',
-            'villa': 'Villa',
-            'condo': 'Condo'
-        };
+    setActiveFilterButton(filterValue) {
+        const filterButtons = document.querySelectorAll('.filter-menu [data-filter]');
+        filterButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-filter') === filterValue);
+        });
+    }
+
+    /**
+     * Clear all filters and reload properties
+     */
+    async clearFilters() {
+        this.currentFilters = {};
+        this.currentSort = null;
+        this.facetSelection = {};
+        this.facetOperators = {};
         
-        return filterNames[filterValue] || filterValue;
+        // Reset form inputs
+        const forms = document.querySelectorAll('form[data-search-form], form[data-hero-search]');
+        forms.forEach(form => {
+            form.reset();
+
+            if (window.jQuery && jQuery.fn.niceSelect) {
+                jQuery(form).find('select.nice-select').niceSelect('update');
+            }
+        });
+
+        // Reset filter buttons to "View All"
+        this.setActiveFilterButton('*');
+        this.setKeywordInput('');
+        this.syncPriceRange();
+        this.syncMapArea();
+
+        const sortSelect = document.getElementById('sort-properties');
+        if (sortSelect) {
+            sortSelect.value = '';
+        }
+
+        await this.loadInitialProperties();
+        this.updateURLState();
     }
 
     /**
-     * Sort properties
-     * @param {string} sortBy - Sort criteria
+     * Show quick view modal for property
+     * @param {string} propertyId - Property ID
      */
-    sortProperties(sortBy) {
-        const sortedProperties = this.api.sortProperties(this.currentProperties, sortBy);
-        this.displayProperties(sortedProperties);
+    async showQuickView(propertyId) {
+        try {
+            const response = await this.api.getPropertyDetails(propertyId);
+            
+            if (response.success) {
+                // Create and show quick view modal
+                this.createQuickViewModal(response.data);
+            } else {
+                throw this.createResponseError(response, 'Failed to load property details');
+            }
+        } catch (error) {
+            console.error('Quick view error:', error);
+            this.showError(this.getErrorMessage(error, 'Failed to load property details.'));
+        }
+    }
+
+    /**
+     * Toggle wishlist for property
+     * @param {string} propertyId - Property ID
+     */
+    toggleWishlist(propertyId) {
+        if (!this.wishlist) return;
+
+        if (this.wishlist.has(propertyId)) {
+            this.wishlist.remove(propertyId);
+            return;
+        }
+
+        const property = this.renderedProperties.get(propertyId);
+        if (!property) {
+            console.warn('Cannot add unknown property to wishlist:', propertyId);
+            return;
+        }
+
+        this.wishlist.add(property);
+    }
+
+    /**
+     * Check if a property is in the wishlist
+     * @param {string} propertyId - Property ID
+     * @returns {boolean} - True if saved
+     */
+    isWishlisted(propertyId) {
+        return this.wishlist ? this.wishlist.has(propertyId) : false;
+    }
+
+    /**
+     * Get label for the favorite action
+     * @param {boolean} isWishlisted - Whether the property is saved
+     * @returns {string} - Action label
+     */
+    getWishlistLabel(isWishlisted) {
+        return isWishlisted ? 'Remove Favorite' : 'Add To Favorite';
+    }
+
+    /**
+     * Subscribe to wishlist changes and render initial wishlist state
+     */
+    setupWishlist() {
+        if (!this.wishlist) return;
+
+        this.wishlist.subscribe(() => {
+            this.updateWishlistState();
+            this.displayWishlist();
+        });
+
+        this.updateWishlistState();
+        this.displayWishlist();
+    }
+
+    /**
+     * Reflect wishlist state on every rendered card and the header badge
+     */
+    updateWishlistState() {
+        const buttons = document.querySelectorAll('.wishlist-toggle[data-property-id]');
+        buttons.forEach(button => {
+            const isWishlisted = this.isWishlisted(button.getAttribute('data-property-id'));
+            button.classList.toggle('active', isWishlisted);
+            button.setAttribute('aria-pressed', isWishlisted);
+
+            const label = button.querySelector('.action-text');
+            if (label) {
+                label.textContent = this.getWishlistLabel(isWishlisted);
+            }
+        });
+
+        const countElements = document.querySelectorAll('[data-wishlist-count]');
+        countElements.forEach(element => {
+            const count = this.wishlist.count();
+            element.textContent = count;
+            element.style.display = count > 0 ? '' : 'none';
+        });
+    }
+
+    /**
+     * Display saved properties on the wishlist page
+     */
+    displayWishlist() {
+        const container = document.getElementById('wishlist-container');
+        if (!container) return;
+
+        const properties = this.wishlist.getAll().map(item => item.property);
+        if (properties.length === 0) {
+            this.renderCards(container, this.getNoWishlistHTML());
+            return;
+        }
+
+        this.renderCards(container, html`${properties.map(property => this.createPropertyCard(property))}`, properties);
+    }
+
+    /**
+     * Get HTML for an empty wishlist
+     * @returns {SafeHTML} - HTML markup
+     */
+    getNoWishlistHTML() {
+        return html`
+            <div class="col-12">
+                <div class="text-center py-5">
+                    <div class="th-empty-state">
+                        <i class="fa-light fa-heart fa-3x mb-3 text-muted"></i>
+                        <h4 class="mb-3">Your Wishlist Is Empty</h4>
+                        <p class="text-muted mb-4">Tap the heart on any floor plan to save it here.</p>
+                        <a href="index.html" class="th-btn">Browse Floor Plans</a>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Add or remove a property from the comparison
+     * @param {string} propertyId - Property ID
+     */
+    toggleCompare(propertyId) {
+        if (!this.compare) return;
+
+        if (this.compare.has(propertyId)) {
+            this.compare.remove(propertyId);
+            return;
+        }
+
+        const property = this.renderedProperties.get(propertyId);
+        if (!property) {
+            console.warn('Cannot compare unknown property:', propertyId);
+            return;
+        }
+
+        if (!this.compare.add(property) && this.comparison) {
+            this.comparison.showNotice(`You can compare up to ${this.compare.limit} properties. Remove one to add another.`);
+        }
+    }
+
+    /**
+     * Check if a property is being compared
+     * @param {string} propertyId - Property ID
+     * @returns {boolean} - True if picked for comparison
+     */
+    isCompared(propertyId) {
+        return this.compare ? this.compare.has(propertyId) : false;
+    }
+
+    /**
+     * Get the compare button label for a property
+     * @param {boolean} isCompared - Whether the property is being compared
+     * @returns {string} - Button label
+     */
+    getCompareLabel(isCompared) {
+        return isCompared ? 'Remove From Compare' : 'Add To Compare';
+    }
+
+    /**
+     * Setup the compare tray and keep compare buttons in sync
+     */
+    setupCompare() {
+        if (!this.compare) return;
+
+        if (this.comparison) {
+            this.comparison.init();
+        }
+        this.compare.subscribe(() => this.updateCompareState());
+        this.updateCompareState();
+    }
+
+    /**
+     * Reflect comparison state on every rendered card
+     */
+    updateCompareState() {
+        const buttons = document.querySelectorAll('.compare-toggle[data-compare-id]');
+        buttons.forEach(button => {
+            const isCompared = this.isCompared(button.getAttribute('data-compare-id'));
+            button.classList.toggle('active', isCompared);
+            button.setAttribute('aria-pressed', isCompared);
+
+            const label = button.querySelector('.action-text');
+            if (label) {
+                label.textContent = this.getCompareLabel(isCompared);
+            }
+        });
+    }
+
+    /**
+     * Update property statistics display
+     */
+    updatePropertyStats() {
+        const stats = this.api.getPropertyStats(this.currentProperties);
+        
+        // Update stats elements if they exist
+        const totalElement = document.getElementById('total-properties');
+        if (totalElement) {
+            totalElement.textContent = stats.total;
+        }
+
+        const featuredElement = document.getElementById('featured-properties');
+        if (featuredElement) {
+            featuredElement.textContent = stats.featured;
+        }
+    }
+
+    /**
+     * Update search results count
+     * @param {number} count - Number of results
+     */
+    updateSearchResultsCount(count) {
+        const resultsElement = document.getElementById('search-results-count');
+        if (resultsElement) {
+            resultsElement.textContent = `${count} properties found`;
+        }
+    }
+
+    /**
+     * Show loading indicator
+     */
+    showLoading() {
+        this.isLoading = true;
+        const loadingElement = document.getElementById('loading-indicator');
+        if (loadingElement) {
+            loadingElement.style.display = 'block';
+        }
+        
+        // Add loading class to properties container
+        const container = document.getElementById('properties-container');
+        if (container) {
+            container.classList.add('loading');
+        }
+    }
+
+    /**
+     * Hide loading indicator
+     */
+    hideLoading() {
+        this.isLoading = false;
+        const loadingElement = document.getElementById('loading-indicator');
+        if (loadingElement) {
+            loadingElement.style.display = 'none';
+        }
+        
+        // Remove loading class from properties container
+        const container = document.getElementById('properties-container');
+        if (container) {
+            container.classList.remove('loading');
+        }
+    }
+
+    /**
+     * Show loading indicator for featured section
+     */
+    showFeaturedLoading() {
+        const loadingElement = document.getElementById('featured-loading-indicator');
+        if (loadingElement) {
+            loadingElement.style.display = 'block';
+        }
+        
+        // Add loading class to featured properties container
+        const container = document.getElementById('featured-properties-container');
+        if (container) {
+            container.classList.add('loading');
+        }
+    }
+
+    /**
+     * Hide loading indicator for featured section
+     */
+    hideFeaturedLoading() {
+        const loadingElement = document.getElementById('featured-loading-indicator');
+        if (loadingElement) {
+            loadingElement.style.display = 'none';
+        }
+        
+        // Remove loading class from featured properties container
+        const container = document.getElementById('featured-properties-container');
+        if (container) {
+            container.classList.remove('loading');
+        }
+    }
+
+    /**
+     * Show no featured properties message
+     */
+    showNoFeaturedProperties() {
+        const container = document.getElementById('featured-properties-container');
+        if (container) {
+            this.renderCards(container, this.getNoFeaturedPropertiesHTML());
+        }
+    }
+
+    /**
+     * Show error message
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        const errorContainer = document.getElementById('error-container') || this.createErrorContainer();
+        setHTML(errorContainer, html`
+            <div class="alert alert-danger" role="alert">
+                <i class="fa-light fa-exclamation-triangle me-2"></i>
+                ${message}
+            </div>
+        `);
+        errorContainer.style.display = 'block';
+        
+        // Auto-hide after 5 seconds
+        setTimeout(() => {
+            errorContainer.style.display = 'none';
+        }, 5000);
+    }
+
+    /**
+     * Create error container if it doesn't exist
+     * @returns {HTMLElement} - Error container element
+     */
+    createErrorContainer() {
+        const container = document.createElement('div');
+        container.id = 'error-container';
+        container.style.display = 'none';
+        container.className = 'container mt-3';
+        
+        const propertiesContainer = document.getElementById('properties-container');
+        if (propertiesContainer && propertiesContainer.parentNode) {
+            propertiesContainer.parentNode.insertBefore(container, propertiesContainer);
+        }
+        
+        return container;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Category buttons for properties section, re-rendered with every facet update
+        document.querySelectorAll('.filter-menu[data-property-filter]').forEach(menu => {
+            menu.addEventListener('click', async (e) => {
+                const button = e.target.closest('[data-filter]');
+                if (!button) return;
+
+                e.preventDefault();
+                const filterValue = button.getAttribute('data-filter');
+                this.setActiveFilterButton(filterValue);
+                await this.applyFilter(filterValue);
+                this.updateURLState();
+            });
+        });
+
+        // Facet buttons
+        const facetPanel = document.getElementById('property-facets');
+        if (facetPanel) {
+            facetPanel.addEventListener('click', async (e) => {
+                const button = e.target.closest('button');
+                if (!button || !facetPanel.contains(button)) return;
+
+                const facetElement = button.closest('[data-facet]');
+                const key = facetElement ? facetElement.getAttribute('data-facet') : null;
+
+                if (button.hasAttribute('data-facet-clear')) {
+                    await this.clearFacets();
+                } else if (key && button.hasAttribute('data-facet-operator')) {
+                    await this.setFacetOperator(key, button.getAttribute('data-facet-operator'));
+                } else if (key && button.hasAttribute('data-facet-value')) {
+                    await this.toggleFacetValue(key, button.getAttribute('data-facet-value'));
+                } else {
+                    return;
+                }
+
+                this.updateURLState();
+            });
+        }
+
+        // Sort dropdown
+        const sortSelect = document.getElementById('sort-properties');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', async (e) => {
+                await this.sortProperties(e.target.value);
+                this.updateURLState();
+            });
+        }
+    }
+
+    /**
+     * Apply a category from the category menu
+     * The category is a search criterion, so in paging mode the server filters the pages and
+     * their totals; a complete loaded set is filtered on the client
+     * @param {string} filterValue - Filter value, "*" or a category class selector such as ".single-story"
+     */
+    async applyFilter(filterValue) {
+        const category = filterValue && filterValue !== '*' ? filterValue.replace(/^\./, '') : undefined;
+        await this.updateCriteria({ category: category });
+    }
+
+    /**
+     * Get the category menu value for the current criteria
+     * @returns {string} - "*" or a category class selector such as ".single-story"
+     */
+    getActiveFilter() {
+        const category = this.currentFilters.category;
+        return category ? `.${this.getCategoryClass(category)}` : '*';
+    }
+
+    /**
+     * Render current properties with the active sort and filter applied
+     */
+    renderCurrentProperties() {
+        this.displayProperties(this.currentProperties);
+        this.arrangeGrid();
+    }
+
+    /**
+     * Run the active filter, facets and sort through the grid layout
+     * When pages are cut on the client, facets cover the full result set and the page is already final
+     */
+    arrangeGrid() {
+        const resultSet = this.getResultSet();
+        const keyword = this.currentFilters.keyword || '';
+        const hasPriceRange = this.currentFilters.minPrice !== undefined || this.currentFilters.maxPrice !== undefined;
+        const hasArea = this.currentFilters.bounds !== undefined;
+        const { keywordResults, candidates } = this.getCandidates(resultSet ? resultSet.properties : this.currentProperties);
+        const selection = this.getFacetSelection();
+
+        const facets = this.facets.compute(candidates, selection, this.facetOperators);
+
+        this.keywordMatches = new Map((keywordResults || []).map(result => [String(result.property.id), result.tokens]));
+        // A server page holds only part of the results, so its counts would mislead
+        this.renderFacets(this.getPagingOptions().mode && !resultSet ? this.withoutCounts(facets) : facets);
+        this.highlightCards();
+
+        if (this.map) {
+            // Pins follow the list, including the category menu
+            this.map.setProperties(resultSet ? this.currentProperties : this.facets.filter(candidates, selection, this.facetOperators));
+        }
+
+        if (!this.grid || this.currentProperties.length === 0) {
+            this.hideNoDataMessage();
+            return;
+        }
+
+        const isFiltered = !resultSet && (keywordResults || hasPriceRange || hasArea
+            || Object.keys(this.facetSelection).length > 0 || selection.category.length > 0);
+        const matching = isFiltered ? this.facets.filter(candidates, selection, this.facetOperators) : null;
+        // Keyword results are ranked by relevance unless a sort is chosen
+        const sorted = resultSet ? null : this.currentSort ? this.sorter.sort(this.currentProperties, this.currentSort) : keywordResults && candidates;
+        // The category reaches the grid through the facet selection, or was applied by the server
+        this.grid.setFilter('*');
+        this.grid.setMatches(matching ? matching.map(property => property.id) : null);
+        this.grid.setOrder(sorted ? sorted.map(property => property.id) : null);
+
+        if (this.grid.arrange() === 0) {
+            const activeFilter = this.getActiveFilter();
+            this.showNoDataMessage(activeFilter === '*' || keyword || hasPriceRange || hasArea ? 'Matching' : activeFilter.replace(/^\./, ''));
+        } else {
+            this.hideNoDataMessage();
+        }
+    }
+
+    /**
+     * Apply the keyword, price range and map area to some properties
+     * @param {array} properties - Properties to filter
+     * @returns {object} - Result ({ keywordResults: ranked results or null, candidates: matching properties })
+     */
+    getCandidates(properties) {
+        const keyword = this.currentFilters.keyword || '';
+        const keywordResults = keyword ? this.keywordSearch.search(properties, keyword) : null;
+        const candidates = (keywordResults ? keywordResults.map(result => result.property) : properties)
+            .filter(property => this.matchesPriceRange(property) && this.matchesBounds(property));
+
+        return { keywordResults, candidates };
+    }
+
+    /**
+     * Get the properties matching every criterion and facet, in display order
+     * @param {array} properties - Properties to filter
+     * @returns {array} - Matching properties, sorted or ranked by keyword relevance
+     */
+    getMatchingResults(properties) {
+        const { candidates } = this.getCandidates(properties);
+        const matching = this.facets.filter(candidates, this.getFacetSelection(), this.facetOperators);
+        return this.currentSort ? this.sorter.sort(matching, this.currentSort) : matching;
+    }
+
+    /**
+     * Get the full facet selection, including the category from the filter menu
+     * A category the loaded set was already fetched with is left to the server
+     * @returns {object} - Selected values keyed by facet
+     */
+    getFacetSelection() {
+        const activeFilter = this.getActiveFilter();
+        const category = activeFilter === '*' || this.loadedResults.criteria.category !== undefined
+            ? []
+            : [activeFilter.replace(/^\./, '')];
+        return { ...this.facetSelection, category: category };
+    }
+
+    /**
+     * Select or deselect a facet value
+     * In paging mode the first facet selection loads the full result set to filter
+     * @param {string} key - Facet key
+     * @param {string} value - Facet value
+     */
+    async toggleFacetValue(key, value) {
+        const selected = this.facetSelection[key] || [];
+        const values = selected.includes(value)
+            ? selected.filter(item => item !== value)
+            : [...selected, value];
+
+        this.facetSelection = this.facets.normalizeSelection({ ...this.facetSelection, [key]: values });
+        await this.refreshFacets();
+    }
+
+    /**
+     * Switch how a facet combines its selected values
+     * @param {string} key - Facet key
+     * @param {string} operator - "and" | "or"
+     */
+    async setFacetOperator(key, operator) {
+        this.facetOperators = { ...this.facetOperators, [key]: operator === 'and' ? 'and' : 'or' };
+        await this.refreshFacets();
+    }
+
+    /**
+     * Clear every facet selection except the category
+     */
+    async clearFacets() {
+        this.facetSelection = {};
+        this.facetOperators = {};
+        await this.refreshFacets();
+    }
+
+    /**
+     * Apply changed facets
+     * In paging mode the first facet loads the full result set, and clearing the last one
+     * goes back to server pages
+     */
+    async refreshFacets() {
+        if (this.getPagingOptions().mode && !this.getResultSet()) {
+            await this.loadPage(1);
+        } else {
+            this.refreshResults();
+        }
+    }
+
+    /**
+     * Drop the counts from computed facets, leaving the values to pick from
+     * @param {array} facets - Facets from PropertyFacets.compute
+     * @returns {array} - Facets with null totals and counts
+     */
+    withoutCounts(facets) {
+        return facets.map(facet => ({
+            ...facet,
+            total: null,
+            values: facet.values.map(item => ({ ...item, count: null }))
+        }));
+    }
+
+    /**
+     * Render the category menu and facet panel from computed facets
+     * @param {array} facets - Facets from PropertyFacets.compute
+     */
+    renderFacets(facets) {
+        const category = facets.find(facet => facet.key === 'category');
+        if (category) {
+            this.renderCategoryMenu(category);
+        }
+
+        const panel = document.getElementById('property-facets');
+        if (!panel) return;
+
+        const visible = facets.filter(facet => facet.key !== 'category' && facet.values.length > 0);
+        const hasSelection = Object.keys(this.facetSelection).length > 0;
+
+        setHTML(panel, html`
+            ${visible.map(facet => this.createFacetHTML(facet))}
+            ${hasSelection ? html`
+                <div class="property-facet property-facet-actions">
+                    <button type="button" class="property-facet-clear" data-facet-clear>Clear filters</button>
+                </div>
+            ` : ''}
+        `);
+        panel.style.display = visible.length > 0 ? '' : 'none';
+    }
+
+    /**
+     * Render the category filter buttons, with counts when they cover every result
+     * Categories come from the loaded properties, so new API categories appear automatically
+     * @param {object} facet - Computed category facet
+     */
+    renderCategoryMenu(facet) {
+        const menus = document.querySelectorAll('.filter-menu[data-property-filter]');
+        if (menus.length === 0) return;
+
+        const activeFilter = this.getActiveFilter();
+        const buttons = html`
+            <button data-filter="*" class="th-btn tab-btn${activeFilter === '*' ? ' active' : ''}" type="button">
+                View All ${facet.total !== null ? html`<span class="facet-count">${facet.total}</span>` : ''}
+            </button>
+            ${facet.values.map(item => html`
+                <button data-filter=".${item.value}" class="th-btn tab-btn${activeFilter === `.${item.value}` ? ' active' : ''}" type="button"
+                    ${item.count === 0 && activeFilter !== `.${item.value}` ? html`disabled` : ''}>
+                    ${item.label} ${item.count !== null ? html`<span class="facet-count">${item.count}</span>` : ''}
+                </button>
+            `)}
+        `;
+
+        menus.forEach(menu => {
+            // Keep the indicator line main.js adds to .indicator-active menus
+            const indicator = menu.querySelector('.indicator');
+            setHTML(menu, buttons);
+
+            if (indicator) {
+                menu.appendChild(indicator);
+                menu.dispatchEvent(new CustomEvent('indicator:refresh'));
+            }
+        });
+    }
+
+    /**
+     * Create HTML for one facet group
+     * @param {object} facet - Computed facet
+     * @returns {SafeHTML} - Facet markup
+     */
+    createFacetHTML(facet) {
+        const definition = this.facets.getFacet(facet.key);
+        const nextOperator = facet.operator === 'and' ? 'or' : 'and';
+
+        return html`
+            <div class="property-facet" data-facet="${facet.key}">
+                <div class="property-facet-header">
+                    <span class="property-facet-title">${facet.label}</span>
+                    ${definition && definition.switchable ? html`
+                        <button type="button" class="property-facet-operator" data-facet-operator="${nextOperator}"
+                            title="Switch to match ${nextOperator === 'and' ? 'all' : 'any'} selected">
+                            Match ${facet.operator === 'and' ? 'all' : 'any'}
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="property-facet-values">
+                    ${facet.values.map(item => html`
+                        <button type="button" class="property-facet-value${item.selected ? ' active' : ''}" data-facet-value="${item.value}"
+                            aria-pressed="${item.selected ? 'true' : 'false'}" ${item.count === 0 && !item.selected ? html`disabled` : ''}>
+                            ${item.label} ${item.count !== null ? html`<span class="facet-count">${item.count}</span>` : ''}
+                        </button>
+                    `)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show no data message for specific filter
+     * @param {string} filterValue - Filter value that has no results
+     */
+    showNoDataMessage(filterValue) {
+        const element = this.getNoDataElement();
+        if (!element) return;
+
+        const filterName = this.getFilterDisplayName(filterValue);
+        const icon = this.categories.getIcon(filterValue);
+        element.style.display = '';
+        
+        setHTML(element, html`
+            <div class="col-12">
+                <div class="text-center py-5">
+                    <div class="th-empty-state">
+                        <i class="${icon} fa-3x mb-3 text-muted"></i>
+                        <h4 class="mb-3">No ${filterName} Properties Found</h4>
+                        <p class="text-muted mb-4">We don't have any ${filterName.toLowerCase()} properties available at the moment.</p>
+                        <button type="button" class="th-btn" onclick="propertyDisplay.clearFilters()">
+                            View All Properties
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * Hide the no data message shown for an empty filter
+     */
+    hideNoDataMessage() {
+        const element = document.getElementById('properties-filter-empty');
+        if (element) {
+            element.style.display = 'none';
+        }
+    }
+
+    /**
+     * Get or create the element for the no data message
+     * It sits after the grid so filtering never replaces the cards
+     * @returns {HTMLElement|null} - Message element
+     */
+    getNoDataElement() {
+        let element = document.getElementById('properties-filter-empty');
+        if (element) return element;
+
+        const container = document.getElementById('properties-container');
+        if (!container || !container.parentNode) return null;
+
+        element = document.createElement('div');
+        element.id = 'properties-filter-empty';
+        element.className = 'row justify-content-center';
+        container.parentNode.insertBefore(element, container.nextSibling);
+        return element;
+    }
+
+    /**
+     * Get display name for filter
+     * @param {string} filterValue - Filter value
+     * @returns {string} - Display name
+     */
+    getFilterDisplayName(filterValue) {
+        return this.categories.getLabel(String(filterValue).replace(/^\./, ''));
+    }
+
+    /**
+     * Setup the keyword box with search-as-you-type and autocomplete
+     */
+    setupKeywordSearch() {
+        const form = document.querySelector('form[data-keyword-search]');
+        const input = form ? form.querySelector('input[name="keyword"]') : null;
+        const list = form ? form.querySelector('[data-keyword-suggestions]') : null;
+        if (!input || !list) return;
+
+        this.keywordUI = { form, input, list, suggestions: [], activeIndex: -1 };
+
+        input.addEventListener('input', () => {
+            this.updateKeywordSuggestions();
+
+            clearTimeout(this.keywordTimer);
+            this.keywordTimer = setTimeout(async () => {
+                await this.searchKeyword(input.value);
+                this.updateURLState(true);
+            }, 250);
+        });
+
+        input.addEventListener('focus', () => this.updateKeywordSuggestions());
+        input.addEventListener('blur', () => this.closeKeywordSuggestions());
+
+        input.addEventListener('keydown', (e) => {
+            const { suggestions, activeIndex } = this.keywordUI;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                if (suggestions.length === 0) return;
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                // Positions cycle through the suggestions and back to the typed text (-1)
+                const positions = suggestions.length + 1;
+                this.keywordUI.activeIndex = (activeIndex + 1 + step + positions) % positions - 1;
+                this.renderKeywordSuggestions();
+            } else if (e.key === 'Enter' && activeIndex >= 0) {
+                e.preventDefault();
+                this.selectKeywordSuggestion(suggestions[activeIndex]);
+            } else if (e.key === 'Escape') {
+                this.closeKeywordSuggestions();
+            }
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            clearTimeout(this.keywordTimer);
+            this.closeKeywordSuggestions();
+
+            await this.searchKeyword(input.value, { remember: true });
+            this.updateURLState();
+        });
+
+        // Keep focus in the input while picking a suggestion with the mouse
+        list.addEventListener('mousedown', (e) => e.preventDefault());
+        list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-suggestion-index]');
+            if (!option) return;
+
+            const index = parseInt(option.getAttribute('data-suggestion-index'), 10);
+            this.selectKeywordSuggestion(this.keywordUI.suggestions[index]);
+        });
+    }
+
+    /**
+     * Apply a keyword to the grid
+     * @param {string} value - Keyword query
+     * @param {object} options - { remember: add the query to recent searches }
+     */
+    async searchKeyword(value, options = {}) {
+        const keyword = String(value || '').trim().replace(/\s+/g, ' ');
+        if (options.remember) {
+            this.recentSearches.add(keyword);
+        }
+
+        await this.updateCriteria({ keyword: keyword });
+    }
+
+    /**
+     * Change some search criteria and refresh the results
+     * The loaded set is filtered on the client when it holds every result; larger catalogs,
+     * or a set the server already narrowed by one of these criteria, are searched on the server
+     * @param {object} changes - Criteria to set, empty or undefined values clear a criterion
+     * @returns {Promise<boolean>} - True if the criteria changed
+     */
+    async updateCriteria(changes) {
+        const criteria = this.filterSchema.normalize({ ...this.currentFilters, ...changes });
+        if (this.filterSchema.isEqual(criteria, this.currentFilters)) return false;
+
+        this.currentFilters = criteria;
+
+        if (this.canFilterLoaded(criteria)) {
+            this.refreshResults();
+        } else {
+            await this.reloadProperties(1);
+        }
+        return true;
+    }
+
+    /**
+     * Check if criteria can be applied to the loaded set without a request
+     * @param {object} criteria - Normalized search criteria
+     * @returns {boolean} - True if the loaded set holds every result and only client filters changed
+     */
+    canFilterLoaded(criteria) {
+        // Server pages and their totals have to see every criterion; pages cut from the full
+        // result set only need it reloaded when the server criteria change
+        if (this.getPagingOptions().mode) {
+            return Boolean(this.getResultSet(criteria));
+        }
+        if (!this.loadedResults.complete) return false;
+
+        const loaded = this.loadedResults.criteria;
+        const keys = new Set([...Object.keys(loaded), ...Object.keys(criteria)]);
+
+        return [...keys].every(key => CLIENT_FILTER_KEYS.includes(key)
+            ? loaded[key] === undefined
+            : loaded[key] === criteria[key]);
+    }
+
+    /**
+     * Set the keyword box value without triggering a search
+     * @param {string} keyword - Keyword to show
+     */
+    setKeywordInput(keyword) {
+        const input = document.querySelector('form[data-keyword-search] input[name="keyword"]');
+        if (input) {
+            input.value = keyword;
+        }
+    }
+
+    /**
+     * Rebuild the suggestions for the current keyword box value
+     */
+    updateKeywordSuggestions() {
+        if (!this.keywordUI) return;
+
+        const loadedCategories = new Set(this.currentProperties.map(property => this.getCategoryClass(property.category)));
+        this.keywordUI.suggestions = this.keywordSearch.suggest(this.keywordUI.input.value, {
+            properties: this.currentProperties,
+            categories: this.categories.getAll().filter(category => loadedCategories.has(category.slug)),
+            recent: this.recentSearches.getAll()
+        });
+        this.keywordUI.activeIndex = -1;
+        this.renderKeywordSuggestions();
+    }
+
+    /**
+     * Render the suggestion list
+     */
+    renderKeywordSuggestions() {
+        const { input, list, suggestions, activeIndex } = this.keywordUI;
+        const icons = {
+            recent: 'fa-regular fa-clock-rotate-left',
+            location: 'fa-regular fa-location-dot'
+        };
+        const typeLabels = {
+            recent: 'Recent',
+            location: 'Location',
+            category: 'Category'
+        };
+
+        setHTML(list, html`${suggestions.map((suggestion, index) => html`
+            <li id="keyword-suggestion-${index}" class="keyword-suggestion${index === activeIndex ? ' active' : ''}" role="option"
+                aria-selected="${index === activeIndex ? 'true' : 'false'}" data-suggestion-index="${index}">
+                <i class="${icons[suggestion.type] || this.categories.getIcon(suggestion.value)}"></i>
+                <span class="keyword-suggestion-label">${suggestion.label}</span>
+                <span class="keyword-suggestion-type">${typeLabels[suggestion.type]}</span>
+            </li>
+        `)}`);
+
+        list.hidden = suggestions.length === 0;
+        input.setAttribute('aria-expanded', suggestions.length > 0 ? 'true' : 'false');
+        if (activeIndex >= 0) {
+            input.setAttribute('aria-activedescendant', `keyword-suggestion-${activeIndex}`);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Hide the suggestion list
+     */
+    closeKeywordSuggestions() {
+        if (!this.keywordUI) return;
+
+        this.keywordUI.suggestions = [];
+        this.keywordUI.activeIndex = -1;
+        this.renderKeywordSuggestions();
+    }
+
+    /**
+     * Apply a picked suggestion
+     * Categories switch the category filter, locations and recent searches become the keyword
+     * @param {object} suggestion - Suggestion from KeywordSearch.suggest
+     */
+    async selectKeywordSuggestion(suggestion) {
+        if (!suggestion) return;
+
+        clearTimeout(this.keywordTimer);
+        this.closeKeywordSuggestions();
+
+        if (suggestion.type === 'category') {
+            this.keywordUI.input.value = '';
+            await this.updateCriteria({ keyword: '', category: suggestion.value });
+            this.setActiveFilterButton(this.getActiveFilter());
+        } else {
+            this.keywordUI.input.value = suggestion.value;
+            await this.searchKeyword(suggestion.value, { remember: true });
+        }
+
+        this.updateURLState();
+    }
+
+    /**
+     * Highlight matched keyword terms in the card titles
+     */
+    highlightCards() {
+        const container = document.getElementById('properties-container');
+        if (!container) return;
+
+        container.querySelectorAll('.filter-item[data-property-id]').forEach(card => {
+            const propertyId = card.getAttribute('data-property-id');
+            const property = this.renderedProperties.get(propertyId);
+            const title = card.querySelector('[data-highlight="title"]');
+            if (!property || !title) return;
+
+            setHTML(title, this.keywordSearch.highlight(property.title, this.keywordMatches.get(propertyId)));
+        });
+    }
+
+    /**
+     * Setup saved searches: the save form, the saved search list and new listing alerts
+     */
+    setupSavedSearches() {
+        const panel = document.querySelector('[data-saved-searches]');
+        if (!panel || !this.savedSearches) return;
+
+        const form = panel.querySelector('form[data-save-search]');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = form.querySelector('input[name="name"]');
+                this.saveCurrentSearch(input ? input.value : '');
+                if (input) input.value = '';
+            });
+        }
+
+        panel.addEventListener('click', async (e) => {
+            const item = e.target.closest('[data-saved-search-id]');
+            if (!item) return;
+
+            const id = item.getAttribute('data-saved-search-id');
+            if (e.target.closest('[data-saved-search-remove]')) {
+                this.savedSearches.remove(id);
+            } else if (e.target.closest('[data-saved-search-run]')) {
+                await this.runSavedSearch(id);
+            }
+        });
+
+        this.savedSearches.subscribe(() => this.renderSavedSearches());
+        this.renderSavedSearches();
+        this.updateSaveSearchForm();
+        this.checkSavedSearches();
+    }
+
+    /**
+     * Save the current criteria as a named search
+     * @param {string} name - Name entered by the visitor, defaults to a summary of the criteria
+     * @returns {object|null} - Saved search
+     */
+    saveCurrentSearch(name) {
+        return this.savedSearches.add(name || this.describeSearch(this.currentFilters), this.currentFilters);
+    }
+
+    /**
+     * Re-run a saved search
+     * @param {string} id - Saved search id
+     */
+    async runSavedSearch(id) {
+        const item = this.savedSearches.get(id);
+        if (!item) return;
+
+        this.currentFilters = this.filterSchema.normalize(item.criteria);
+        this.populateSearchForms(this.currentFilters);
+        this.setActiveFilterButton(this.getActiveFilter());
+        this.setKeywordInput(this.currentFilters.keyword || '');
+        this.syncPriceRange();
+        this.syncMapArea();
+        this.savedSearches.markRun(id);
+
+        const sortSelect = document.getElementById('sort-properties');
+        if (sortSelect) {
+            sortSelect.value = this.currentSort || '';
+        }
+
+        await this.performSearch(this.currentFilters);
+        this.updateURLState();
+    }
+
+    /**
+     * Count new listings for every saved search, once per visit
+     * Listings count as new when created after the previous visit or the last run of the search
+     */
+    async checkSavedSearches() {
+        const { since, isNewVisit } = this.savedSearches.startVisit();
+        if (!isNewVisit || !since) return;
+
+        // One search at a time, this runs in the background behind the page
+        // Every match is counted: the server may not sort by newest, so a first page can miss new listings
+        for (const item of this.savedSearches.getAll()) {
+            const response = await this.api.getAllResults(item.criteria);
+            if (!response.success) continue;
+
+            // The server may not filter by keyword, price or map area, so match them here as the grid does
+            const properties = (item.criteria.keyword
+                ? this.keywordSearch.search(response.data, item.criteria.keyword).map(result => result.property)
+                : response.data)
+                .filter(property => this.matchesPriceRange(property, item.criteria) && this.matchesBounds(property, item.criteria));
+
+            this.savedSearches.setNewCount(item.id, this.savedSearches.countNewListings(properties, Math.max(since, item.lastRunAt || 0)));
+        }
+    }
+
+    /**
+     * Summarize criteria as a default saved search name
+     * @param {object} criteria - Normalized search criteria
+     * @returns {string} - Summary, e.g. "Rent · Miami · 3 beds"
+     */
+    describeSearch(criteria) {
+        const parts = [];
+
+        if (criteria.keyword) parts.push(`"${criteria.keyword}"`);
+        if (criteria.purpose) parts.push(criteria.purpose.charAt(0).toUpperCase() + criteria.purpose.slice(1));
+        if (criteria.category) parts.push(this.categories.resolve(criteria.category).label);
+        if (criteria.location) parts.push(criteria.location);
+        if (criteria.bedrooms !== undefined) parts.push(`${criteria.bedrooms} beds`);
+        if (criteria.bathrooms !== undefined) parts.push(`${criteria.bathrooms} baths`);
+        if (criteria.minPrice !== undefined || criteria.maxPrice !== undefined) {
+            // Prices are in the catalog currency, as on the price slider
+            const currency = this.priceRange ? this.priceRange.currency : undefined;
+            const min = criteria.minPrice !== undefined ? this.priceFormatter.formatAmount(criteria.minPrice, currency) : '';
+            const max = criteria.maxPrice !== undefined ? this.priceFormatter.formatAmount(criteria.maxPrice, currency) : '';
+            parts.push(min && max ? `${min} – ${max}` : min ? `From ${min}` : `Up to ${max}`);
+        }
+        if (criteria.bounds) parts.push('Map area');
+
+        return parts.slice(0, 4).join(' · ') || 'My search';
+    }
+
+    /**
+     * Render the saved search list
+     */
+    renderSavedSearches() {
+        const list = document.querySelector('[data-saved-searches] [data-saved-search-list]');
+        if (!list) return;
+
+        const items = this.savedSearches.getAll();
+        setHTML(list, html`${items.map(item => html`
+            <li class="saved-search" data-saved-search-id="${item.id}">
+                <button type="button" class="saved-search-run" data-saved-search-run
+                    title="${item.newCount > 0 ? `${item.newCount} new homes since your last visit` : 'Run this search'}">
+                    ${item.name}
+                    ${item.newCount > 0 ? html`<span class="saved-search-new">${item.newCount} new</span>` : ''}
+                </button>
+                <button type="button" class="saved-search-remove" data-saved-search-remove aria-label="Remove saved search ${item.name}">
+                    <i class="fa-regular fa-xmark"></i>
+                </button>
+            </li>
+        `)}`);
+
+        list.hidden = items.length === 0;
+    }
+
+    /**
+     * Show the save form only while there are criteria to save
+     */
+    updateSaveSearchForm() {
+        const form = document.querySelector('[data-saved-searches] form[data-save-search]');
+        if (!form) return;
+
+        const hasCriteria = Object.keys(this.currentFilters).length > 0;
+        form.hidden = !hasCriteria;
+
+        const input = form.querySelector('input[name="name"]');
+        if (input && hasCriteria) {
+            input.placeholder = this.describeSearch(this.currentFilters);
+        }
+    }
+
+    /**
+     * Set up the price range slider from catalog prices
+     * The slider stays hidden when prices can't be loaded or all listings cost the same
+     */
+    async setupPriceRange() {
+        const wrapper = document.querySelector('[data-price-range]');
+        if (!wrapper || !window.jQuery || !jQuery.fn.slider) return;
+
+        try {
+            const result = await this.api.getPriceRange();
+            const stats = result.success ? result.data : null;
+            if (!stats || stats.min === null || stats.max === null || stats.max <= stats.min) return;
+
+            const step = this.getPriceStep(stats.min, stats.max);
+            this.priceRange = {
+                min: Math.floor(stats.min / step) * step,
+                max: Math.ceil(stats.max / step) * step,
+                step: step,
+                currency: stats.currency
+            };
+
+            this.priceSlider = jQuery(wrapper).find('.price_slider');
+            this.priceSlider.slider({
+                range: true,
+                min: this.priceRange.min,
+                max: this.priceRange.max,
+                step: step,
+                values: this.getPriceRangeValues(),
+                slide: (event, ui) => this.updatePriceLabels(ui.values),
+                change: (event, ui) => {
+                    // Only visitor changes search, not syncPriceRange()
+                    if (!event.originalEvent) return;
+
+                    clearTimeout(this.priceTimer);
+                    this.priceTimer = setTimeout(() => this.applyPriceRange(ui.values), 300);
+                }
+            });
+
+            this.updatePriceLabels(this.getPriceRangeValues());
+            wrapper.hidden = false;
+        } catch (error) {
+            console.error('Error setting up price range:', error);
+        }
+    }
+
+    /**
+     * Pick a round slider step of about a hundredth of the range
+     * @param {number} min - Lowest price
+     * @param {number} max - Highest price
+     * @returns {number} - Step of 1, 2 or 5 times a power of ten
+     */
+    getPriceStep(min, max) {
+        const rough = Math.max((max - min) / 100, 1);
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const factor = [1, 2, 5].find(value => value * magnitude >= rough) || 10;
+        return factor * magnitude;
+    }
+
+    /**
+     * Search with the price range chosen on the slider
+     * A handle at the end of the range leaves that side open, so new listings beyond it still match
+     * @param {array} values - Slider values ([low, high])
+     */
+    async applyPriceRange(values) {
+        if (!this.priceRange) return;
+
+        const [low, high] = values;
+        const changed = await this.updateCriteria({
+            minPrice: low > this.priceRange.min ? low : undefined,
+            maxPrice: high < this.priceRange.max ? high : undefined
+        });
+
+        if (changed) {
+            this.updateURLState();
+        }
+    }
+
+    /**
+     * Move the slider handles to the current price criteria
+     */
+    syncPriceRange() {
+        if (!this.priceSlider) return;
+
+        const values = this.getPriceRangeValues();
+        clearTimeout(this.priceTimer);
+        this.priceSlider.slider('values', values);
+        this.updatePriceLabels(values);
+    }
+
+    /**
+     * Get slider values for the current price criteria, clamped to the catalog range
+     * @returns {array} - Slider values ([low, high])
+     */
+    getPriceRangeValues() {
+        const { min, max } = this.priceRange;
+        const clamp = value => Math.min(Math.max(value, min), max);
+        const low = this.currentFilters.minPrice !== undefined ? clamp(this.currentFilters.minPrice) : min;
+        const high = this.currentFilters.maxPrice !== undefined ? clamp(this.currentFilters.maxPrice) : max;
+
+        return [Math.min(low, high), Math.max(low, high)];
+    }
+
+    /**
+     * Show slider values in the price label
+     * @param {array} values - Slider values ([low, high])
+     */
+    updatePriceLabels(values) {
+        const wrapper = document.querySelector('[data-price-range]');
+        if (!wrapper || !this.priceFormatter) return;
+
+        const from = wrapper.querySelector('.from');
+        const to = wrapper.querySelector('.to');
+        if (from) from.textContent = this.priceFormatter.formatAmount(values[0], this.priceRange.currency);
+        if (to) to.textContent = this.priceFormatter.formatAmount(values[1], this.priceRange.currency);
+    }
+
+    /**
+     * Check if a property's price is inside the current price criteria
+     * Listings without a price can't be placed in a range and are left out while one is set
+     * @param {object} property - Normalized property
+     * @param {object} criteria - Search criteria, the current ones by default
+     * @returns {boolean} - True if it matches
+     */
+    matchesPriceRange(property, criteria = this.currentFilters) {
+        const { minPrice, maxPrice } = criteria;
+        if (minPrice === undefined && maxPrice === undefined) return true;
+
+        const price = property.price;
+        if (!price || price.kind === 'on-request' || !price.amount) return false;
+
+        return (minPrice === undefined || price.amount >= minPrice)
+            && (maxPrice === undefined || price.amount <= maxPrice);
+    }
+
+    /**
+     * Set up the map beside the list, the list/map toggle and pin highlighting from cards
+     * The toggle stays hidden on pages without a map
+     */
+    setupMap() {
+        const element = document.querySelector('[data-property-map]');
+        const container = document.getElementById('properties-container');
+        if (!element || !container || !window.PropertyMap) return;
+
+        this.map = new PropertyMap(element, {
+            renderPopup: property => this.createMapPopupHTML(property),
+            onSelect: propertyId => this.highlightCard(propertyId, { scroll: true }),
+            onHover: propertyId => this.highlightCard(propertyId),
+            onSearchArea: bounds => this.searchMapArea(bounds),
+            onClearArea: () => this.searchMapArea(null)
+        }).init();
+
+        document.querySelectorAll('[data-property-view]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.setView(button.getAttribute('data-property-view'))) {
+                    this.updateURLState();
+                }
+            });
+        });
+
+        container.addEventListener('mouseover', (e) => {
+            const card = e.target.closest('.filter-item[data-property-id]');
+            this.map.highlight(card ? card.getAttribute('data-property-id') : null);
+        });
+        container.addEventListener('mouseleave', () => this.map.highlight(null));
+
+        const toggle = document.querySelector('[data-property-view-toggle]');
+        if (toggle) {
+            toggle.hidden = false;
+        }
+    }
+
+    /**
+     * Show results as a list, or as a list beside the map
+     * @param {string} view - "grid" or "map"
+     * @returns {boolean} - True if the view changed
+     */
+    setView(view) {
+        const next = view === 'map' && this.map ? 'map' : 'grid';
+
+        document.querySelectorAll('[data-property-view]').forEach(button => {
+            const isActive = button.getAttribute('data-property-view') === next;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+
+        if (next === this.view) return false;
+        this.view = next;
+
+        const results = document.querySelector('[data-property-results]');
+        if (results) {
+            results.classList.toggle('is-map-view', next === 'map');
+        }
+        if (this.map) {
+            this.map.element.hidden = next !== 'map';
+            this.map.refresh();
+        }
+        // Cards are narrower beside the map
+        if (this.grid) {
+            this.grid.layout();
+        }
+        return true;
+    }
+
+    /**
+     * Limit results to a map area, or clear it
+     * @param {object|null} bounds - Bounds ({ south, west, north, east }), null clears the area
+     */
+    async searchMapArea(bounds) {
+        // The area was taken from the viewport, so only clearing it refits the map
+        this.map.setArea(bounds, !bounds);
+
+        const changed = await this.updateCriteria({ bounds: bounds ? this.filterSchema.formatBounds(bounds) : undefined });
+        if (changed) {
+            this.updateURLState();
+        }
+    }
+
+    /**
+     * Draw the current map area criteria on the map
+     */
+    syncMapArea() {
+        if (!this.map) return;
+
+        this.map.setArea(this.currentFilters.bounds ? this.filterSchema.parseBounds(this.currentFilters.bounds) : null);
+    }
+
+    /**
+     * Check if a property lies inside the map area criteria
+     * Listings without coordinates can't be placed and are left out while an area is set
+     * @param {object} property - Normalized property
+     * @param {object} criteria - Search criteria, the current ones by default
+     * @returns {boolean} - True if it matches
+     */
+    matchesBounds(property, criteria = this.currentFilters) {
+        const bounds = criteria.bounds ? this.filterSchema.parseBounds(criteria.bounds) : null;
+        if (!bounds) return true;
+
+        const coordinates = property.location ? property.location.coordinates : null;
+        if (!coordinates) return false;
+
+        return coordinates.lat >= bounds.south && coordinates.lat <= bounds.north
+            && coordinates.lng >= bounds.west && coordinates.lng <= bounds.east;
+    }
+
+    /**
+     * Mark the card of a property hovered or selected on the map
+     * @param {string|null} propertyId - Property ID, null clears the mark
+     * @param {object} options - { scroll: bring the card into view }
+     */
+    highlightCard(propertyId, options = {}) {
+        const container = document.getElementById('properties-container');
+        if (!container) return;
+
+        container.querySelectorAll('.filter-item[data-property-id]').forEach(card => {
+            const isActive = card.getAttribute('data-property-id') === propertyId;
+            card.classList.toggle('is-map-active', isActive);
+
+            if (isActive && options.scroll) {
+                card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Create HTML for the popup of a map pin
+     * @param {object} property - Property data
+     * @returns {SafeHTML} - Popup markup
+     */
+    createMapPopupHTML(property) {
+        const fallbackImage = 'assets/img/popular/popular-1-1.jpg';
+        const imageUrl = safeURL(property.primaryImage, { fallback: fallbackImage });
+        const detailsUrl = `property-details.html?id=${encodeURIComponent(property.id)}`;
+        const features = property.features || {};
+        const details = [
+            features.bedrooms !== null && features.bedrooms !== undefined ? `Bed ${features.bedrooms}` : null,
+            features.bathrooms !== null && features.bathrooms !== undefined ? `Bath ${features.bathrooms}` : null,
+            features.area ? `${features.area} ${features.areaUnit || 'sqft'}` : null
+        ].filter(Boolean);
+
+        return html`
+            <a class="property-map-popup-thumb" href="${detailsUrl}">
+                <img src="${imageUrl}" alt="${property.title}" onerror="this.src='${fallbackImage}'">
+            </a>
+            <div class="property-map-popup-body">
+                <h4 class="box-title"><a href="${detailsUrl}">${property.title}</a></h4>
+                ${this.createPriceHTML(property)}
+                ${details.length > 0 ? html`<p class="property-map-popup-details">${details.join(' · ')}</p>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Sort properties
+     * In paging mode the order has to span every page: the server sorts when it can, otherwise
+     * the full result set is loaded and sorted before it is cut into pages
+     * @param {string} sortBy - Sort option key (see property-sort.js)
+     */
+    async sortProperties(sortBy) {
+        this.currentSort = this.sorter.isValid(sortBy) ? sortBy : null;
+
+        if (this.getPagingOptions().mode && !this.getResultSet()) {
+            await this.loadPage(1);
+        } else {
+            this.refreshResults();
+        }
+    }
+
+    /**
+     * Fill the sort dropdown from the sort options
+     * Keeps any options already in the markup, such as the default entry
+     */
+    setupSortSelect() {
+        const sortSelect = document.getElementById('sort-properties');
+        if (!sortSelect) return;
+
+        this.sorter.options.forEach(option => {
+            if (sortSelect.querySelector(`option[value="${option.key}"]`)) return;
+            sortSelect.add(new Option(option.label, option.key));
+        });
     }
 }
 
@@ -0,0 +1,343 @@
+/**
+ * Keyword Search
+ * Typo-tolerant keyword matching, highlighting and autocomplete over loaded properties
+ */
+
+/**
+ * Searchable fields
+ * weight - how much a match in this field counts towards relevance
+ * value  - reads the text (or list of texts) from a normalized property
+ */
+const KEYWORD_SEARCH_FIELDS = [
+    { key: 'title', weight: 3, value: property => property.title },
+    {
+        key: 'location',
+        weight: 2,
+        value: property => {
+            const location = property.location || {};
+            return [location.address, location.city, location.state, location.zipCode, location.country];
+        }
+    },
+    { key: 'tags', weight: 2, value: property => property.tags },
+    { key: 'amenities', weight: 1.5, value: property => property.amenities },
+    { key: 'description', weight: 1, value: property => property.description }
+];
+
+// Match quality per kind of token match
+const KEYWORD_MATCH_SCORES = {
+    exact: 1,
+    prefix: 0.8,
+    fuzzy: 0.6,
+    fuzzyPrefix: 0.5
+};
+
+class KeywordSearch {
+    constructor(fields = KEYWORD_SEARCH_FIELDS) {
+        this.fields = [...fields];
+        // Tokenized fields per property object, so typing does not re-tokenize the whole set
+        this.index = new WeakMap();
+    }
+
+    /**
+     * Lowercase text and strip accents, so "Château" matches "chateau"
+     * @param {*} text - Text to normalize
+     * @returns {string} - Normalized text
+     */
+    normalizeText(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Split text into normalized word tokens
+     * @param {*} text - Text to tokenize
+     * @returns {array} - Tokens
+     */
+    tokenize(text) {
+        return this.normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    /**
+     * Split a query into distinct search terms
+     * @param {string} query - Keyword query
+     * @returns {array} - Terms
+     */
+    getTerms(query) {
+        return [...new Set(this.tokenize(query))];
+    }
+
+    /**
+     * Read a field's text values from a property
+     * List entries may be strings or objects with a name or label
+     * @param {object} property - Normalized property
+     * @param {object} field - Field definition
+     * @returns {array} - Text values
+     */
+    getFieldText(property, field) {
+        const raw = field.value(property);
+        const values = Array.isArray(raw) ? raw : [raw];
+
+        return values
+            .map(value => (value && typeof value === 'object' ? value.name || value.label || '' : value))
+            .filter(value => value !== null && value !== undefined && value !== '');
+    }
+
+    /**
+     * Get the tokenized fields of a property
+     * @param {object} property - Normalized property
+     * @returns {array} - Fields ({ key, weight, tokens })
+     */
+    getIndex(property) {
+        if (!this.index.has(property)) {
+            this.index.set(property, this.fields.map(field => ({
+                key: field.key,
+                weight: field.weight,
+                tokens: [...new Set(this.getFieldText(property, field).flatMap(text => this.tokenize(text)))]
+            })));
+        }
+        return this.index.get(property);
+    }
+
+    /**
+     * Number of typos tolerated for a term
+     * Short terms must match exactly, or the results fill with noise
+     * @param {string} term - Search term
+     * @returns {number} - Allowed edits
+     */
+    getMaxEdits(term) {
+        if (term.length <= 3) return 0;
+        if (term.length <= 6) return 1;
+        return 2;
+    }
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and swapped neighbours
+     * Stops early once the distance is known to exceed max
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} max - Largest distance of interest
+     * @returns {number} - Distance, or max + 1 when it is larger than max
+     */
+    distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+
+                nextRow[j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > max) return max + 1;
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    }
+
+    /**
+     * Score how well a search term matches a token
+     * Prefix matches keep results stable while a word is still being typed
+     * @param {string} term - Search term
+     * @param {string} token - Indexed token
+     * @returns {number} - Match quality, 0 for no match
+     */
+    matchToken(term, token) {
+        if (token === term) return KEYWORD_MATCH_SCORES.exact;
+        if (term.length >= 2 && token.startsWith(term)) return KEYWORD_MATCH_SCORES.prefix;
+
+        const maxEdits = this.getMaxEdits(term);
+        if (maxEdits === 0) return 0;
+
+        if (this.distance(term, token, maxEdits) <= maxEdits) return KEYWORD_MATCH_SCORES.fuzzy;
+        if (token.length > term.length && this.distance(term, token.slice(0, term.length), maxEdits) <= maxEdits) {
+            return KEYWORD_MATCH_SCORES.fuzzyPrefix;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Match one property against search terms
+     * Every term has to match somewhere; its best weighted match counts towards the score
+     * @param {object} property - Normalized property
+     * @param {array} terms - Search terms
+     * @returns {object|null} - Match ({ score, tokens }), null if a term does not match
+     */
+    matchProperty(property, terms) {
+        const fields = this.getIndex(property);
+        const matchedTokens = new Set();
+        let score = 0;
+
+        for (const term of terms) {
+            let best = 0;
+
+            fields.forEach(field => {
+                field.tokens.forEach(token => {
+                    const quality = this.matchToken(term, token);
+                    if (quality === 0) return;
+
+                    matchedTokens.add(token);
+                    best = Math.max(best, quality * field.weight);
+                });
+            });
+
+            if (best === 0) return null;
+            score += best;
+        }
+
+        return { score: score, tokens: [...matchedTokens] };
+    }
+
+    /**
+     * Search properties without mutating the input
+     * Results are ordered by relevance, ties keep their original order
+     * @param {array} properties - Normalized properties
+     * @param {string} query - Keyword query
+     * @returns {array} - Results ({ property, score, tokens })
+     */
+    search(properties, query) {
+        const terms = this.getTerms(query);
+        if (terms.length === 0) {
+            return properties.map(property => ({ property: property, score: 0, tokens: [] }));
+        }
+
+        return properties
+            .map((property, index) => ({ property, index, match: this.matchProperty(property, terms) }))
+            .filter(entry => entry.match)
+            .sort((a, b) => b.match.score - a.match.score || a.index - b.index)
+            .map(entry => ({ property: entry.property, score: entry.match.score, tokens: entry.match.tokens }));
+    }
+
+    /**
+     * Check if every term of a query matches some word of a text
+     * @param {string} query - Keyword query
+     * @param {string} text - Text to check, e.g. a suggestion label
+     * @returns {boolean} - True if it matches
+     */
+    matchesText(query, text) {
+        const tokens = this.tokenize(text);
+        return this.getTerms(query).every(term => tokens.some(token => this.matchToken(term, token) > 0));
+    }
+
+    /**
+     * Wrap matched words of a text in <mark>
+     * @param {string} text - Text to render
+     * @param {array} tokens - Matched tokens from search()
+     * @returns {SafeHTML} - Escaped text with highlights
+     */
+    highlight(text, tokens = []) {
+        const value = text === null || text === undefined ? '' : String(text);
+        const matched = new Set(tokens);
+        if (matched.size === 0) return html`${value}`;
+
+        const parts = [];
+        let lastIndex = 0;
+
+        value.replace(/[\p{L}\p{N}]+/gu, (word, offset) => {
+            if (!matched.has(this.normalizeText(word))) return word;
+
+            parts.push(value.slice(lastIndex, offset), html`<mark>${word}</mark>`);
+            lastIndex = offset + word.length;
+            return word;
+        });
+        parts.push(value.slice(lastIndex));
+
+        return html`${parts}`;
+    }
+
+    /**
+     * Collect distinct locations from properties, most common first
+     * @param {array} properties - Normalized properties
+     * @returns {array} - Locations ({ label, value, count })
+     */
+    getLocations(properties) {
+        const locations = new Map();
+
+        properties.forEach(property => {
+            const location = property.location || {};
+            const city = location.city ? String(location.city).trim() : '';
+            const state = location.state ? String(location.state).trim() : '';
+
+            [
+                city ? { label: state ? `${city}, ${state}` : city, value: city } : null,
+                state ? { label: state, value: state } : null
+            ].filter(Boolean).forEach(entry => {
+                const key = this.normalizeText(entry.label);
+                const existing = locations.get(key);
+                locations.set(key, existing ? { ...existing, count: existing.count + 1 } : { ...entry, count: 1 });
+            });
+        });
+
+        return [...locations.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Build autocomplete suggestions for a query
+     * With an empty query only recent searches are offered
+     * @param {string} query - Text typed so far
+     * @param {object} sources - { properties, categories: [{ slug, label }], recent: [query], limit }
+     * @returns {array} - Suggestions ({ type: recent | location | category, label, value })
+     */
+    suggest(query, sources = {}) {
+        const { properties = [], categories = [], recent = [], limit = 8 } = sources;
+        const hasQuery = this.getTerms(query).length > 0;
+        const suggestions = [];
+
+        recent
+            .filter(item => !hasQuery || this.matchesText(query, item))
+            .slice(0, 3)
+            .forEach(item => suggestions.push({ type: 'recent', label: item, value: item }));
+
+        if (hasQuery) {
+            this.getLocations(properties)
+                .filter(location => this.matchesText(query, location.label))
+                .slice(0, 4)
+                .forEach(location => suggestions.push({ type: 'location', label: location.label, value: location.value }));
+
+            categories
+                .filter(category => this.matchesText(query, category.label))
+                .slice(0, 3)
+                .forEach(category => suggestions.push({ type: 'category', label: category.label, value: category.slug }));
+        }
+
+        const seen = new Set();
+        return suggestions
+            .filter(suggestion => {
+                const key = `${suggestion.type}:${this.normalizeText(suggestion.label)}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, limit);
+    }
+}
+
+// Initialize keyword search instance
+const keywordSearch = new KeywordSearch();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KEYWORD_SEARCH_FIELDS, KeywordSearch, keywordSearch };
+}
+
+// Make available globally
+window.KEYWORD_SEARCH_FIELDS = KEYWORD_SEARCH_FIELDS;
+window.KeywordSearch = KeywordSearch;
+window.keywordSearch = keywordSearch;
@@ -283,9 +283,9 @@
     }
 
     /*----------- 07. Global Slider ----------*/
-    $(".th-slider").each(function () {
-        var thSlider = $(this);
-        var settings = $(this).data("slider-options");
+    function initThSlider(element) {
+        var thSlider = $(element);
+        var settings = thSlider.data("slider-options") || {};
 
         // Store references to navigation and pagination elements
         var prevArrow = thSlider.find(".slider-prev");
@@ -358,47 +358,19 @@
         var options = $.extend({}, sliderDefault, settings);
         var swiper = new Swiper(thSlider.get(0), options); // Initialize Swiper
 
-            // Apply panorama effect to slides with images
-            thSlider.find('.swiper-slide').each(function () {
-                var slide = $(this);
-                var image = slide.find('img');
-    
-                if (image.length) {
-                    var panoramaImageSrc = image.attr('src');
-                    var viewerContainer = slide.find('.explore-single-slide1, .propery-single-slide').get(0);
-                    // var viewerContainer = slide.find('.explore-single-slide, .propery-single-slide').get(0);
-    
-                    if (viewerContainer) {
-                        var panoramaImage = new PANOLENS.ImagePanorama(panoramaImageSrc);
-                        var viewer = new PANOLENS.Viewer({
-                            container: viewerContainer,
-                            autoRotate: true,
-                            autoRotateSpeed: 0.3,
-                            controlBar: false,
-                            enableZoom: true,
-                        });
-                        viewerContainer.addEventListener("wheel", function (event) {
-                            event.preventDefault();
-                        }, { passive: false });
-                        viewer.add(panoramaImage);
-    
-                        // Disable Swiper interactions when viewing panorama
-                        viewer.addEventListener('enter', function () {
-                            swiperInstance.allowTouchMove = false;
-                        });
-                        viewer.addEventListener('exit', function () {
-                            swiperInstance.allowTouchMove = true;
-                        });
-                        
-                    }
-                }
-            });
-            
+        // Slides flagged with data-panorama show their image in a 360° viewer
+        if (window.virtualTour) {
+            window.virtualTour.mountSlides(thSlider.get(0), swiper);
+        }
 
         // Add a custom class for the arrow wrapper
         if ($(".slider-area").length > 0) {
             $(".slider-area").closest(".container").parent().addClass("arrow-wrap");
         }
+    }
+
+    $(".th-slider").each(function () {
+        initThSlider(this);
     });
 
 
@@ -696,6 +668,65 @@
     });
 
 
+    /*----------- Dynamic Content Hydration ----------*/
+    // Property cards rendered after load by frontend.js announce themselves with
+    // properties:rendered, and properties:teardown before they are replaced
+    function initCardGallery($card) {
+        var $images = $card.find(".swiper-slide .popular-popup-image");
+        if (!$images.length) return;
+
+        $images.magnificPopup({
+            type: "image",
+            gallery: {
+                enabled: true,
+            },
+        });
+
+        // "View all img" opens the card's own gallery instead of a single image
+        $card.find(".actions .popular-popup-image").off("click.thGallery").on("click.thGallery", function (e) {
+            e.preventDefault();
+            $images.magnificPopup("open", 0);
+        });
+    }
+
+    $.fn.thHydrate = function () {
+        return this.each(function () {
+            var $container = $(this);
+
+            $container.find(".th-slider").each(function () {
+                if (!this.swiper) {
+                    initThSlider(this);
+                }
+            });
+
+            $container.find(".popular-list-1").each(function () {
+                initCardGallery($(this));
+            });
+        });
+    };
+
+    $.fn.thTeardown = function () {
+        return this.each(function () {
+            var $container = $(this);
+
+            $container.find(".th-slider").each(function () {
+                if (this.swiper) {
+                    this.swiper.destroy(true, true);
+                }
+            });
+
+            $container.find(".popular-popup-image").off("click.magnificPopup click.thGallery").removeData("magnificPopup");
+        });
+    };
+
+    $(document).on("properties:rendered", function (e) {
+        $(e.target).thHydrate();
+    });
+
+    $(document).on("properties:teardown", function (e) {
+        $(e.target).thTeardown();
+    });
+
     /* magnificPopup video view */
     $(".popup-video").magnificPopup({
         type: "iframe",
@@ -752,10 +783,11 @@
     }
 
     /*----------- 14. Filter ----------*/
-    $(".filter-active").imagesLoaded(function () {
-        var $filter = ".filter-active",
+    // The API-loaded #properties-container grid and its [data-property-filter] menu are run by PropertyGrid (property-grid.js)
+    $(".filter-active").not("#properties-container").imagesLoaded(function () {
+        var $filter = $(".filter-active").not("#properties-container"),
             $filterItem = ".filter-item",
-            $filterMenu = ".filter-menu-active";
+            $filterMenu = $(".filter-menu-active").not("[data-property-filter]");
 
         if ($($filter).length > 0) {
             var $grid = $($filter).isotope({
@@ -815,33 +847,31 @@
         // Loop through each .indicator-active element
         $(this).each(function () {
             var $menu = $(this),
-                $linkBtn = $menu.find("a"),
-                $btn = $menu.find("button");
+                btnSelector = $menu.find("a").length ? "a" : "button";
 
             // Append indicator
             $menu.append('<span class="indicator"></span>');
             var $line = $menu.find(".indicator");
 
-            // Check which type button is Available
-            var $currentBtn;
-            if ($linkBtn.length) {
-                $currentBtn = $linkBtn;
-            } else if ($btn.length) {
-                $currentBtn = $btn;
-            }
-
-            // On Click Button Class Remove
-            $currentBtn.on("click", function (e) {
+            // On Click Button Class Remove (delegated, so re-rendered buttons keep working)
+            $menu.on("click", btnSelector, function (e) {
                 e.preventDefault();
                 $(this).addClass("active");
                 $(this).siblings(".active").removeClass("active");
                 linePos();
             });
 
+            // Menus rendered from data fire indicator:refresh after replacing their buttons
+            $menu.on("indicator:refresh", function () {
+                linePos();
+            });
+
             // Indicator Position
             function linePos() {
-                var $btnActive = $menu.find(".active"),
-                    $height = $btnActive.css("height"),
+                var $btnActive = $menu.find(".active").first();
+                if (!$btnActive.length) return;
+
+                var $height = $btnActive.css("height"),
                     $width = $btnActive.css("width"),
                     $top = $btnActive.position().top + "px",
                     $left = $btnActive.position().left + "px";
@@ -1196,18 +1226,24 @@
     });
 
     /*-----------  Price Slider ----------*/
-    $(".price_slider").slider({
-        range: true,
-        min: 125000,
-        max: 825000,
-        values: [125000, 825000],
-        slide: function (event, ui) {
-            $(".from").text("$" + ui.values[0]);
-            $(".to").text("$" + ui.values[1]);
-        },
+    // Static sliders only, [data-price-range] sliders are set up from catalog prices by frontend.js
+    $(".price_slider_wrapper").not("[data-price-range]").each(function () {
+        var $wrapper = $(this),
+            $slider = $wrapper.find(".price_slider");
+
+        $slider.slider({
+            range: true,
+            min: 125000,
+            max: 825000,
+            values: [125000, 825000],
+            slide: function (event, ui) {
+                $wrapper.find(".from").text("$" + ui.values[0]);
+                $wrapper.find(".to").text("$" + ui.values[1]);
+            },
+        });
+        $wrapper.find(".from").text("$" + $slider.slider("values", 0));
+        $wrapper.find(".to").text("$" + $slider.slider("values", 1));
     });
-    $(".from").text("$" + $(".price_slider").slider("values", 0));
-    $(".to").text("$" + $(".price_slider").slider("values", 1));
 
     /**----- Gallery Active class -----*/
     $(".single-inventory-item").on("mouseenter", function () {
@@ -1320,59 +1356,6 @@
     });
 
 
-    document.addEventListener("DOMContentLoaded", function () {
-        const hotspotDots = document.querySelectorAll(".map-icon");
-        const productHotspotDots = document.querySelectorAll(".map-popular-list");
-    
-        let activeIndex = null; // Track the active hotspot index
-    
-        hotspotDots.forEach((dot, index) => {
-            dot.addEventListener("mouseenter", function () {
-                // Hide all product hotspot dots
-                productHotspotDots.forEach(dot => dot.classList.remove("show"));
-    
-                // Show the corresponding map-popular-list
-                const productDot = document.querySelector(`.map-popular-list${index + 1}`);
-                productDot.classList.add("show");
-    
-                // Update the active index
-                activeIndex = index + 1;
-            });
-        });
-    
-        productHotspotDots.forEach((productDot) => {
-            productDot.addEventListener("mouseenter", function () {
-                this.classList.add("show");
-            });
-    
-            productDot.addEventListener("mouseleave", function () {
-                this.classList.remove("show"); // Hide when mouse leaves
-            });
-        });
-    
-        // Click anywhere outside to hide all map-popular-list elements
-        document.addEventListener("click", function (event) {
-            if (!event.target.closest(".map-icon") && !event.target.closest(".map-popular-list")) {
-                productHotspotDots.forEach(dot => dot.classList.remove("show"));
-            }
-        });
-    });
-    
-
-    $(document).ready(function () {
-        $(".add-explore-city-icon").on("mouseenter", function () {
-          $(this).next(".explore-card").addClass("active");
-        });
-      
-        $(".add-explore-city-icon, .explore-card").on("mouseleave", function (e) {
-          // Check korbo mouse ki explore-card or icon er baire chole geche
-          if (!$(e.relatedTarget).closest('.add-explore-city-icon, .explore-card').length) {
-            $(".explore-card").removeClass("active");
-          }
-        });
-      });
-      
-
     // /*----------- 00. Right Click Disable ----------*/
     //   window.addEventListener('contextmenu', function (e) {
     //     // do something here...
@@ -0,0 +1,186 @@
+/**
+ * Persisted Store
+ * Base for lists kept in localStorage: a versioned payload, item validation, a size limit,
+ * change listeners and sync with other open tabs
+ */
+
+class PersistedStore {
+    /**
+     * @param {string} storageKey - localStorage key
+     * @param {object} options - { version, limit, label: name used in log messages, validate: item check }
+     */
+    constructor(storageKey, options = {}) {
+        this.storageKey = storageKey;
+        this.version = options.version || 1;
+        this.limit = options.limit || Infinity;
+        this.label = options.label || 'stored items';
+        this.validate = options.validate || (() => true);
+        this.listeners = [];
+        this.items = this.load();
+
+        // Another tab changed the store - reload and notify
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.items = this.load();
+                this.notify();
+            }
+        });
+    }
+
+    /**
+     * Read the items from localStorage
+     * Payloads with another version are discarded, invalid items are dropped
+     * @returns {array} - Stored items
+     */
+    load() {
+        let data = null;
+
+        try {
+            const raw = window.localStorage.getItem(this.storageKey);
+            data = raw ? JSON.parse(raw) : null;
+
+            if (data && (data.version !== this.version || !Array.isArray(data.items))) {
+                console.warn(`Discarding ${this.label} with unsupported schema:`, data.version);
+                data = null;
+            }
+        } catch (error) {
+            console.error(`Failed to read ${this.label}:`, error);
+            data = null;
+        }
+
+        const payload = data || { items: [] };
+        this.restore(payload);
+        return payload.items.filter(item => item && this.validate(item)).slice(0, this.limit);
+    }
+
+    /**
+     * Read store fields kept beside the items, called on every load
+     * @param {object} payload - Stored payload, { items: [] } when nothing valid is stored
+     */
+    restore(payload) {}
+
+    /**
+     * Get the payload written to localStorage
+     * @returns {object} - Payload ({ version, items })
+     */
+    getPayload() {
+        return {
+            version: this.version,
+            items: this.items
+        };
+    }
+
+    /**
+     * Write the items to localStorage
+     */
+    save() {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(this.getPayload()));
+        } catch (error) {
+            console.error(`Failed to save ${this.label}:`, error);
+        }
+    }
+
+    /**
+     * Save the items and notify subscribers
+     */
+    commit() {
+        this.save();
+        this.notify();
+    }
+
+    /**
+     * Get all items in display order
+     * @returns {array} - Stored items
+     */
+    getAll() {
+        return [...this.items];
+    }
+
+    /**
+     * Find an item by id, for stores whose items carry one
+     * @param {string} id - Item id
+     * @returns {object|null} - Stored item
+     */
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    /**
+     * Check if an item is stored
+     * @param {string} id - Item id
+     * @returns {boolean} - True if stored
+     */
+    has(id) {
+        return this.items.some(item => item.id === id);
+    }
+
+    /**
+     * Get number of stored items
+     * @returns {number} - Store size
+     */
+    count() {
+        return this.items.length;
+    }
+
+    /**
+     * Check if no more items can be added
+     * @returns {boolean} - True at the limit
+     */
+    isFull() {
+        return this.items.length >= this.limit;
+    }
+
+    /**
+     * Remove an item
+     * @param {string} id - Item id
+     */
+    remove(id) {
+        if (!this.has(id)) return;
+
+        this.items = this.items.filter(item => item.id !== id);
+        this.commit();
+    }
+
+    /**
+     * Remove every item
+     */
+    clear() {
+        this.items = [];
+        this.commit();
+    }
+
+    /**
+     * Subscribe to changes
+     * @param {function} listener - Called with the items in display order
+     * @returns {function} - Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Notify subscribers of a change
+     */
+    notify() {
+        const items = this.getAll();
+        this.listeners.forEach(listener => {
+            try {
+                listener(items);
+            } catch (error) {
+                console.error(`Listener for ${this.label} failed:`, error);
+            }
+        });
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PersistedStore };
+}
+
+// Make available globally
+window.PersistedStore = PersistedStore;
@@ -0,0 +1,103 @@
+/**
+ * Price Formatting
+ * Formats property prices in the listing currency using the visitor's locale
+ */
+
+class PriceFormatter {
+    constructor(locale = PriceFormatter.getDefaultLocale()) {
+        this.locale = locale;
+        this.formatters = new Map();
+        this.periodLabels = {
+            day: 'day',
+            week: 'week',
+            month: 'month',
+            year: 'year'
+        };
+        this.onRequestLabel = 'Price on request';
+    }
+
+    /**
+     * Get the visitor's preferred locale
+     * @returns {string|undefined} - BCP 47 locale, undefined lets Intl use the runtime default
+     */
+    static getDefaultLocale() {
+        if (typeof navigator === 'undefined') return undefined;
+        return (navigator.languages && navigator.languages[0]) || navigator.language || undefined;
+    }
+
+    /**
+     * Get a cached Intl.NumberFormat for a currency
+     * @param {string} currency - ISO 4217 currency code
+     * @returns {Intl.NumberFormat|null} - Formatter, or null if the currency is not supported
+     */
+    getFormatter(currency) {
+        if (!this.formatters.has(currency)) {
+            let formatter = null;
+            try {
+                formatter = new Intl.NumberFormat(this.locale, {
+                    style: 'currency',
+                    currency: currency,
+                    minimumFractionDigits: 0,
+                    maximumFractionDigits: 0
+                });
+            } catch (error) {
+                console.warn(`Unsupported currency "${currency}":`, error);
+            }
+            this.formatters.set(currency, formatter);
+        }
+
+        return this.formatters.get(currency);
+    }
+
+    /**
+     * Format an amount in a currency
+     * @param {number} amount - Amount to format
+     * @param {string} currency - ISO 4217 currency code
+     * @returns {string} - Formatted amount, e.g. "$450,000" or "450.000 €"
+     */
+    formatAmount(amount, currency = 'USD') {
+        const formatter = this.getFormatter(currency);
+        if (formatter) {
+            return formatter.format(amount);
+        }
+
+        // Unknown currency code - show the plain number with the code
+        return `${currency} ${Math.round(amount).toLocaleString(this.locale)}`;
+    }
+
+    /**
+     * Format a rent period suffix
+     * @param {string|null} period - day | week | month | year
+     * @returns {string} - Suffix, e.g. "/ month", or empty string for sale prices
+     */
+    formatPeriod(period) {
+        return period && this.periodLabels[period] ? `/ ${this.periodLabels[period]}` : '';
+    }
+
+    /**
+     * Format a normalized property price
+     * @param {object} price - Price ({ amount, period, onRequest, kind })
+     * @param {string} currency - ISO 4217 currency code
+     * @returns {string} - Formatted price, e.g. "$2,500 / month" or "Price on request"
+     */
+    format(price, currency = 'USD') {
+        if (!price || price.kind === 'on-request' || !price.amount) {
+            return this.onRequestLabel;
+        }
+
+        const period = this.formatPeriod(price.period);
+        return period ? `${this.formatAmount(price.amount, currency)} ${period}` : this.formatAmount(price.amount, currency);
+    }
+}
+
+// Initialize formatter instance
+const priceFormatter = new PriceFormatter();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PriceFormatter, priceFormatter };
+}
+
+// Make available globally
+window.PriceFormatter = PriceFormatter;
+window.priceFormatter = priceFormatter;
@@ -0,0 +1,240 @@
+/**
+ * Property Categories
+ * Single category taxonomy for filter classes, labels, badges and icons
+ */
+
+/**
+ * Built-in categories
+ * slug     - filter class and URL value
+ * synonyms - other spellings the API may send, matched case-insensitively
+ * order    - position in the category menu, lower first
+ * Extra categories can be set through window.VALETI_CATEGORIES or the categories endpoint
+ */
+const PROPERTY_CATEGORIES = [
+    { slug: 'single-story', label: 'Single Story', icon: 'fa-light fa-house', synonyms: ['single storey', 'one story', 'one storey', '1 story'], order: 10 },
+    { slug: 'double-story', label: 'Double Story', icon: 'fa-light fa-building', synonyms: ['double storey', 'two story', 'two storey', '2 story'], order: 20 },
+    { slug: 'small-lot-design', label: 'Small Lot Design', icon: 'fa-light fa-house-chimney-window', synonyms: ['small lot'], order: 30 },
+    { slug: 'farm-house', label: 'Farm House', icon: 'fa-light fa-tractor', synonyms: ['farmhouse'], order: 40 },
+    { slug: 'house', label: 'House', icon: 'fa-light fa-home', synonyms: ['houses'], order: 50 },
+    { slug: 'apartment', label: 'Apartment', icon: 'fa-light fa-building', synonyms: ['apartments', 'flat'], order: 60 },
+    { slug: 'villa', label: 'Villa', icon: 'fa-light fa-house-tree', synonyms: ['villas'], order: 70 },
+    { slug: 'condo', label: 'Condo', icon: 'fa-light fa-city', synonyms: ['condos', 'condominium'], order: 80 }
+];
+
+// Properties without a category are grouped here instead of being filed as houses
+const UNCATEGORIZED_CATEGORY = { slug: 'uncategorized', label: 'Uncategorized', icon: 'fa-light fa-home', synonyms: [], order: 1000 };
+
+const DEFAULT_CATEGORY_ICON = 'fa-light fa-home';
+
+class CategoryRegistry {
+    constructor(categories = PROPERTY_CATEGORIES) {
+        this.categories = new Map();
+        this.lookup = new Map();
+        this.reportedUnknown = new Set();
+
+        this.register(UNCATEGORIZED_CATEGORY);
+        this.load(categories);
+    }
+
+    /**
+     * Normalize a category name for lookups
+     * "Single_Story", "single-story" and " single  story " all become "single story"
+     * @param {*} value - Category name
+     * @returns {string} - Lookup key, empty for missing values
+     */
+    normalizeName(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+    }
+
+    /**
+     * Create a filter-safe slug from a category name
+     * Names with no latin letters or digits get a stable hashed slug
+     * @param {string} value - Category name
+     * @returns {string} - Slug matching /^[a-z0-9-]+$/
+     */
+    slugify(value) {
+        const slug = String(value)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+
+        if (slug) return slug;
+
+        let hash = 0;
+        for (const char of String(value)) {
+            hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+        }
+        return `category-${hash.toString(36)}`;
+    }
+
+    /**
+     * Turn a slug or raw name into a display label
+     * @param {string} value - Slug or name
+     * @returns {string} - Title-cased label
+     */
+    toLabel(value) {
+        return String(value)
+            .replace(/[-_]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/(^|\s)(\S)/g, (match, space, char) => space + char.toUpperCase());
+    }
+
+    /**
+     * Add or update a category
+     * Updating keeps existing synonyms and adds the new ones
+     * @param {object} category - Category ({ slug, label, icon, synonyms, order })
+     * @returns {object|null} - Registered category, null if it has no slug or label
+     */
+    register(category) {
+        if (!category || typeof category !== 'object') return null;
+
+        const name = category.slug || category.label || category.name;
+        if (!name) return null;
+
+        const slug = this.slugify(category.slug || name);
+        const existing = this.categories.get(slug);
+        const synonyms = Array.isArray(category.synonyms) ? category.synonyms : [];
+
+        const entry = {
+            slug: slug,
+            label: category.label || category.name || (existing && !existing.unknown ? existing.label : this.toLabel(slug)),
+            icon: category.icon || (existing && existing.icon) || DEFAULT_CATEGORY_ICON,
+            synonyms: [...new Set([...(existing ? existing.synonyms : []), ...synonyms.map(String)])],
+            order: isFinite(category.order) ? Number(category.order) : (existing ? existing.order : Infinity),
+            unknown: category.unknown === true
+        };
+
+        this.categories.set(slug, entry);
+        [slug, entry.label, ...entry.synonyms].forEach(alias => {
+            const key = this.normalizeName(alias);
+            if (key) this.lookup.set(key, slug);
+        });
+
+        return entry;
+    }
+
+    /**
+     * Register a list of categories from config or the API
+     * Accepts an array or an object with a categories array
+     * @param {array|object} categories - Categories
+     * @returns {number} - Number of categories registered
+     */
+    load(categories) {
+        const list = Array.isArray(categories) ? categories : (categories && categories.categories);
+        if (!Array.isArray(list)) return 0;
+
+        return list.filter(category => this.register(category)).length;
+    }
+
+    /**
+     * Resolve a raw API category to its registry entry
+     * Unknown categories are registered under their own slug (and reported once) rather than
+     * being filed under another category
+     * @param {string} value - Category from the API
+     * @returns {object} - Category entry
+     */
+    resolve(value) {
+        const key = this.normalizeName(value);
+        if (!key) return this.categories.get(UNCATEGORIZED_CATEGORY.slug);
+
+        const slug = this.lookup.get(key) || this.slugify(value);
+        if (this.categories.has(slug)) {
+            this.lookup.set(key, slug);
+            return this.categories.get(slug);
+        }
+
+        const entry = this.register({ slug: slug, label: this.toLabel(value), unknown: true });
+        this.lookup.set(key, entry.slug);
+
+        if (!this.reportedUnknown.has(entry.slug)) {
+            this.reportedUnknown.add(entry.slug);
+            console.warn(`Unknown property category "${value}", showing it as "${entry.label}"`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Get a category by slug
+     * @param {string} slug - Category slug
+     * @returns {object|null} - Category entry
+     */
+    get(slug) {
+        return this.categories.get(slug) || null;
+    }
+
+    /**
+     * Get the display label for a slug
+     * @param {string} slug - Category slug
+     * @returns {string} - Label, or a title-cased slug if the category is not registered
+     */
+    getLabel(slug) {
+        const entry = this.get(slug);
+        return entry ? entry.label : this.toLabel(slug);
+    }
+
+    /**
+     * Get the icon class for a slug
+     * @param {string} slug - Category slug
+     * @returns {string} - Font Awesome classes
+     */
+    getIcon(slug) {
+        const entry = this.get(slug);
+        return entry ? entry.icon : DEFAULT_CATEGORY_ICON;
+    }
+
+    /**
+     * Compare two slugs by category order, then label
+     * @param {string} a - First slug
+     * @param {string} b - Second slug
+     * @returns {number} - Negative, zero or positive
+     */
+    compare(a, b) {
+        const aEntry = this.get(a);
+        const bEntry = this.get(b);
+        const aOrder = aEntry ? aEntry.order : Infinity;
+        const bOrder = bEntry ? bEntry.order : Infinity;
+
+        if (aOrder !== bOrder) {
+            return aOrder === Infinity ? 1 : bOrder === Infinity ? -1 : aOrder - bOrder;
+        }
+        return this.getLabel(a).localeCompare(this.getLabel(b));
+    }
+
+    /**
+     * Get all categories in menu order
+     * @returns {array} - Category entries
+     */
+    getAll() {
+        return [...this.categories.values()].sort((a, b) => this.compare(a.slug, b.slug));
+    }
+
+    /**
+     * Get categories seen in API data that are not in the taxonomy
+     * @returns {array} - Unknown category entries
+     */
+    getUnknown() {
+        return this.getAll().filter(category => category.unknown);
+    }
+}
+
+// Initialize registry instance, with any categories configured on the page
+const propertyCategories = new CategoryRegistry();
+if (typeof window !== 'undefined' && window.VALETI_CATEGORIES) {
+    propertyCategories.load(window.VALETI_CATEGORIES);
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROPERTY_CATEGORIES, UNCATEGORIZED_CATEGORY, CategoryRegistry, propertyCategories };
+}
+
+// Make available globally
+window.PROPERTY_CATEGORIES = PROPERTY_CATEGORIES;
+window.UNCATEGORIZED_CATEGORY = UNCATEGORIZED_CATEGORY;
+window.CategoryRegistry = CategoryRegistry;
+window.propertyCategories = propertyCategories;
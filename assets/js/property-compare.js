@@ -0,0 +1,357 @@
+/**
+ * Property Comparison
+ * Shows the compare tray and lays out compared properties side by side with differences highlighted
+ */
+
+/**
+ * Comparison rows, grouped as shown
+ * value - reads the text shown for a property, null when unknown
+ * Rows differ when their text differs between properties; amenity rows are added per property set
+ */
+const PROPERTY_COMPARE_ROWS = [
+    {
+        key: 'price',
+        label: 'Price',
+        group: 'Price',
+        value: property => (window.priceFormatter ? window.priceFormatter.format(property.price, property.currency) : null)
+    },
+    { key: 'bedrooms', label: 'Bedrooms', group: 'Features', value: property => property.features.bedrooms },
+    { key: 'bathrooms', label: 'Bathrooms', group: 'Features', value: property => property.features.bathrooms },
+    {
+        key: 'area',
+        label: 'Area',
+        group: 'Features',
+        value: property => (property.features.area ? `${property.features.area} ${property.features.areaUnit || 'sqft'}` : null)
+    },
+    { key: 'floors', label: 'Floors', group: 'Features', value: property => property.features.floors },
+    { key: 'garages', label: 'Garages', group: 'Features', value: property => property.features.garages },
+    {
+        key: 'theater',
+        label: 'Theater',
+        group: 'Features',
+        value: property => (property.features.theater > 0 ? property.features.theater : 'None')
+    },
+    {
+        key: 'furnished',
+        label: 'Furnished',
+        group: 'Features',
+        value: (property) => {
+            const furnished = property.features.furnished;
+            if (furnished === true) return 'Yes';
+            if (furnished === false) return 'No';
+            return furnished;
+        }
+    }
+];
+
+class PropertyComparison {
+    constructor(store = window.compareStore, rows = PROPERTY_COMPARE_ROWS) {
+        this.store = store;
+        this.rows = rows;
+        this.tray = null;
+        this.modal = null;
+        this.returnFocus = null;
+        this.noticeTimer = null;
+        // Hide rows where every property agrees
+        this.differencesOnly = false;
+        this.fallbackImage = 'assets/img/popular/popular-1-1.jpg';
+
+        this.onKeydown = (e) => {
+            if (e.key === 'Escape') this.close();
+        };
+    }
+
+    /**
+     * Create the compare tray and keep it and the open comparison in sync with the store
+     */
+    init() {
+        if (this.tray || !this.store) return;
+
+        this.tray = document.createElement('div');
+        this.tray.className = 'compare-tray';
+        this.tray.setAttribute('role', 'region');
+        this.tray.setAttribute('aria-label', 'Property comparison');
+        this.tray.hidden = true;
+        document.body.appendChild(this.tray);
+
+        this.tray.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-compare-remove]');
+            if (removeButton) {
+                this.store.remove(removeButton.getAttribute('data-compare-remove'));
+            } else if (e.target.closest('[data-compare-open]')) {
+                this.open();
+            } else if (e.target.closest('[data-compare-clear]')) {
+                this.store.clear();
+            }
+        });
+
+        this.store.subscribe(items => {
+            this.renderTray(items);
+
+            if (!this.modal) return;
+            if (items.length === 0) {
+                this.close();
+            } else {
+                this.renderTable(items.map(item => item.property));
+            }
+        });
+        this.renderTray(this.store.getAll());
+    }
+
+    /**
+     * Build the comparison rows for a set of properties
+     * Amenities get a row each, those most properties share first
+     * @param {array} properties - Normalized properties
+     * @returns {array} - Rows ({ key, label, group, cells, isDifferent, isAmenity })
+     */
+    getRows(properties) {
+        const rows = this.rows.map(row => ({
+            key: row.key,
+            label: row.label,
+            group: row.group,
+            cells: properties.map(property => {
+                try {
+                    const value = row.value(property);
+                    return value === null || value === undefined || value === '' ? null : String(value);
+                } catch (error) {
+                    console.error(`Failed to read comparison row ${row.key}:`, error);
+                    return null;
+                }
+            })
+        }));
+
+        // Amenity names are matched without regard to case, keeping the first spelling seen
+        const amenities = new Map();
+        properties.forEach((property, index) => {
+            (property.amenities || []).forEach(amenity => {
+                const label = String(amenity).trim();
+                const key = label.toLowerCase();
+                if (!label) return;
+
+                if (!amenities.has(key)) amenities.set(key, { label: label, owners: new Set() });
+                amenities.get(key).owners.add(index);
+            });
+        });
+
+        [...amenities.entries()]
+            .sort(([, a], [, b]) => b.owners.size - a.owners.size || a.label.localeCompare(b.label))
+            .forEach(([key, amenity]) => {
+                rows.push({
+                    key: `amenity:${key}`,
+                    label: amenity.label,
+                    group: 'Amenities',
+                    cells: properties.map((property, index) => (amenity.owners.has(index) ? 'Yes' : null)),
+                    isAmenity: true
+                });
+            });
+
+        return rows.map(row => ({
+            ...row,
+            isDifferent: properties.length > 1
+                && new Set(row.cells.map(cell => (cell === null ? '' : cell.toLowerCase()))).size > 1
+        }));
+    }
+
+    /**
+     * Render the compare tray
+     * @param {array} items - Compared items ({ id, addedAt, property })
+     */
+    renderTray(items) {
+        if (!this.tray) return;
+
+        const emptySlots = Math.max(this.store.limit - items.length, 0);
+        setHTML(this.tray, html`
+            <div class="container compare-tray-inner">
+                <ul class="compare-tray-list">
+                    ${items.map(item => html`
+                        <li class="compare-tray-item">
+                            <img src="${safeURL(item.property.primaryImage, { fallback: this.fallbackImage })}" alt="" onerror="this.src='${this.fallbackImage}'">
+                            <span class="compare-tray-name">${item.property.title}</span>
+                            <button type="button" class="compare-tray-remove" data-compare-remove="${item.id}" aria-label="Remove ${item.property.title} from comparison">
+                                <i class="fa-regular fa-xmark"></i>
+                            </button>
+                        </li>
+                    `)}
+                    ${Array.from({ length: emptySlots }, () => html`<li class="compare-tray-slot" aria-hidden="true"></li>`)}
+                </ul>
+                <p class="compare-tray-notice" data-compare-notice aria-live="polite"></p>
+                <div class="compare-tray-actions">
+                    <button type="button" class="th-btn sm style3 pill" data-compare-open>
+                        <i class="fa-solid fa-code-compare me-2"></i>Compare ${items.length}
+                    </button>
+                    <button type="button" class="compare-tray-clear" data-compare-clear>Clear</button>
+                </div>
+            </div>
+        `);
+
+        // Comparing needs a second property
+        this.tray.querySelector('[data-compare-open]').disabled = items.length < 2;
+        this.tray.hidden = items.length === 0;
+        document.body.classList.toggle('compare-tray-visible', items.length > 0);
+    }
+
+    /**
+     * Show a short message in the tray, e.g. when it is full
+     * @param {string} message - Message to show
+     */
+    showNotice(message) {
+        const notice = this.tray ? this.tray.querySelector('[data-compare-notice]') : null;
+        if (!notice) return;
+
+        notice.textContent = message;
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = setTimeout(() => {
+            notice.textContent = '';
+        }, 4000);
+    }
+
+    /**
+     * Open the comparison of the compared properties
+     * @returns {boolean} - True if the comparison opened
+     */
+    open() {
+        const properties = this.store.getAll().map(item => item.property);
+        if (properties.length === 0) return false;
+
+        this.close();
+        this.returnFocus = document.activeElement;
+        this.modal = this.createModal();
+        document.body.appendChild(this.modal);
+        document.body.classList.add('property-compare-open');
+        this.renderTable(properties);
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal || e.target.closest('[data-compare-close]')) {
+                this.close();
+                return;
+            }
+
+            const removeButton = e.target.closest('[data-compare-remove]');
+            if (removeButton) this.store.remove(removeButton.getAttribute('data-compare-remove'));
+        });
+        this.modal.querySelector('[data-compare-differences]').addEventListener('change', (e) => {
+            this.differencesOnly = e.target.checked;
+            this.modal.querySelector('[data-compare-body]').classList.toggle('is-differences-only', this.differencesOnly);
+        });
+        document.addEventListener('keydown', this.onKeydown);
+
+        const closeButton = this.modal.querySelector('[data-compare-close]');
+        if (closeButton) closeButton.focus();
+        return true;
+    }
+
+    /**
+     * Close the comparison
+     */
+    close() {
+        if (!this.modal) return;
+
+        document.removeEventListener('keydown', this.onKeydown);
+        document.body.classList.remove('property-compare-open');
+        this.modal.remove();
+        this.modal = null;
+
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function' && this.returnFocus.isConnected) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Create the comparison dialog
+     * @returns {HTMLElement} - Dialog element
+     */
+    createModal() {
+        const modal = document.createElement('div');
+        modal.className = 'property-compare-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-label', 'Compare properties');
+
+        setHTML(modal, html`
+            <div class="property-compare-dialog">
+                <div class="property-compare-header">
+                    <h4 class="property-compare-title">Compare properties</h4>
+                    <label class="property-compare-toggle">
+                        <input type="checkbox" data-compare-differences>
+                        Only show differences
+                    </label>
+                    <button type="button" class="property-compare-close" data-compare-close aria-label="Close comparison">
+                        <i class="fa-solid fa-xmark"></i>
+                    </button>
+                </div>
+                <div class="property-compare-body" data-compare-body></div>
+            </div>
+        `);
+
+        modal.querySelector('[data-compare-differences]').checked = this.differencesOnly;
+        modal.querySelector('[data-compare-body]').classList.toggle('is-differences-only', this.differencesOnly);
+        return modal;
+    }
+
+    /**
+     * Render the comparison table into the open dialog
+     * @param {array} properties - Normalized properties, one column each
+     */
+    renderTable(properties) {
+        const body = this.modal ? this.modal.querySelector('[data-compare-body]') : null;
+        if (!body) return;
+
+        const rows = this.getRows(properties);
+        const groups = [...new Set(rows.map(row => row.group))];
+
+        setHTML(body, html`
+            <table class="property-compare-table">
+                <thead>
+                    <tr>
+                        <th scope="col"><span class="visually-hidden">Feature</span></th>
+                        ${properties.map(property => {
+                            const detailsUrl = `property-details.html?id=${encodeURIComponent(property.id)}`;
+                            return html`
+                                <th scope="col">
+                                    <div class="property-compare-property">
+                                        <img src="${safeURL(property.primaryImage, { fallback: this.fallbackImage })}" alt="${property.title}" onerror="this.src='${this.fallbackImage}'">
+                                        <a class="box-title" href="${detailsUrl}">${property.title}</a>
+                                        <button type="button" class="property-compare-remove" data-compare-remove="${property.id}">
+                                            <i class="fa-regular fa-xmark me-1"></i>Remove
+                                        </button>
+                                    </div>
+                                </th>
+                            `;
+                        })}
+                    </tr>
+                </thead>
+                ${groups.map(group => html`
+                    <tbody>
+                        <tr class="property-compare-group">
+                            <th scope="rowgroup" colspan="${properties.length + 1}">${group}</th>
+                        </tr>
+                        ${rows.filter(row => row.group === group).map(row => html`
+                            <tr class="${row.isDifferent ? 'is-different' : ''}">
+                                <th scope="row">${row.label}</th>
+                                ${row.cells.map(cell => html`
+                                    <td>${row.isAmenity
+                                        ? html`<i class="fa-solid ${cell ? 'fa-check' : 'fa-minus'}" aria-label="${cell ? 'Yes' : 'No'}"></i>`
+                                        : cell === null ? html`<span class="property-compare-unknown">&mdash;</span>` : cell}</td>
+                                `)}
+                            </tr>
+                        `)}
+                    </tbody>
+                `)}
+            </table>
+        `);
+    }
+}
+
+// Initialize comparison instance
+const propertyComparison = new PropertyComparison();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROPERTY_COMPARE_ROWS, PropertyComparison, propertyComparison };
+}
+
+// Make available globally
+window.PROPERTY_COMPARE_ROWS = PROPERTY_COMPARE_ROWS;
+window.PropertyComparison = PropertyComparison;
+window.propertyComparison = propertyComparison;
@@ -0,0 +1,469 @@
+/**
+ * Property Details Page
+ * Reads the property id from the URL and renders the full property view
+ */
+
+class PropertyDetailsPage {
+    constructor() {
+        this.api = window.propertyAPI;
+        this.property = null;
+        this.fallbackImage = 'assets/img/popular/popular-1-1.jpg';
+    }
+
+    /**
+     * Initialize the details page
+     */
+    async init() {
+        const container = document.getElementById('property-details');
+        if (!container) return;
+
+        const propertyId = this.getPropertyId();
+        if (!propertyId) {
+            this.showNotFound();
+            return;
+        }
+
+        this.showLoading();
+
+        try {
+            const response = await this.api.getPropertyDetails(propertyId);
+
+            if (response.success) {
+                this.property = response.data;
+                this.render(this.property);
+            } else if (response.errorType === 'not-found' || (response.errorType === 'http' && response.status === 404)) {
+                this.showNotFound();
+            } else {
+                console.error('Error loading property details:', response.error);
+                this.showError(this.getErrorMessage(response));
+            }
+        } catch (error) {
+            console.error('Error loading property details:', error);
+            this.showError(this.getErrorMessage(error));
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Get the property id from the query string
+     * @returns {string|null} - Property ID
+     */
+    getPropertyId() {
+        const id = new URLSearchParams(window.location.search).get('id');
+        return id ? id.trim() : null;
+    }
+
+    /**
+     * Render the property into the details container
+     * @param {object} property - Processed property detail
+     */
+    render(property) {
+        const container = document.getElementById('property-details');
+        if (!container) return;
+
+        document.title = `${property.title} - FloorPlan Pro`;
+
+        setHTML(container, html`
+            ${this.createGalleryHTML(property)}
+            <div class="row gy-40 mt-4">
+                <div class="col-xl-8">
+                    ${this.createHeaderHTML(property)}
+                    ${property.description ? html`<p class="mb-40">${property.description}</p>` : ''}
+                    ${this.createFeaturesHTML(property)}
+                    ${this.createAmenitiesHTML(property)}
+                    ${this.createLocationHTML(property)}
+                </div>
+                <div class="col-xl-4">
+                    ${this.createAgentHTML(property.agent)}
+                    ${this.createDocumentsHTML(property.documents)}
+                </div>
+            </div>
+        `);
+
+        this.initGallery(container);
+
+        // Reuse the wishlist and virtual tour handling from the listing cards
+        if (window.propertyDisplay) {
+            window.propertyDisplay.registerProperties([property]);
+            window.propertyDisplay.addPropertyCardListeners(container);
+        }
+    }
+
+    /**
+     * Get gallery images with the primary image first
+     * @param {object} property - Property data
+     * @returns {array} - Image URLs
+     */
+    getImageUrls(property) {
+        const allImages = Array.isArray(property.images) ? property.images : [];
+        // 360° images belong to the virtual tour, unless there are no flat photos
+        const flatImages = allImages.filter(img => !img.isPanorama);
+        const images = flatImages.length > 0 ? flatImages : allImages;
+        const urls = [...images]
+            .sort((a, b) => (b.isPrimary ? 1 : 0) - (a.isPrimary ? 1 : 0))
+            .map(img => safeURL(img.url))
+            .filter(Boolean);
+
+        return urls.length > 0 ? urls : [this.fallbackImage];
+    }
+
+    /**
+     * Create HTML for the image gallery
+     * @param {object} property - Property data
+     * @returns {SafeHTML|string} - HTML markup
+     */
+    createGalleryHTML(property) {
+        const urls = this.getImageUrls(property);
+
+        return html`
+            <div class="swiper property-slider1" id="propertyDetailsSlider">
+                <div class="swiper-wrapper">
+                    ${urls.map(url => html`
+                        <div class="swiper-slide">
+                            <a class="property-slider-img popup-image" href="${url}">
+                                <img src="${url}" alt="${property.title}" onerror="this.src='${this.fallbackImage}'">
+                            </a>
+                        </div>
+                    `)}
+                </div>
+                ${urls.length > 1 ? html`
+                    <button class="slider-arrow slider-prev"><i class="far fa-arrow-left"></i></button>
+                    <button class="slider-arrow slider-next"><i class="far fa-arrow-right"></i></button>
+                ` : ''}
+            </div>
+            ${urls.length > 1 ? html`
+                <div class="swiper property-thumb-slider" id="propertyDetailsThumbs">
+                    <div class="swiper-wrapper">
+                        ${urls.map(url => html`
+                            <div class="swiper-slide">
+                                <div class="property-slider-img">
+                                    <img src="${url}" alt="${property.title}" onerror="this.src='${this.fallbackImage}'">
+                                </div>
+                            </div>
+                        `)}
+                    </div>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Create HTML for the title and meta row
+     * @param {object} property - Property data
+     * @returns {SafeHTML|string} - HTML markup
+     */
+    createHeaderHTML(property) {
+        const isWishlisted = window.propertyDisplay ? window.propertyDisplay.isWishlisted(property.id) : false;
+        const address = this.formatAddress(property.location);
+        const hasTour = window.virtualTour ? window.virtualTour.hasTour(property) : false;
+
+        return html`
+            <div class="property-meta-wrap mb-30">
+                <div class="property-meta">
+                    ${property.category ? html`<span class="property-tag">${window.propertyCategories.resolve(property.category).label}</span>` : ''}
+                    ${address ? html`<a href="#property-location"><i class="fa-solid fa-location-dot"></i>${address}</a>` : ''}
+                </div>
+                <div class="wishlist-icon">
+                    ${hasTour ? html`
+                        <a href="#" class="th-btn sm style3 pill" data-virtual-tour="${property.id}">
+                            <i class="fa-solid fa-vr-cardboard me-2"></i>Take the tour
+                        </a>
+                    ` : ''}
+                    <a href="#" class="icon-btn wishlist-toggle ${isWishlisted ? 'active' : ''}" data-property-id="${property.id}" aria-pressed="${isWishlisted}" aria-label="Toggle wishlist">
+                        <i class="fas fa-heart"></i>
+                    </a>
+                </div>
+            </div>
+            <div class="page-title-wrap">
+                <h2 class="page-title mb-20">${property.title}</h2>
+                ${window.propertyDisplay ? window.propertyDisplay.createPriceHTML(property) : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the features table
+     * @param {object} property - Property data
+     * @returns {SafeHTML|string} - HTML markup
+     */
+    createFeaturesHTML(property) {
+        const features = property.features || {};
+        const rows = [
+            { icon: 'bed.svg', title: 'Bedrooms', value: features.bedrooms },
+            { icon: 'bath.svg', title: 'Bathrooms', value: features.bathrooms },
+            { icon: 'sqft.svg', title: 'Area', value: features.area ? `${features.area} ${features.areaUnit || 'sqft'}` : null },
+            { icon: 'property-single-icon1-4.svg', title: 'Floors', value: features.floors },
+            { icon: 'property-single-icon1-5.svg', title: 'Garages', value: features.garages },
+            { icon: 'property-single-icon1-6.svg', title: 'Theater', value: features.theater },
+            { icon: 'property-single-icon1-7.svg', title: 'Furnished', value: this.formatFurnished(features.furnished) },
+            { icon: 'property-single-icon1-8.svg', title: 'Lot Size', value: property.propertyFor },
+            { icon: 'property-single-icon1-9.svg', title: 'Type', value: property.type },
+            { icon: 'property-single-icon1-10.svg', title: 'Status', value: property.status }
+        ].filter(row => row.value !== null && row.value !== undefined && row.value !== '');
+
+        if (rows.length === 0) return '';
+
+        return html`
+            <h3 class="page-title mb-20">Features</h3>
+            <ul class="property-grid-list mb-40">
+                ${rows.map(row => html`
+                    <li>
+                        <div class="property-grid-list-icon">
+                            <img src="assets/img/icon/${row.icon}" alt="icon">
+                        </div>
+                        <div class="property-grid-list-details">
+                            <h4 class="property-grid-list-title">${row.title}</h4>
+                            <p class="property-grid-list-text">${row.value}</p>
+                        </div>
+                    </li>
+                `)}
+            </ul>
+        `;
+    }
+
+    /**
+     * Create HTML for the amenities list
+     * @param {object} property - Property data
+     * @returns {SafeHTML|string} - HTML markup
+     */
+    createAmenitiesHTML(property) {
+        const amenities = (property.amenities || [])
+            .map(amenity => typeof amenity === 'string' ? amenity : amenity && amenity.name)
+            .filter(Boolean);
+
+        if (amenities.length === 0) return '';
+
+        return html`
+            <h3 class="page-title mb-20">Amenities</h3>
+            <div class="checklist list-two-column mb-40">
+                <ul>
+                    ${amenities.map(amenity => html`<li><i class="fa-regular fa-circle-check"></i>${amenity}</li>`)}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the location block
+     * @param {object} property - Property data
+     * @returns {SafeHTML|string} - HTML markup
+     */
+    createLocationHTML(property) {
+        const location = property.location;
+        const address = this.formatAddress(location);
+        if (!address) return '';
+
+        const coordinates = location.coordinates || {};
+        const query = coordinates.lat && coordinates.lng ? html`${coordinates.lat},${coordinates.lng}` : address;
+
+        return html`
+            <h3 class="page-title mb-20" id="property-location">Location</h3>
+            <div class="location-map mb-40">
+                <div class="contact-map">
+                    <iframe src="https://maps.google.com/maps?q=${encodeURIComponent(query)}&z=15&output=embed" allowfullscreen="" loading="lazy" referrerpolicy="no-referrer-when-downgrade"></iframe>
+                </div>
+                <div class="location-map-address">
+                    <div class="media-left">
+                        <h4 class="title">Address:</h4>
+                        <p class="text">${address}</p>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the agent card
+     * @param {object} agent - Agent data
+     * @returns {SafeHTML|string} - HTML markup
+     */
+    createAgentHTML(agent) {
+        if (!agent || !agent.name) return '';
+
+        const avatar = safeURL(agent.avatar || agent.image || agent.photo);
+        const phone = agent.phone ? String(agent.phone).replace(/[^\d+]/g, '') : '';
+
+        return html`
+            <div class="team-card mb-40">
+                ${avatar ? html`
+                    <div class="team-img">
+                        <img src="${avatar}" alt="${agent.name}">
+                    </div>
+                ` : ''}
+                <div class="team-content">
+                    <h3 class="box-title">${agent.name}</h3>
+                    <span class="team-desig">Property Agent</span>
+                    ${agent.phone ? html`<p class="mb-1"><i class="fa-solid fa-phone me-2"></i><a href="tel:${phone}">${agent.phone}</a></p>` : ''}
+                    ${agent.email ? html`<p class="mb-0"><i class="fa-solid fa-envelope me-2"></i><a href="mailto:${agent.email}">${agent.email}</a></p>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the documents list
+     * @param {array} documents - Property documents
+     * @returns {SafeHTML|string} - HTML markup
+     */
+    createDocumentsHTML(documents) {
+        const items = (documents || []).filter(doc => doc && safeURL(doc.url));
+        if (items.length === 0) return '';
+
+        return html`
+            <h3 class="page-title mb-20">Documents</h3>
+            <ul class="list-unstyled property-documents">
+                ${items.map(doc => html`
+                    <li class="mb-2">
+                        <a href="${safeURL(doc.url)}" target="_blank" rel="noopener">
+                            <i class="fa-regular fa-file-lines me-2"></i>${doc.name || doc.title || 'Document'}
+                        </a>
+                    </li>
+                `)}
+            </ul>
+        `;
+    }
+
+    /**
+     * Format a location object as a single line
+     * @param {object|string} location - Property location
+     * @returns {string} - Address line
+     */
+    formatAddress(location) {
+        if (!location) return '';
+        if (typeof location === 'string') return location;
+
+        return [location.address, location.city, location.state, location.zipCode, location.country]
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    /**
+     * Format the furnished flag for display
+     * @param {boolean|string} furnished - Furnished value
+     * @returns {string|null} - Display value
+     */
+    formatFurnished(furnished) {
+        if (furnished === true) return 'Yes';
+        if (furnished === false) return 'No';
+        return furnished || null;
+    }
+
+    /**
+     * Initialize gallery slider and lightbox for the rendered markup
+     * @param {HTMLElement} container - Details container
+     */
+    initGallery(container) {
+        const sliderEl = container.querySelector('#propertyDetailsSlider');
+        const thumbsEl = container.querySelector('#propertyDetailsThumbs');
+
+        if (sliderEl && typeof Swiper !== 'undefined') {
+            const thumbs = thumbsEl ? new Swiper(thumbsEl, {
+                slidesPerView: 4,
+                spaceBetween: 7,
+                watchSlidesProgress: true
+            }) : null;
+
+            new Swiper(sliderEl, {
+                slidesPerView: 1,
+                spaceBetween: 24,
+                navigation: {
+                    nextEl: sliderEl.querySelector('.slider-next'),
+                    prevEl: sliderEl.querySelector('.slider-prev')
+                },
+                thumbs: thumbs ? { swiper: thumbs } : undefined
+            });
+        }
+
+        if (window.jQuery && jQuery.fn.magnificPopup) {
+            jQuery(container).find('.popup-image').magnificPopup({
+                type: 'image',
+                gallery: {
+                    enabled: true
+                }
+            });
+        }
+    }
+
+    /**
+     * Show not found state
+     */
+    showNotFound() {
+        const container = document.getElementById('property-details');
+        if (!container) return;
+
+        setHTML(container, html`
+            <div class="text-center py-5">
+                <div class="th-empty-state">
+                    <i class="fa-light fa-house-circle-xmark fa-3x mb-3 text-muted"></i>
+                    <h4 class="mb-3">Floor Plan Not Found</h4>
+                    <p class="text-muted mb-4">The floor plan you are looking for does not exist or is no longer available.</p>
+                    <a href="index.html" class="th-btn">Browse Floor Plans</a>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * Get the message to show for a failed load
+     * @param {Error|object} failure - Thrown error or failed API result
+     * @returns {string} - User-facing message
+     */
+    getErrorMessage(failure) {
+        const fallback = 'We could not load this floor plan right now. Please try again later.';
+        return window.getAPIErrorMessage ? window.getAPIErrorMessage(failure, fallback) : fallback;
+    }
+
+    /**
+     * Show error state
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        const container = document.getElementById('property-details');
+        if (!container) return;
+
+        setHTML(container, html`
+            <div class="alert alert-danger" role="alert">
+                <i class="fa-light fa-exclamation-triangle me-2"></i>
+                ${message}
+            </div>
+            <div class="text-center">
+                <button type="button" class="th-btn" onclick="propertyDetailsPage.init()">Try Again</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Show loading indicator
+     */
+    showLoading() {
+        const loadingElement = document.getElementById('loading-indicator');
+        if (loadingElement) {
+            loadingElement.style.display = 'block';
+        }
+    }
+
+    /**
+     * Hide loading indicator
+     */
+    hideLoading() {
+        const loadingElement = document.getElementById('loading-indicator');
+        if (loadingElement) {
+            loadingElement.style.display = 'none';
+        }
+    }
+}
+
+// Initialize details page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.propertyDetailsPage = new PropertyDetailsPage();
+    window.propertyDetailsPage.init();
+});
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PropertyDetailsPage;
+}
+
+// Make available globally
+window.PropertyDetailsPage = PropertyDetailsPage;
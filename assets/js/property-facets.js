@@ -0,0 +1,290 @@
+/**
+ * Property Facets
+ * Builds filter facets with live counts from loaded properties and matches properties against them
+ */
+
+/**
+ * Facet definitions
+ * value    - reads the facet value(s) from a normalized property, null/undefined for none
+ * format   - display label for a value
+ * operator - "or" matches any selected value, "and" matches all of them (list facets only)
+ * order    - "value" keeps numeric/alphabetic order, "count" puts the most common first,
+ *            or a compare function for custom orders
+ * switchable - visitors may switch the operator between "and" and "or"
+ */
+const PROPERTY_FACETS = [
+    {
+        key: 'category',
+        label: 'Category',
+        value: property => property.category || null,
+        operator: 'or',
+        order: 'count'
+    },
+    {
+        key: 'bedrooms',
+        label: 'Bedrooms',
+        value: property => property.features && property.features.bedrooms,
+        format: value => `${value} Bed${Number(value) === 1 ? '' : 's'}`,
+        operator: 'or',
+        order: 'value'
+    },
+    {
+        key: 'bathrooms',
+        label: 'Bathrooms',
+        value: property => property.features && property.features.bathrooms,
+        format: value => `${value} Bath${Number(value) === 1 ? '' : 's'}`,
+        operator: 'or',
+        order: 'value'
+    },
+    {
+        key: 'garages',
+        label: 'Garages',
+        value: property => property.features && property.features.garages,
+        format: value => `${value} Garage${Number(value) === 1 ? '' : 's'}`,
+        operator: 'or',
+        order: 'value'
+    },
+    {
+        key: 'floors',
+        label: 'Floors',
+        value: property => property.features && property.features.floors,
+        format: value => `${value} Floor${Number(value) === 1 ? '' : 's'}`,
+        operator: 'or',
+        order: 'value'
+    },
+    {
+        key: 'furnished',
+        label: 'Furnishing',
+        value: property => {
+            const furnished = property.features && property.features.furnished;
+            if (furnished === true) return 'furnished';
+            if (furnished === false) return 'unfurnished';
+            return furnished;
+        },
+        format: value => String(value).replace(/[-_]+/g, ' ').replace(/\b\w/g, char => char.toUpperCase()),
+        operator: 'or',
+        order: 'count'
+    },
+    {
+        key: 'amenities',
+        label: 'Amenities',
+        value: property => property.amenities,
+        operator: 'and',
+        switchable: true,
+        order: 'count'
+    },
+    {
+        key: 'tags',
+        label: 'Tags',
+        value: property => property.tags,
+        operator: 'or',
+        switchable: true,
+        order: 'count'
+    }
+];
+
+class PropertyFacets {
+    constructor(facets = PROPERTY_FACETS) {
+        this.facets = facets.map(facet => ({ ...facet }));
+    }
+
+    /**
+     * Find a facet by key
+     * @param {string} key - Facet key
+     * @returns {object|null} - Facet definition
+     */
+    getFacet(key) {
+        return this.facets.find(facet => facet.key === key) || null;
+    }
+
+    /**
+     * Override parts of a facet definition, e.g. to map categories to filter classes
+     * @param {string} key - Facet key
+     * @param {object} overrides - Definition fields to replace
+     */
+    setFacet(key, overrides) {
+        const facet = this.getFacet(key);
+        if (facet) {
+            Object.assign(facet, overrides);
+        }
+    }
+
+    /**
+     * Read a property's values for a facet
+     * Values are compared as trimmed strings, so URL values match API values
+     * @param {object} property - Normalized property
+     * @param {object} facet - Facet definition
+     * @returns {array} - Distinct string values
+     */
+    getValues(property, facet) {
+        const raw = facet.value(property);
+        const values = Array.isArray(raw) ? raw : [raw];
+
+        return [...new Set(values
+            .filter(value => value !== null && value !== undefined && value !== '')
+            .map(value => String(value).trim())
+            .filter(Boolean))];
+    }
+
+    /**
+     * Clean a selection, dropping unknown facets and empty value lists
+     * @param {object} selection - Selected values keyed by facet ({ bedrooms: ["3"], ... })
+     * @returns {object} - Selection with string value arrays
+     */
+    normalizeSelection(selection = {}) {
+        const normalized = {};
+
+        Object.keys(selection).forEach(key => {
+            if (!this.getFacet(key)) return;
+
+            const raw = Array.isArray(selection[key]) ? selection[key] : [selection[key]];
+            const values = [...new Set(raw
+                .filter(value => value !== null && value !== undefined)
+                .map(value => String(value).trim())
+                .filter(Boolean))];
+
+            if (values.length > 0) {
+                normalized[key] = values;
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Get the operator a facet combines its selected values with
+     * @param {object} facet - Facet definition
+     * @param {object} operators - Per-facet operator overrides ({ amenities: "or" })
+     * @returns {string} - "and" | "or"
+     */
+    getOperator(facet, operators = {}) {
+        const operator = operators[facet.key] || facet.operator;
+        return operator === 'and' ? 'and' : 'or';
+    }
+
+    /**
+     * Check if a property matches a selection
+     * Facets are combined with AND, values inside a facet with the facet's operator
+     * @param {object} property - Normalized property
+     * @param {object} selection - Normalized selection
+     * @param {object} operators - Per-facet operator overrides
+     * @param {string} skipKey - Facet to ignore, used when counting that facet's own values
+     * @returns {boolean} - True if the property matches
+     */
+    matches(property, selection, operators = {}, skipKey = null) {
+        return Object.keys(selection).every(key => {
+            if (key === skipKey) return true;
+
+            const facet = this.getFacet(key);
+            const values = this.getValues(property, facet);
+            const selected = selection[key];
+
+            return this.getOperator(facet, operators) === 'and'
+                ? selected.every(value => values.includes(value))
+                : selected.some(value => values.includes(value));
+        });
+    }
+
+    /**
+     * Filter properties by a selection without mutating the input
+     * @param {array} properties - Normalized properties
+     * @param {object} selection - Selected values keyed by facet
+     * @param {object} operators - Per-facet operator overrides
+     * @returns {array} - Matching properties
+     */
+    filter(properties, selection = {}, operators = {}) {
+        const normalized = this.normalizeSelection(selection);
+        return properties.filter(property => this.matches(property, normalized, operators));
+    }
+
+    /**
+     * Build every facet with live counts
+     * A value's count is the number of results selecting it would give: OR facets ignore their
+     * own selection (so sibling values stay reachable), AND facets narrow the current results
+     * @param {array} properties - Normalized properties
+     * @param {object} selection - Selected values keyed by facet
+     * @param {object} operators - Per-facet operator overrides
+     * @returns {array} - Facets ({ key, label, operator, total, values: [{ value, label, count, selected }] })
+     */
+    compute(properties, selection = {}, operators = {}) {
+        const normalized = this.normalizeSelection(selection);
+
+        return this.facets.map(facet => {
+            const operator = this.getOperator(facet, operators);
+            const selected = normalized[facet.key] || [];
+            const pool = properties.filter(property => this.matches(
+                property, normalized, operators, operator === 'or' ? facet.key : null
+            ));
+
+            const counts = new Map();
+            properties.forEach(property => {
+                this.getValues(property, facet).forEach(value => {
+                    if (!counts.has(value)) counts.set(value, 0);
+                });
+            });
+            pool.forEach(property => {
+                this.getValues(property, facet).forEach(value => {
+                    counts.set(value, counts.get(value) + 1);
+                });
+            });
+
+            // Keep selected values visible even when no loaded property has them
+            selected.forEach(value => {
+                if (!counts.has(value)) counts.set(value, 0);
+            });
+
+            const values = [...counts.entries()].map(([value, count]) => ({
+                value: value,
+                label: facet.format ? facet.format(value) : value,
+                count: count,
+                selected: selected.includes(value)
+            }));
+
+            return {
+                key: facet.key,
+                label: facet.label,
+                operator: operator,
+                total: pool.length,
+                values: this.orderValues(values, facet.order)
+            };
+        });
+    }
+
+    /**
+     * Order facet values for display
+     * @param {array} values - Facet values
+     * @param {string|function} order - "value" | "count" | compare function
+     * @returns {array} - New ordered array
+     */
+    orderValues(values, order) {
+        if (typeof order === 'function') {
+            return [...values].sort(order);
+        }
+
+        const byLabel = (a, b) => {
+            const aNumber = parseFloat(a.value);
+            const bNumber = parseFloat(b.value);
+            if (isFinite(aNumber) && isFinite(bNumber) && aNumber !== bNumber) {
+                return aNumber - bNumber;
+            }
+            return String(a.label).localeCompare(String(b.label));
+        };
+
+        return [...values].sort(order === 'count'
+            ? (a, b) => b.count - a.count || byLabel(a, b)
+            : byLabel);
+    }
+}
+
+// Initialize facets instance
+const propertyFacets = new PropertyFacets();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROPERTY_FACETS, PropertyFacets, propertyFacets };
+}
+
+// Make available globally
+window.PROPERTY_FACETS = PROPERTY_FACETS;
+window.PropertyFacets = PropertyFacets;
+window.propertyFacets = propertyFacets;
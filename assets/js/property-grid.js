@@ -0,0 +1,246 @@
+/**
+ * Property Grid Layout
+ * Lays out API-loaded property cards with Isotope and runs the category filter and sort
+ */
+
+/**
+ * Isotope sort data read from the card markup
+ * The order itself comes from PropertySorter, the grid only animates cards into place
+ */
+const PROPERTY_GRID_SORT_DATA = {
+    rank: '[data-sort-rank] parseInt'
+};
+
+class PropertyGrid {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.itemSelector = options.itemSelector || '.filter-item';
+        this.filterValue = '*';
+        this.matchingIds = null;
+        this.order = null;
+        this.isotope = null;
+
+        // Re-create the layout whenever PropertyDisplay replaces the cards
+        this.container.addEventListener('properties:teardown', () => this.destroy());
+        this.container.addEventListener('properties:rendered', (e) => {
+            if (e.detail && e.detail.properties && e.detail.properties.length > 0) {
+                this.init();
+            }
+        });
+    }
+
+    /**
+     * Check if Isotope is available on the page
+     * @returns {boolean} - True if Isotope is loaded
+     */
+    hasIsotope() {
+        return typeof Isotope !== 'undefined';
+    }
+
+    /**
+     * Create the Isotope instance for the current cards
+     */
+    init() {
+        this.destroy();
+
+        if (!this.hasIsotope()) {
+            this.arrangeWithoutIsotope();
+            return;
+        }
+
+        this.isotope = new Isotope(this.container, {
+            itemSelector: this.itemSelector,
+            layoutMode: 'fitRows',
+            percentPosition: true,
+            getSortData: PROPERTY_GRID_SORT_DATA,
+            filter: this.getIsotopeFilter(),
+            sortBy: this.getSortBy()
+        });
+
+        // Card heights change once images arrive
+        if (typeof imagesLoaded !== 'undefined') {
+            imagesLoaded(this.container).on('progress', () => {
+                if (this.isotope) this.isotope.layout();
+            });
+        }
+    }
+
+    /**
+     * Destroy the Isotope instance, leaving the cards in normal flow
+     */
+    destroy() {
+        if (this.isotope) {
+            this.isotope.destroy();
+            this.isotope = null;
+        }
+    }
+
+    /**
+     * Re-measure the cards, e.g. after the container width changed
+     */
+    layout() {
+        if (this.isotope) this.isotope.layout();
+    }
+
+    /**
+     * Set the filter used by the next arrange()
+     * @param {string} filterValue - "*" or a category class selector such as ".single-story"
+     */
+    setFilter(filterValue) {
+        this.filterValue = this.normalizeFilter(filterValue);
+    }
+
+    /**
+     * Limit the cards shown by the next arrange() to a set of properties, e.g. facet results
+     * Applies on top of the category filter
+     * @param {array|null} propertyIds - Matching property ids, null to show every card
+     */
+    setMatches(propertyIds) {
+        this.matchingIds = propertyIds ? new Set(propertyIds.map(String)) : null;
+    }
+
+    /**
+     * Get the Isotope filter option
+     * @returns {string|function} - Selector, or a function when facet matches are set
+     */
+    getIsotopeFilter() {
+        return this.matchingIds ? item => this.matches(item) : this.filterValue;
+    }
+
+    /**
+     * Set the card order used by the next arrange()
+     * @param {array|null} propertyIds - Property ids in display order, null for render order
+     */
+    setOrder(propertyIds) {
+        this.order = propertyIds ? [...propertyIds] : null;
+    }
+
+    /**
+     * Write each card's position in the order to data-sort-rank
+     * Cards missing from the order keep their render order after the ranked ones
+     */
+    applyOrder() {
+        if (!this.order) return;
+
+        const ranks = new Map(this.order.map((id, index) => [String(id), index]));
+        this.getItems().forEach((item, index) => {
+            const rank = ranks.get(item.getAttribute('data-property-id'));
+            item.setAttribute('data-sort-rank', rank !== undefined ? rank : this.order.length + index);
+        });
+    }
+
+    /**
+     * Get the Isotope sortBy option for the current order
+     * @returns {string} - "rank" or "original-order"
+     */
+    getSortBy() {
+        return this.order ? 'rank' : 'original-order';
+    }
+
+    /**
+     * Filter the cards
+     * @param {string} filterValue - "*" or a category class selector
+     * @returns {number} - Number of matching cards
+     */
+    filter(filterValue) {
+        this.setFilter(filterValue);
+        return this.arrange();
+    }
+
+    /**
+     * Sort the cards
+     * @param {array|null} propertyIds - Property ids in display order
+     */
+    sort(propertyIds) {
+        this.setOrder(propertyIds);
+        this.arrange();
+    }
+
+    /**
+     * Apply the current filter and sort with Isotope's animated layout
+     * @returns {number} - Number of matching cards
+     */
+    arrange() {
+        this.applyOrder();
+
+        if (this.isotope) {
+            this.isotope.updateSortData();
+            this.isotope.arrange({
+                filter: this.getIsotopeFilter(),
+                sortBy: this.getSortBy()
+            });
+        } else {
+            this.arrangeWithoutIsotope();
+        }
+
+        return this.getVisibleCount();
+    }
+
+    /**
+     * Filter and sort by toggling and reordering cards when Isotope is not loaded
+     */
+    arrangeWithoutIsotope() {
+        const items = this.getItems();
+
+        items.forEach(item => {
+            item.style.display = this.matches(item) ? '' : 'none';
+        });
+
+        if (!this.order) return;
+
+        const rank = item => parseInt(item.getAttribute('data-sort-rank'), 10) || 0;
+        items
+            .sort((a, b) => rank(a) - rank(b))
+            .forEach(item => this.container.appendChild(item));
+    }
+
+    /**
+     * Get the card elements in the grid
+     * @returns {array} - Card elements
+     */
+    getItems() {
+        return Array.from(this.container.querySelectorAll(this.itemSelector));
+    }
+
+    /**
+     * Check if a card matches the current filter
+     * @param {HTMLElement} item - Card element
+     * @returns {boolean} - True if visible
+     */
+    matches(item) {
+        if (this.matchingIds && !this.matchingIds.has(item.getAttribute('data-property-id'))) {
+            return false;
+        }
+        return this.filterValue === '*' || item.matches(this.filterValue);
+    }
+
+    /**
+     * Get the number of cards matching the current filter
+     * @returns {number} - Visible card count
+     */
+    getVisibleCount() {
+        if (this.isotope) return this.isotope.filteredItems.length;
+        return this.getItems().filter(item => this.matches(item)).length;
+    }
+
+    /**
+     * Accept only "*" or a single class selector, e.g. from the URL
+     * @param {string} filterValue - Requested filter
+     * @returns {string} - Safe filter selector
+     */
+    normalizeFilter(filterValue) {
+        if (!filterValue || filterValue === '*') return '*';
+
+        const className = String(filterValue).replace(/^\./, '');
+        return /^[a-z0-9_-]+$/i.test(className) ? `.${className}` : '*';
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROPERTY_GRID_SORT_DATA, PropertyGrid };
+}
+
+// Make available globally
+window.PROPERTY_GRID_SORT_DATA = PROPERTY_GRID_SORT_DATA;
+window.PropertyGrid = PropertyGrid;
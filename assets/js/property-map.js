@@ -0,0 +1,961 @@
+/**
+ * Property Map
+ * Plots properties by their coordinates on a pannable, zoomable map with clustered pins
+ */
+
+/**
+ * Map settings, overridable through window.VALETI_MAP
+ * tileUrl       - raster tile template such as "https://tile.openstreetmap.org/{z}/{x}/{y}.png", drawn over
+ *                 the built-in coastlines; null draws the coastlines only, which need no network access
+ * attribution   - credit shown under the map, required by most tile servers
+ * clusterRadius - pins closer than this many pixels are grouped
+ * fitPadding    - space in pixels kept around pins when fitting the map to them
+ */
+const PROPERTY_MAP_OPTIONS = {
+    tileUrl: null,
+    attribution: '',
+    tileSize: 256,
+    minZoom: 1,
+    maxZoom: 18,
+    clusterRadius: 56,
+    fitPadding: 48,
+    center: { lat: 20, lng: 0 },
+    zoom: 2
+};
+
+// Latitude limit of the Web Mercator projection
+const MAP_MAX_LATITUDE = 85.05112878;
+
+// Grid line spacings in degrees; the smallest that keeps lines at least 80px apart is drawn
+const MAP_GRID_STEPS = [30, 10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01, 0.005, 0.002, 0.001];
+
+/**
+ * Simplified coastlines drawn as the offline map base, each a flat list of longitude, latitude pairs
+ * Accurate to a few hundred kilometres, enough to place pins when no tile server is configured
+ */
+const MAP_LAND_OUTLINES = [
+    // North America
+    [
+        -168, 66, -162, 70, -156, 71.3, -141, 69.6, -128, 70, -115, 68.5, -95, 68, -88, 68.5, -82, 66.5, -87, 63,
+        -93, 60, -94, 57, -89, 56.5, -82, 53, -79, 51.5, -78, 55, -77, 60.5, -73, 62, -65, 60, -61, 56, -56, 52,
+        -59, 48, -65, 49, -60, 46, -66, 44, -70, 42, -74, 40.5, -76, 37, -75.5, 35.2, -81, 31.5, -80, 27, -80.4, 25.2,
+        -82, 26.5, -82.8, 28.5, -84, 30, -89, 30.2, -94, 29.5, -97.4, 27.5, -97.8, 22.5, -96, 19, -91, 18.5,
+        -90.5, 21, -87, 21.5, -88, 17, -84, 15.8, -83.4, 11, -81.5, 9, -79.5, 9.5, -77.4, 8.5, -78, 7.2, -80.5, 7.5,
+        -84, 9.5, -86, 11.5, -88, 13.3, -92, 14.5, -95, 16, -98, 16.2, -103, 18.5, -105.5, 20.5, -105.5, 23,
+        -109, 27.5, -112.7, 31.5, -114.8, 31.8, -113, 29, -111, 25, -110, 23, -112, 24.8, -114, 27.8, -116, 30.5,
+        -117, 32.5, -120.5, 34.5, -122.5, 37.5, -124, 40.5, -124, 46, -124.5, 48.5, -127, 50.5, -130, 54, -134, 58,
+        -140, 59.8, -146, 60.5, -152, 59, -158, 57, -164, 54.5, -158, 58.5, -162, 60, -166, 62, -165, 64.5
+    ],
+    // Greenland
+    [
+        -73, 78, -60, 82, -35, 83.5, -20, 82, -18, 76, -22, 70, -30, 68, -40, 65, -43, 60, -48, 61, -52, 65,
+        -54, 68.5, -56, 72, -66, 76
+    ],
+    // Baffin Island
+    [
+        -90, 72, -78, 72.7, -68, 70.5, -62, 66.8, -65, 62.6, -71, 63, -74, 64.8, -78, 64.5, -74, 67.5, -81, 70
+    ],
+    // Victoria Island
+    [
+        -117, 70, -110, 73, -101, 73, -101, 69, -110, 68.5
+    ],
+    // Ellesmere Island
+    [
+        -82, 76.5, -75, 79, -62, 82.3, -80, 83, -95, 81, -90, 77
+    ],
+    // Newfoundland
+    [
+        -59.4, 47.6, -56, 51.6, -55.5, 49.8, -53, 49, -52.6, 47.4, -55.5, 46.9
+    ],
+    // Cuba
+    [
+        -84.9, 21.9, -82, 23.1, -77, 22.2, -74.2, 20.2, -77.7, 19.9, -80, 21.7
+    ],
+    // Hispaniola
+    [
+        -74.4, 19.9, -72, 19.9, -70, 19.7, -68.4, 18.6, -71.3, 17.6, -74.4, 18.4
+    ],
+    // South America
+    [
+        -77.4, 8.5, -75.5, 10.5, -72, 11.8, -70, 12.2, -67, 10.6, -62, 10.7, -60, 8.5, -57, 6, -52, 5, -50, 1.5,
+        -48, -1, -44, -2.5, -39, -3.5, -35, -5.5, -35, -9, -38.5, -13, -39, -17.5, -41, -22, -44.5, -23.2, -48.5, -26,
+        -48.5, -28.5, -51, -31, -53, -34, -57, -35, -57.5, -38, -62, -39, -65, -41, -63.5, -42.5, -65.5, -45,
+        -67.5, -46.5, -66, -48, -69, -51.5, -68.5, -53, -66, -55, -70, -55.5, -74, -53, -75.5, -48, -73.5, -44,
+        -73.5, -40, -73.5, -37, -71.5, -33, -71.5, -28, -70.5, -23, -70.2, -18.5, -75, -15.5, -76.5, -12.5,
+        -79.5, -7.5, -81.2, -5.5, -80, -2, -80.5, 0, -79, 1.5, -77.5, 4, -77.4, 6.5
+    ],
+    // Europe and Asia
+    [
+        -9, 37, -6, 36.5, -5.3, 36, -2, 36.7, 0, 38.7, -0.5, 39.5, 0.5, 40.5, 3.2, 42, 3, 43.3, 6, 43.1, 8.5, 44.3,
+        10.5, 43.5, 12.5, 41.8, 15.5, 40, 16, 38, 17.5, 39.7, 18.5, 40.2, 16, 41.5, 13.5, 43.6, 12.3, 45.3,
+        13.6, 45.7, 15, 44.8, 17.5, 43, 19.5, 41.8, 19.5, 40.5, 21, 38.5, 22.5, 36.5, 23, 38, 24, 40.7, 26.5, 40.8,
+        29, 41, 28, 43.5, 30, 45.8, 31.8, 46.6, 33.5, 44.5, 36.5, 45.2, 38, 47, 39.7, 47, 38, 44.5, 41.5, 41.6,
+        36, 41.7, 33, 42, 31, 41.2, 29.2, 41.1, 26.5, 40, 26.5, 38.5, 27.5, 37, 29, 36.5, 32, 36.1, 34.5, 36.8,
+        36, 36.5, 35.9, 34.5, 35, 32.8, 34.3, 31.3, 32.5, 31.1, 32.5, 29.9, 34.9, 29.5, 35, 28, 37, 25.5, 39, 21.5,
+        41, 17.5, 42.7, 14, 43.5, 12.7, 45, 12.8, 49, 14.2, 52, 15.5, 55, 17.2, 57, 18.8, 58.5, 21, 59.8, 22.5,
+        58.5, 23.7, 56.3, 24.8, 56.3, 26.3, 54, 24.2, 51.5, 24.3, 51.6, 26, 50, 26.5, 48.5, 28.5, 48, 30, 50, 30.1,
+        51.5, 27.9, 54, 26.6, 56.5, 27.1, 57.5, 25.7, 61.5, 25.2, 66.5, 25.4, 67.5, 24, 68.7, 23.2, 70.3, 21,
+        72.8, 21.2, 72.8, 19, 73.5, 15.7, 74.8, 12.8, 76.3, 9.5, 77.5, 8.1, 78.2, 8.9, 79.8, 10.3, 80.2, 13.5,
+        80, 15.5, 82.3, 16.6, 85, 19.3, 87, 21.4, 89, 21.7, 91.8, 22.4, 92.3, 20.7, 94.3, 18, 94.5, 16, 97.6, 16.5,
+        98.5, 13, 98.5, 10, 98.3, 8, 100.3, 6, 101, 3, 103.5, 1.3, 104.2, 1.4, 103.5, 4, 103.2, 5.5, 102, 6.2,
+        100.5, 7.2, 100, 9.5, 99.2, 10.5, 100, 12.7, 100.9, 13.4, 102.5, 12, 104.8, 10.5, 105.2, 8.7, 106.7, 10.4,
+        109.2, 11.6, 108.9, 15.3, 106.5, 17.5, 105.7, 19, 106.7, 20.7, 108.5, 21.6, 110.4, 20.8, 111.5, 21.5,
+        113.5, 22.2, 116.5, 23, 119, 25.4, 120.2, 27.5, 121.9, 30.8, 121, 32.5, 119.3, 34.5, 120.3, 36.2, 122.5, 37.2,
+        121, 37.7, 118.8, 37.3, 117.8, 38.7, 118.5, 39.2, 121, 40.8, 122.3, 40.3, 121.4, 39, 124, 39.8, 125.3, 37.7,
+        126.7, 34.5, 129.4, 35.4, 129.5, 37, 128.3, 38.6, 127.5, 39.8, 129.7, 41, 130.6, 42.5, 133, 42.8, 135.5, 43.9,
+        138, 46.6, 140.4, 48.4, 140.7, 51.7, 141.4, 53, 137, 54, 135.2, 54.8, 138, 56.5, 142, 59.2, 145, 59.4,
+        150, 59.6, 154.2, 59.2, 156, 57, 156.5, 51, 160, 53, 162, 55, 163.5, 56, 162, 58, 163, 60, 166, 60.3, 170, 60,
+        174, 61.8, 177, 62.5, 180, 65, 180, 68.9, 175, 69.8, 170, 70, 161, 69.5, 152, 70.9, 143, 72.6, 140, 72.4,
+        130, 71, 128, 72.9, 120, 73, 113, 73.7, 110, 76.7, 104, 77.7, 100, 76, 96, 76.1, 87, 74, 80, 73, 72, 72.8,
+        70, 73.3, 66.5, 70.8, 60, 69.8, 55, 68.4, 44, 68.3, 43.5, 66.3, 40, 66.4, 39, 64.6, 36, 64.5, 34.8, 66,
+        32.5, 67, 40.5, 67.7, 41, 69.2, 33, 69.5, 28, 71, 23.5, 71, 17, 69.5, 13, 67.8, 12.3, 65.5, 10, 63.5, 5, 62,
+        5, 59.2, 6, 58, 7.5, 58, 10.5, 59.5, 11.5, 58.5, 12.5, 56.3, 14, 55.5, 16, 56.2, 17, 57.5, 18.7, 59.5,
+        17.5, 61, 17.5, 62.7, 21, 64.5, 21.6, 65.8, 24, 65.8, 25.3, 64.9, 22.5, 63.3, 21.3, 61, 22.9, 60, 26, 60.4,
+        29.7, 60.2, 28, 59.5, 23.5, 59.2, 24, 58.3, 21.7, 57.4, 21, 56.3, 21.2, 55.2, 19.5, 54.4, 17.5, 54.8,
+        14.2, 53.9, 11, 54, 10, 55, 10.5, 56.5, 10.5, 57.7, 8.3, 56.8, 8.5, 55.3, 8.8, 53.9, 7, 53.5, 5, 53.2,
+        4, 51.4, 2, 51, 1.6, 50.1, 0, 49.5, -1.3, 49.7, -1.9, 48.7, -4.7, 48.5, -2.5, 47.3, -1.2, 46, -1.5, 43.4,
+        -3.8, 43.4, -8, 43.7, -9.3, 43, -8.8, 41, -9.5, 38.8, -8.8, 38
+    ],
+    // Great Britain
+    [
+        -5.7, 50, 1.4, 51.2, 1.7, 52.7, 0, 53.5, -1.5, 55, -2, 56, -1.8, 57.6, -3.8, 57.7, -3, 58.6, -5, 58.6,
+        -6.2, 57, -5.6, 55.3, -4.8, 54.8, -3.2, 54.6, -3, 53.3, -4.6, 53.3, -4.3, 52, -5.2, 51.7, -3.5, 51.4
+    ],
+    // Ireland
+    [
+        -6, 52, -6, 54, -7.3, 55.3, -8.5, 54.5, -10, 54, -10.2, 51.8, -8, 51.6
+    ],
+    // Iceland
+    [
+        -22.5, 64, -22, 66.4, -16, 66.5, -13.6, 65.1, -15, 64.2, -18.7, 63.4
+    ],
+    // Sicily
+    [
+        12.4, 38, 15.6, 38.3, 15.1, 36.7
+    ],
+    // Sardinia
+    [
+        8.4, 41, 9.8, 41, 9.6, 39, 8.4, 39
+    ],
+    // Svalbard
+    [
+        11, 78.5, 18, 80.5, 27, 80, 22, 77.5, 16, 76.5
+    ],
+    // Novaya Zemlya
+    [
+        52, 71, 56, 74, 68, 76.8, 62, 75, 57, 72.2
+    ],
+    // Africa
+    [
+        -5.9, 35.8, -2, 35.1, 1, 36.5, 3, 36.8, 8.6, 36.9, 10, 37.3, 11, 37, 10.2, 35.5, 11, 34.5, 10.2, 33.8,
+        11.5, 33.1, 15.2, 32.3, 19.9, 30.9, 20.1, 32.3, 23, 32.6, 25, 31.6, 29, 30.9, 32.3, 31.2, 32.5, 29.9, 33, 28,
+        34, 26, 35.5, 23.9, 37.2, 21, 37.4, 18.5, 38.6, 17.5, 39.7, 15.2, 41.5, 13.5, 43.3, 11.8, 44.5, 10.4,
+        47, 11.1, 51.2, 11.9, 51.2, 10.4, 50, 8, 48, 4.5, 46, 2, 43, -1, 41, -2.3, 39.5, -4.7, 39, -7, 39.7, -10.2,
+        40.5, -12, 40.5, -15, 36.8, -18, 35, -20.5, 35.5, -24, 32.8, -25.7, 32.5, -28.8, 30.5, -31, 27.5, -33.5,
+        25.6, -34, 22, -34.2, 20, -34.8, 18.5, -34.1, 18, -32, 16.5, -28.6, 15, -26.5, 14.5, -22.5, 12, -18,
+        11.8, -16, 12.5, -13.5, 13.6, -11, 13, -8, 12.2, -5.9, 11.8, -4.5, 9.5, -2.5, 9.3, 0, 9.8, 3, 8.5, 4.5,
+        6, 4.3, 4.5, 6.3, 2, 6.3, -1, 5, -3, 5.1, -7.5, 4.4, -9.5, 5.5, -11.5, 6.9, -13.3, 8.5, -15, 10.9,
+        -16.8, 13.2, -17.5, 14.7, -16.5, 16.2, -16.2, 19.5, -17, 21, -14.5, 25.5, -13, 27.5, -9.8, 29.8, -9.7, 32.3,
+        -7, 33.9
+    ],
+    // Madagascar
+    [
+        49.3, -12, 50.4, -15.5, 49.5, -17.5, 48.5, -20.5, 47.2, -24.9, 45, -25.5, 43.7, -23.5, 43.3, -21.5,
+        44.4, -19.5, 44, -17, 46.5, -15.8, 48, -13.5
+    ],
+    // Sri Lanka
+    [
+        79.9, 9.8, 81.9, 7.5, 81.3, 6.2, 80.1, 6, 79.8, 7.8
+    ],
+    // Taiwan
+    [
+        120.1, 23, 121, 25.3, 122, 25, 121, 22
+    ],
+    // Hokkaido
+    [
+        140, 41.5, 141, 42.5, 143.3, 42, 145.6, 43.3, 145, 44.3, 141.8, 45.4, 141.3, 43.3, 140, 42.5
+    ],
+    // Honshu, Shikoku and Kyushu
+    [
+        130.2, 31.2, 131.6, 31.5, 132, 33.8, 134.5, 33.5, 135.5, 33.5, 136.9, 34.3, 139.8, 34.9, 140.9, 35.7,
+        141, 38.3, 142, 39.5, 141.4, 41.4, 140, 40.8, 139.8, 39, 138.5, 37.8, 137, 37, 136.8, 37.3, 135.5, 35.5,
+        133, 35.6, 131, 34.4, 129.7, 33.3
+    ],
+    // Sakhalin
+    [
+        142, 46, 143.5, 49.5, 143, 54, 142.3, 54.2, 142, 51
+    ],
+    // Luzon
+    [
+        120.6, 18.5, 122.3, 18.5, 122, 16, 124, 13, 123, 13, 120.6, 14.3, 119.8, 16.3
+    ],
+    // Mindanao
+    [
+        122, 7, 125.5, 9.7, 126.5, 7, 125.5, 5.8, 124, 6.4
+    ],
+    // Sumatra
+    [
+        95.3, 5.6, 98.5, 4, 102.5, 0.5, 106, -3, 105.8, -5.9, 104.5, -5.9, 101, -2.5, 98.6, 1.7
+    ],
+    // Java
+    [
+        105.2, -6.8, 108.3, -6.2, 112.7, -6.9, 114.5, -7.8, 111, -8.2, 106.4, -7.4
+    ],
+    // Borneo
+    [
+        109, 1.5, 111, 1.8, 113, 3.2, 115.5, 5.2, 117, 7, 119, 5, 117.6, 3.5, 118, 1, 117, -1, 116.5, -3.5, 114.6, -4,
+        110.2, -3, 109.6, -1
+    ],
+    // Sulawesi
+    [
+        119.5, -5.5, 120.5, -2.7, 121, 1, 124.8, 1.5, 121, -1, 123, -4.5, 121, -3, 120.5, -5.5
+    ],
+    // New Guinea
+    [
+        131, -1.3, 134, -0.8, 135.5, -3.3, 138, -1.6, 141, -2.6, 145.8, -5, 147.5, -6, 147.6, -8, 150, -10.3,
+        147, -10, 144, -7.7, 141, -9.1, 138, -8.3, 137.8, -5.2, 133.5, -4.1, 132, -2.8
+    ],
+    // Australia
+    [
+        113.5, -22, 114, -26, 115, -30, 115.2, -33.6, 117.5, -35, 123.5, -34, 126, -32.3, 131, -31.5, 134, -32.5,
+        135.5, -34.8, 137.8, -32.5, 138.2, -35.6, 140, -37.5, 143.5, -38.8, 146.4, -39.1, 150, -37.5, 151, -34,
+        153, -31, 153.6, -28, 153, -25, 150.8, -22.5, 149, -20.5, 146.2, -19, 145.3, -15, 143.5, -14, 142.5, -10.7,
+        141.5, -13.5, 141.5, -17, 140, -17.7, 137, -15.8, 135.8, -14.8, 136.9, -12.3, 132.5, -11.4, 130, -13,
+        129, -15, 126, -14, 122.5, -17, 121, -19.5, 117, -20.6
+    ],
+    // Tasmania
+    [
+        144.7, -40.7, 148.3, -40.9, 148, -43.2, 146, -43.6
+    ],
+    // New Zealand North Island
+    [
+        172.7, -34.4, 174.8, -36.8, 178.5, -37.7, 177, -39.3, 176, -41.3, 174.6, -41.3, 175, -39.8, 173.8, -39.2,
+        174.5, -37.5
+    ],
+    // New Zealand South Island
+    [
+        172.7, -40.5, 174.3, -41.7, 173, -43.5, 171, -44.7, 169, -46.6, 166.5, -46, 167.5, -44.5, 170.5, -42.8
+    ],
+    // Antarctica
+    [
+        -180, -85, 180, -85, 180, -78, 165, -71, 140, -66.5, 110, -66, 90, -66.5, 70, -68, 50, -66.5, 30, -69.5,
+        0, -70.5, -20, -73, -35, -77.5, -60, -73, -57, -63.5, -65, -66, -75, -72, -100, -73, -130, -74.5, -150, -77,
+        -165, -78, -180, -78
+    ]
+];
+
+class PropertyMap {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = { ...PROPERTY_MAP_OPTIONS, ...(window.VALETI_MAP || {}), ...options };
+        this.center = this.project(this.options.center);
+        this.zoom = this.options.zoom;
+        this.width = 0;
+        this.height = 0;
+
+        // Plotted properties ({ property, point }) and the count left out for lack of coordinates
+        this.points = [];
+        this.unplotted = 0;
+        this.clusters = [];
+
+        // Area applied with "Search this area", drawn as a rectangle
+        this.area = null;
+        // Property highlighted from the list, and the one with an open popup
+        this.activeId = null;
+        this.selectedId = null;
+
+        // The visitor moved the map since it was last fitted, so "Search this area" applies
+        this.hasMoved = false;
+        // Fit once the map has a size, e.g. after it is first shown
+        this.pendingFit = true;
+
+        this.drag = null;
+        this.frame = null;
+        this.resizeObserver = null;
+    }
+
+    /**
+     * Build the map markup and bind its controls
+     * @returns {PropertyMap} - This map
+     */
+    init() {
+        setHTML(this.element, html`
+            <div class="property-map-viewport" tabindex="0" role="application"
+                aria-label="Property map. Drag or use the arrow keys to move, plus and minus to zoom.">
+                <div class="property-map-base" data-map-base></div>
+                <div class="property-map-markers" data-map-markers></div>
+                <div class="property-map-popup" data-map-popup hidden></div>
+            </div>
+            <div class="property-map-controls">
+                <button type="button" class="property-map-zoom" data-map-zoom="1" aria-label="Zoom in"><i class="fa-regular fa-plus"></i></button>
+                <button type="button" class="property-map-zoom" data-map-zoom="-1" aria-label="Zoom out"><i class="fa-regular fa-minus"></i></button>
+            </div>
+            <div class="property-map-actions">
+                <button type="button" class="th-btn sm style3 pill" data-map-search-area hidden>
+                    <i class="fa-regular fa-magnifying-glass me-2"></i>Search this area
+                </button>
+                <button type="button" class="th-btn sm style3 pill" data-map-clear-area hidden>
+                    <i class="fa-regular fa-xmark me-2"></i>Clear map area
+                </button>
+            </div>
+            <p class="property-map-note" data-map-note hidden></p>
+            ${this.options.attribution ? html`<p class="property-map-attribution">${this.options.attribution}</p>` : ''}
+        `);
+
+        this.viewport = this.element.querySelector('.property-map-viewport');
+        this.setupEvents();
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.refresh());
+            this.resizeObserver.observe(this.viewport);
+        }
+
+        this.refresh();
+        return this;
+    }
+
+    /**
+     * Convert a coordinate to a world point, both axes from 0 to 1
+     * @param {object} coordinates - Coordinates ({ lat, lng })
+     * @returns {object} - World point ({ x, y })
+     */
+    project(coordinates) {
+        const lat = Math.max(-MAP_MAX_LATITUDE, Math.min(MAP_MAX_LATITUDE, coordinates.lat));
+        const sin = Math.sin(lat * Math.PI / 180);
+
+        return {
+            x: (coordinates.lng + 180) / 360,
+            y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+        };
+    }
+
+    /**
+     * Convert a world point back to a coordinate
+     * @param {object} point - World point ({ x, y })
+     * @returns {object} - Coordinates ({ lat, lng })
+     */
+    unproject(point) {
+        const n = Math.PI - 2 * Math.PI * point.y;
+
+        return {
+            lat: 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n))),
+            lng: point.x * 360 - 180
+        };
+    }
+
+    /**
+     * Get the size of the world in pixels at a zoom level
+     * @param {number} zoom - Zoom level
+     * @returns {number} - World size in pixels
+     */
+    getScale(zoom = this.zoom) {
+        return this.options.tileSize * Math.pow(2, zoom);
+    }
+
+    /**
+     * Convert a world point to a position in the viewport
+     * @param {object} point - World point
+     * @returns {object} - Pixel position ({ x, y })
+     */
+    toScreen(point) {
+        const scale = this.getScale();
+        return {
+            x: (point.x - this.center.x) * scale + this.width / 2,
+            y: (point.y - this.center.y) * scale + this.height / 2
+        };
+    }
+
+    /**
+     * Convert a position in the viewport to a world point
+     * @param {object} position - Pixel position ({ x, y })
+     * @returns {object} - World point
+     */
+    fromScreen(position) {
+        const scale = this.getScale();
+        return {
+            x: this.center.x + (position.x - this.width / 2) / scale,
+            y: this.center.y + (position.y - this.height / 2) / scale
+        };
+    }
+
+    /**
+     * Get the area shown in the viewport
+     * @returns {object} - Bounds ({ south, west, north, east })
+     */
+    getBounds() {
+        const northWest = this.unproject(this.clampPoint(this.fromScreen({ x: 0, y: 0 })));
+        const southEast = this.unproject(this.clampPoint(this.fromScreen({ x: this.width, y: this.height })));
+
+        return { south: southEast.lat, west: northWest.lng, north: northWest.lat, east: southEast.lng };
+    }
+
+    /**
+     * Keep a world point inside the world
+     * @param {object} point - World point
+     * @returns {object} - Clamped world point
+     */
+    clampPoint(point) {
+        return { x: Math.min(Math.max(point.x, 0), 1), y: Math.min(Math.max(point.y, 0), 1) };
+    }
+
+    /**
+     * Move and zoom the map
+     * @param {object} center - World point to center on
+     * @param {number} zoom - Zoom level, clamped to the configured range
+     */
+    setView(center, zoom = this.zoom) {
+        this.zoom = Math.min(Math.max(zoom, this.options.minZoom), this.options.maxZoom);
+        this.center = this.clampPoint(center);
+        this.scheduleRender();
+    }
+
+    /**
+     * Move the map by a number of pixels
+     * @param {number} dx - Horizontal distance
+     * @param {number} dy - Vertical distance
+     */
+    panBy(dx, dy) {
+        const scale = this.getScale();
+        this.setView({ x: this.center.x + dx / scale, y: this.center.y + dy / scale });
+    }
+
+    /**
+     * Zoom while keeping a viewport position over the same place
+     * @param {number} zoom - New zoom level
+     * @param {object} position - Pixel position to zoom around, defaults to the center
+     */
+    zoomAt(zoom, position = { x: this.width / 2, y: this.height / 2 }) {
+        const anchor = this.fromScreen(position);
+        const target = Math.min(Math.max(zoom, this.options.minZoom), this.options.maxZoom);
+        const scale = this.getScale(target);
+
+        this.setView({
+            x: anchor.x - (position.x - this.width / 2) / scale,
+            y: anchor.y - (position.y - this.height / 2) / scale
+        }, target);
+    }
+
+    /**
+     * Show an area as large as the viewport allows
+     * @param {object} bounds - Bounds ({ south, west, north, east })
+     * @param {number} maxZoom - Highest zoom to use, so a single pin doesn't zoom to street level
+     */
+    fitBounds(bounds, maxZoom = 15) {
+        if (this.width === 0 || this.height === 0) {
+            this.pendingFit = true;
+            return;
+        }
+
+        const northWest = this.project({ lat: bounds.north, lng: bounds.west });
+        const southEast = this.project({ lat: bounds.south, lng: bounds.east });
+        const padding = this.options.fitPadding;
+        const spanX = Math.max(southEast.x - northWest.x, 1e-9);
+        const spanY = Math.max(southEast.y - northWest.y, 1e-9);
+        const zoom = Math.log2(Math.min(
+            Math.max(this.width - padding * 2, 1) / (spanX * this.options.tileSize),
+            Math.max(this.height - padding * 2, 1) / (spanY * this.options.tileSize)
+        ));
+
+        this.pendingFit = false;
+        this.setView({ x: (northWest.x + southEast.x) / 2, y: (northWest.y + southEast.y) / 2 }, Math.min(zoom, maxZoom));
+    }
+
+    /**
+     * Fit the map to the search area, or to the plotted properties
+     */
+    fit() {
+        if (this.area) {
+            this.fitBounds(this.area);
+        } else if (this.points.length > 0) {
+            this.fitBounds(this.getPointBounds(this.points));
+        } else {
+            this.setView(this.project(this.options.center), this.options.zoom);
+        }
+        this.hasMoved = false;
+    }
+
+    /**
+     * Get the area around plotted properties
+     * @param {array} points - Plotted properties ({ property, point })
+     * @returns {object} - Bounds ({ south, west, north, east })
+     */
+    getPointBounds(points) {
+        const coordinates = points.map(entry => this.unproject(entry.point));
+        return {
+            south: Math.min(...coordinates.map(c => c.lat)),
+            west: Math.min(...coordinates.map(c => c.lng)),
+            north: Math.max(...coordinates.map(c => c.lat)),
+            east: Math.max(...coordinates.map(c => c.lng))
+        };
+    }
+
+    /**
+     * Read a property's coordinates
+     * @param {object} property - Normalized property
+     * @returns {object|null} - Coordinates ({ lat, lng })
+     */
+    getCoordinates(property) {
+        const coordinates = property && property.location ? property.location.coordinates : null;
+        return coordinates && isFinite(coordinates.lat) && isFinite(coordinates.lng) ? coordinates : null;
+    }
+
+    /**
+     * Plot properties
+     * The map fits to them unless the visitor has moved it or a search area is set
+     * @param {array} properties - Normalized properties
+     */
+    setProperties(properties) {
+        this.points = [];
+        this.unplotted = 0;
+
+        properties.forEach(property => {
+            const coordinates = this.getCoordinates(property);
+            if (coordinates) {
+                this.points.push({ property: property, point: this.project(coordinates) });
+            } else {
+                this.unplotted++;
+            }
+        });
+
+        if (this.selectedId && !this.points.some(entry => String(entry.property.id) === this.selectedId)) {
+            this.selectedId = null;
+        }
+
+        if (!this.hasMoved && !this.area) {
+            this.fit();
+        }
+        this.scheduleRender();
+    }
+
+    /**
+     * Set the area applied with "Search this area"
+     * @param {object|null} bounds - Bounds ({ south, west, north, east }), null clears it
+     * @param {boolean} fit - Fit the map to the area, false when it was taken from the viewport
+     */
+    setArea(bounds, fit = true) {
+        const key = area => (area ? [area.south, area.west, area.north, area.east].join(',') : '');
+        if (key(bounds) === key(this.area)) return;
+
+        this.area = bounds || null;
+        if (fit) {
+            this.fit();
+        } else {
+            this.scheduleRender();
+        }
+    }
+
+    /**
+     * Highlight the pin of a property, e.g. while its card is hovered
+     * @param {string|null} propertyId - Property ID, null clears the highlight
+     */
+    highlight(propertyId) {
+        const id = propertyId === null || propertyId === undefined ? null : String(propertyId);
+        if (id === this.activeId) return;
+
+        this.activeId = id;
+        this.scheduleRender();
+    }
+
+    /**
+     * Open a property's popup
+     * @param {string} propertyId - Property ID
+     */
+    select(propertyId) {
+        this.selectedId = String(propertyId);
+        this.scheduleRender();
+    }
+
+    /**
+     * Re-measure the viewport and redraw, e.g. after the map is shown
+     */
+    refresh() {
+        const width = this.viewport ? this.viewport.clientWidth : 0;
+        const height = this.viewport ? this.viewport.clientHeight : 0;
+        const sizeChanged = width !== this.width || height !== this.height;
+
+        this.width = width;
+        this.height = height;
+
+        if (this.pendingFit && width > 0 && height > 0) {
+            this.fit();
+        } else if (sizeChanged) {
+            this.scheduleRender();
+        }
+    }
+
+    /**
+     * Group pins closer than the cluster radius
+     * Cells are fixed in world space, so clusters don't shift while the map is dragged
+     * @returns {array} - Clusters ({ entries, point })
+     */
+    cluster() {
+        const cellSize = this.options.clusterRadius / this.getScale();
+        const cells = new Map();
+
+        this.points.forEach(entry => {
+            const key = `${Math.floor(entry.point.x / cellSize)}:${Math.floor(entry.point.y / cellSize)}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(entry);
+        });
+
+        return [...cells.values()].map(entries => ({
+            entries: entries,
+            point: {
+                x: entries.reduce((sum, entry) => sum + entry.point.x, 0) / entries.length,
+                y: entries.reduce((sum, entry) => sum + entry.point.y, 0) / entries.length
+            }
+        }));
+    }
+
+    /**
+     * Redraw on the next animation frame, batching changes made in the same frame
+     */
+    scheduleRender() {
+        if (this.frame) return;
+
+        const schedule = typeof requestAnimationFrame !== 'undefined' ? requestAnimationFrame : (fn) => setTimeout(fn, 16);
+        this.frame = schedule(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    /**
+     * Draw the base, pins, popup and controls
+     */
+    render() {
+        if (!this.viewport || this.width === 0 || this.height === 0) return;
+
+        this.clusters = this.cluster();
+        setHTML(this.element.querySelector('[data-map-base]'), this.createBaseHTML());
+        setHTML(this.element.querySelector('[data-map-markers]'), html`${this.clusters.map((cluster, index) => this.createMarkerHTML(cluster, index))}`);
+        this.renderPopup();
+
+        this.element.querySelector('[data-map-search-area]').hidden = !this.hasMoved;
+        this.element.querySelector('[data-map-clear-area]').hidden = !this.area;
+
+        const note = this.element.querySelector('[data-map-note]');
+        if (this.points.length === 0 && this.unplotted === 0) {
+            note.hidden = true;
+        } else if (this.points.length === 0) {
+            note.hidden = false;
+            note.textContent = 'None of these properties have a map location yet.';
+        } else {
+            note.hidden = this.unplotted === 0;
+            note.textContent = `${this.unplotted} ${this.unplotted === 1 ? 'property has' : 'properties have'} no map location.`;
+        }
+    }
+
+    /**
+     * Create the SVG base: water, coastlines, tiles when configured, grid lines and the search area
+     * @returns {SafeHTML} - SVG markup
+     */
+    createBaseHTML() {
+        const round = value => Math.round(value * 10) / 10;
+        const worldTopLeft = this.toScreen({ x: 0, y: 0 });
+        const worldSize = this.getScale();
+        const area = this.area ? this.getAreaRect(this.area) : null;
+
+        return html`
+            <svg class="property-map-svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}" aria-hidden="true">
+                <rect class="property-map-world" x="${round(worldTopLeft.x)}" y="${round(worldTopLeft.y)}" width="${round(worldSize)}" height="${round(worldSize)}"></rect>
+                <path class="property-map-land" d="${this.getLandPath()}"></path>
+                ${this.getTiles().map(tile => html`
+                    <image href="${tile.url}" x="${round(tile.x)}" y="${round(tile.y)}" width="${round(tile.size)}" height="${round(tile.size)}" preserveAspectRatio="none"></image>
+                `)}
+                <path class="property-map-grid" d="${this.getGridPath()}"></path>
+                ${area ? html`
+                    <rect class="property-map-area" x="${round(area.x)}" y="${round(area.y)}" width="${round(area.width)}" height="${round(area.height)}"></rect>
+                ` : ''}
+            </svg>
+        `;
+    }
+
+    /**
+     * Get the visible raster tiles, when a tile server is configured
+     * @returns {array} - Tiles ({ url, x, y, size })
+     */
+    getTiles() {
+        if (!this.options.tileUrl) return [];
+
+        const z = Math.max(0, Math.min(Math.round(this.zoom), this.options.maxZoom));
+        const count = Math.pow(2, z);
+        const size = this.getScale() / count;
+        const topLeft = this.fromScreen({ x: 0, y: 0 });
+        const bottomRight = this.fromScreen({ x: this.width, y: this.height });
+        const tiles = [];
+
+        const range = (from, to) => {
+            const start = Math.max(0, Math.floor(from * count));
+            const end = Math.min(count - 1, Math.floor(to * count));
+            return Array.from({ length: Math.max(0, end - start + 1) }, (value, index) => start + index);
+        };
+
+        range(topLeft.y, bottomRight.y).forEach(y => {
+            range(topLeft.x, bottomRight.x).forEach(x => {
+                const url = safeURL(this.options.tileUrl.replace('{z}', z).replace('{x}', x).replace('{y}', y));
+                if (!url) return;
+
+                const position = this.toScreen({ x: x / count, y: y / count });
+                tiles.push({ url: url, x: position.x, y: position.y, size: size });
+            });
+        });
+
+        return tiles;
+    }
+
+    /**
+     * Build the coastline outlines for the current view
+     * @returns {string} - SVG path data
+     */
+    getLandPath() {
+        const round = value => Math.round(value * 10) / 10;
+
+        return MAP_LAND_OUTLINES.map(outline => {
+            const commands = [];
+            for (let i = 0; i < outline.length; i += 2) {
+                const position = this.toScreen(this.project({ lat: outline[i + 1], lng: outline[i] }));
+                commands.push(`${i === 0 ? 'M' : 'L'}${round(position.x)} ${round(position.y)}`);
+            }
+            return `${commands.join('')}Z`;
+        }).join('');
+    }
+
+    /**
+     * Build grid lines of latitude and longitude for the visible area
+     * @returns {string} - SVG path data
+     */
+    getGridPath() {
+        const pixelsPerDegree = this.getScale() / 360;
+        const step = MAP_GRID_STEPS.slice().reverse().find(value => value * pixelsPerDegree >= 80) || MAP_GRID_STEPS[0];
+        const bounds = this.getBounds();
+        const round = value => Math.round(value * 10) / 10;
+        const commands = [];
+
+        for (let lng = Math.ceil(bounds.west / step) * step; lng <= bounds.east; lng += step) {
+            const x = this.toScreen(this.project({ lat: 0, lng: lng })).x;
+            commands.push(`M${round(x)} 0V${this.height}`);
+        }
+        for (let lat = Math.ceil(bounds.south / step) * step; lat <= bounds.north; lat += step) {
+            const y = this.toScreen(this.project({ lat: lat, lng: 0 })).y;
+            commands.push(`M0 ${round(y)}H${this.width}`);
+        }
+
+        return commands.join('');
+    }
+
+    /**
+     * Get the viewport rectangle of an area
+     * @param {object} bounds - Bounds ({ south, west, north, east })
+     * @returns {object} - Rectangle ({ x, y, width, height })
+     */
+    getAreaRect(bounds) {
+        const northWest = this.toScreen(this.project({ lat: bounds.north, lng: bounds.west }));
+        const southEast = this.toScreen(this.project({ lat: bounds.south, lng: bounds.east }));
+
+        return { x: northWest.x, y: northWest.y, width: southEast.x - northWest.x, height: southEast.y - northWest.y };
+    }
+
+    /**
+     * Create HTML for a pin or cluster
+     * @param {object} cluster - Cluster ({ entries, point })
+     * @param {number} index - Cluster index
+     * @returns {SafeHTML|string} - Marker markup, empty when outside the viewport
+     */
+    createMarkerHTML(cluster, index) {
+        const position = this.toScreen(cluster.point);
+        const margin = 40;
+        if (position.x < -margin || position.y < -margin || position.x > this.width + margin || position.y > this.height + margin) {
+            return '';
+        }
+
+        const style = `left: ${Math.round(position.x)}px; top: ${Math.round(position.y)}px`;
+        const isActive = cluster.entries.some(entry => String(entry.property.id) === this.activeId);
+
+        if (cluster.entries.length === 1) {
+            const property = cluster.entries[0].property;
+            return html`
+                <button type="button" class="property-map-pin ${isActive ? 'active' : ''}" style="${style}"
+                    data-map-property="${property.id}" aria-label="${property.title}">
+                    <i class="fa-solid fa-location-dot"></i>
+                </button>
+            `;
+        }
+
+        return html`
+            <button type="button" class="property-map-cluster ${isActive ? 'active' : ''}" style="${style}"
+                data-map-cluster="${index}" aria-label="${cluster.entries.length} properties, zoom in">
+                ${cluster.entries.length}
+            </button>
+        `;
+    }
+
+    /**
+     * Show the popup of the selected property above its pin
+     */
+    renderPopup() {
+        const popup = this.element.querySelector('[data-map-popup]');
+        const entry = this.selectedId ? this.points.find(item => String(item.property.id) === this.selectedId) : null;
+
+        if (!entry || !this.options.renderPopup) {
+            popup.hidden = true;
+            return;
+        }
+
+        const position = this.toScreen(entry.point);
+        popup.style.left = `${Math.round(position.x)}px`;
+        popup.style.top = `${Math.round(position.y)}px`;
+
+        if (popup.getAttribute('data-property-id') !== this.selectedId) {
+            popup.setAttribute('data-property-id', this.selectedId);
+            setHTML(popup, html`
+                <button type="button" class="property-map-popup-close" data-map-popup-close aria-label="Close"><i class="fa-regular fa-xmark"></i></button>
+                ${this.options.renderPopup(entry.property)}
+            `);
+        }
+        popup.hidden = false;
+    }
+
+    /**
+     * Close the property popup
+     */
+    closePopup() {
+        if (!this.selectedId) return;
+
+        this.selectedId = null;
+        this.scheduleRender();
+    }
+
+    /**
+     * Mark the map as moved by the visitor, offering "Search this area"
+     */
+    markMoved() {
+        if (this.points.length === 0 && !this.area) return;
+
+        this.hasMoved = true;
+        this.scheduleRender();
+    }
+
+    /**
+     * Bind dragging, zooming, keyboard and button handlers
+     */
+    setupEvents() {
+        const viewport = this.viewport;
+
+        viewport.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || e.target.closest('button, a, [data-map-popup]')) return;
+
+            this.drag = { id: e.pointerId, x: e.clientX, y: e.clientY, moved: false };
+            viewport.setPointerCapture(e.pointerId);
+        });
+        viewport.addEventListener('pointermove', (e) => {
+            if (!this.drag || this.drag.id !== e.pointerId) return;
+
+            const dx = e.clientX - this.drag.x;
+            const dy = e.clientY - this.drag.y;
+            if (!this.drag.moved && Math.abs(dx) + Math.abs(dy) < 3) return;
+
+            this.drag.moved = true;
+            this.drag.x = e.clientX;
+            this.drag.y = e.clientY;
+            viewport.classList.add('is-dragging');
+            this.panBy(-dx, -dy);
+        });
+        const endDrag = (e) => {
+            if (!this.drag || this.drag.id !== e.pointerId) return;
+
+            if (this.drag.moved) this.markMoved();
+            this.drag = null;
+            viewport.classList.remove('is-dragging');
+        };
+        viewport.addEventListener('pointerup', endDrag);
+        viewport.addEventListener('pointercancel', endDrag);
+
+        viewport.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = viewport.getBoundingClientRect();
+            this.zoomAt(this.zoom - Math.sign(e.deltaY) * 0.5, { x: e.clientX - rect.left, y: e.clientY - rect.top });
+            this.markMoved();
+        }, { passive: false });
+
+        viewport.addEventListener('dblclick', (e) => {
+            if (e.target.closest('button, a, [data-map-popup]')) return;
+
+            const rect = viewport.getBoundingClientRect();
+            this.zoomAt(this.zoom + 1, { x: e.clientX - rect.left, y: e.clientY - rect.top });
+            this.markMoved();
+        });
+
+        viewport.addEventListener('keydown', (e) => {
+            if (e.target !== viewport) return;
+
+            const moves = { ArrowLeft: [-100, 0], ArrowRight: [100, 0], ArrowUp: [0, -100], ArrowDown: [0, 100] };
+            if (moves[e.key]) {
+                this.panBy(...moves[e.key]);
+            } else if (e.key === '+' || e.key === '=') {
+                this.zoomAt(this.zoom + 1);
+            } else if (e.key === '-' || e.key === '_') {
+                this.zoomAt(this.zoom - 1);
+            } else if (e.key === 'Escape') {
+                this.closePopup();
+                return;
+            } else {
+                return;
+            }
+
+            e.preventDefault();
+            this.markMoved();
+        });
+
+        this.element.addEventListener('click', (e) => {
+            const zoomButton = e.target.closest('[data-map-zoom]');
+            const pin = e.target.closest('[data-map-property]');
+            const cluster = e.target.closest('[data-map-cluster]');
+
+            if (zoomButton) {
+                this.zoomAt(this.zoom + Number(zoomButton.getAttribute('data-map-zoom')));
+                this.markMoved();
+            } else if (pin) {
+                const propertyId = pin.getAttribute('data-map-property');
+                this.select(propertyId);
+                if (this.options.onSelect) this.options.onSelect(propertyId);
+            } else if (cluster) {
+                const entries = (this.clusters[Number(cluster.getAttribute('data-map-cluster'))] || {}).entries || [];
+                if (entries.length === 0) return;
+
+                const zoom = this.zoom;
+                this.fitBounds(this.getPointBounds(entries), this.options.maxZoom);
+                // Pins at the same spot can't be split by fitting, so zoom in a step at least
+                if (this.zoom <= zoom) this.zoomAt(zoom + 1, this.toScreen(entries[0].point));
+                this.markMoved();
+            } else if (e.target.closest('[data-map-popup-close]')) {
+                this.closePopup();
+            } else if (e.target.closest('[data-map-search-area]')) {
+                this.hasMoved = false;
+                this.scheduleRender();
+                if (this.options.onSearchArea) this.options.onSearchArea(this.getBounds());
+            } else if (e.target.closest('[data-map-clear-area]')) {
+                if (this.options.onClearArea) this.options.onClearArea();
+            }
+        });
+
+        const markers = this.element.querySelector('[data-map-markers]');
+        markers.addEventListener('mouseover', (e) => {
+            const pin = e.target.closest('[data-map-property]');
+            if (pin && this.options.onHover) this.options.onHover(pin.getAttribute('data-map-property'));
+        });
+        markers.addEventListener('mouseout', (e) => {
+            const pin = e.target.closest('[data-map-property]');
+            if (pin && !pin.contains(e.relatedTarget) && this.options.onHover) this.options.onHover(null);
+        });
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROPERTY_MAP_OPTIONS, PropertyMap };
+}
+
+// Make available globally
+window.PROPERTY_MAP_OPTIONS = PROPERTY_MAP_OPTIONS;
+window.PropertyMap = PropertyMap;
@@ -0,0 +1,445 @@
+/**
+ * Property Model
+ * Validates API property payloads and maps them to the shape the UI renders
+ */
+
+/**
+ * Property field definitions
+ * key      - normalized property name
+ * aliases  - API field names read when key is missing
+ * type     - id | string | number | boolean | date | list | object | any, or a custom type below
+ * default  - value used when the field is missing or invalid
+ * required - records without a valid value are quarantined
+ */
+const PROPERTY_FIELDS = [
+    { key: 'id', aliases: ['_id'], type: 'id', required: true },
+    { key: 'title', aliases: ['name'], type: 'string', default: 'Untitled Property' },
+    { key: 'description', type: 'string', default: '' },
+    { key: 'type', type: 'string', default: '' },
+    { key: 'category', type: 'string', default: '' },
+    { key: 'propertyFor', type: 'string', default: '' },
+    { key: 'price', aliases: ['pricing'], type: 'price' },
+    { key: 'currency', type: 'currency', default: 'USD' },
+    { key: 'location', type: 'location' },
+    { key: 'features', type: 'features' },
+    { key: 'amenities', type: 'list', default: [] },
+    { key: 'images', type: 'images' },
+    { key: 'status', type: 'string', default: '' },
+    { key: 'agent', type: 'object', default: null },
+    { key: 'owner', type: 'any', default: null },
+    { key: 'tags', type: 'list', default: [] },
+    { key: 'views', type: 'number', default: 0 },
+    { key: 'isFeatured', aliases: ['featured'], type: 'boolean', default: false },
+    { key: 'isActive', type: 'boolean', default: true },
+    { key: 'documents', type: 'list', default: [] },
+    { key: 'createdAt', type: 'date', default: null },
+    { key: 'updatedAt', type: 'date', default: null }
+];
+
+/**
+ * Image type values that mark an equirectangular (360°) image
+ */
+const PANORAMA_IMAGE_TYPES = ['panorama', '360', 'equirectangular'];
+
+/**
+ * Rent periods accepted on price.period, keyed by the spellings the API uses
+ */
+const PRICE_PERIODS = {
+    day: 'day', daily: 'day', night: 'day', nightly: 'day',
+    week: 'week', weekly: 'week',
+    month: 'month', monthly: 'month', mo: 'month',
+    year: 'year', yearly: 'year', annually: 'year', annual: 'year'
+};
+
+/**
+ * Feature field definitions, read from property.features
+ * Unknown counts stay null so the UI can hide them instead of showing 0
+ */
+const PROPERTY_FEATURE_FIELDS = [
+    { key: 'bedrooms', type: 'number', default: null },
+    { key: 'bathrooms', type: 'number', default: null },
+    { key: 'area', type: 'number', default: null },
+    { key: 'areaUnit', type: 'string', default: 'sqft' },
+    { key: 'floors', type: 'number', default: null },
+    { key: 'garages', type: 'number', default: null },
+    { key: 'theater', type: 'number', default: 0 },
+    { key: 'furnished', type: 'furnished', default: null }
+];
+
+class PropertyNormalizer {
+    constructor(fields = PROPERTY_FIELDS, featureFields = PROPERTY_FEATURE_FIELDS) {
+        this.fields = [...fields];
+        this.featureFields = [...featureFields];
+
+        // Most recent malformed records, kept for debugging from the console
+        this.quarantine = [];
+        this.maxQuarantine = 20;
+    }
+
+    /**
+     * Normalize a list of API properties
+     * Malformed records are dropped and quarantined instead of failing the whole list
+     * @param {array} rawProperties - Properties from the API
+     * @returns {object} - Result ({ properties, rejected })
+     */
+    normalizeList(rawProperties) {
+        const properties = [];
+        const issues = [];
+        let rejected = 0;
+
+        (Array.isArray(rawProperties) ? rawProperties : []).forEach((raw, index) => {
+            const result = this.normalize(raw);
+
+            if (!result.property) {
+                rejected++;
+                this.quarantineRecord(raw, result.errors);
+                console.warn(`Skipping malformed property at index ${index}:`, result.errors.join('; '), raw);
+                return;
+            }
+
+            properties.push(result.property);
+            if (result.issues.length > 0) {
+                issues.push({ id: result.property.id, issues: result.issues });
+            }
+        });
+
+        if (issues.length > 0) {
+            console.warn(`Corrected invalid fields on ${issues.length} properties:`, issues);
+        }
+
+        return { properties, rejected };
+    }
+
+    /**
+     * Normalize a single API property
+     * @param {object} raw - Property from the API
+     * @returns {object} - Result ({ property, errors, issues }), property is null when invalid
+     */
+    normalize(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return { property: null, errors: ['property is not an object'], issues: [] };
+        }
+
+        const errors = [];
+        const issues = [];
+        const property = this.mapFields(raw, this.fields, errors, issues);
+
+        if (errors.length > 0) {
+            return { property: null, errors, issues };
+        }
+
+        property.price = this.resolvePrice(property.price, raw);
+        property.primaryImage = this.getPrimaryImage(property.images);
+        return { property, errors, issues };
+    }
+
+    /**
+     * Map raw values onto field definitions
+     * @param {object} raw - Source object
+     * @param {array} fields - Field definitions
+     * @param {array} errors - Collects missing required fields
+     * @param {array} issues - Collects values that were present but invalid
+     * @param {string} prefix - Path prefix for diagnostics
+     * @returns {object} - Normalized object
+     */
+    mapFields(raw, fields, errors, issues, prefix = '') {
+        const result = {};
+
+        fields.forEach(field => {
+            const name = [field.key, ...(field.aliases || [])].find(key => raw[key] !== undefined && raw[key] !== null);
+            const value = name ? raw[name] : undefined;
+            const coerced = this.coerce(field, value, issues);
+            const path = `${prefix}${field.key}`;
+
+            if (coerced === undefined) {
+                if (field.required) {
+                    errors.push(`missing or invalid ${path}`);
+                } else if (value !== undefined && value !== null && value !== '') {
+                    issues.push(`invalid ${path}`);
+                }
+                result[field.key] = this.getDefault(field);
+            } else {
+                result[field.key] = coerced;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Get a fresh default value for a field
+     * @param {object} field - Field definition
+     * @returns {*} - Default value
+     */
+    getDefault(field) {
+        if (field.type === 'features') return this.mapFields({}, this.featureFields, [], []);
+        if (field.type === 'location') return this.coerceLocation({});
+        if (field.type === 'images') return [];
+        if (field.type === 'price') return this.createPrice(null, null, true);
+
+        const value = field.default === undefined ? null : field.default;
+        return Array.isArray(value) ? [...value] : value;
+    }
+
+    /**
+     * Coerce a raw value to the field's type
+     * @param {object} field - Field definition
+     * @param {*} value - Raw value
+     * @param {array} issues - Collects invalid values nested inside the field
+     * @returns {*} - Normalized value, or undefined when missing or invalid
+     */
+    coerce(field, value, issues = []) {
+        if (value === undefined || value === null) return undefined;
+
+        switch (field.type) {
+            case 'id': {
+                const id = typeof value === 'object' ? String(value.$oid || '') : String(value).trim();
+                return id === '' ? undefined : id;
+            }
+            case 'string': {
+                if (typeof value === 'object') return undefined;
+                const text = String(value).trim();
+                return text === '' ? undefined : text;
+            }
+            case 'number': {
+                const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+                return isFinite(number) && number >= 0 ? number : undefined;
+            }
+            case 'boolean': {
+                if (typeof value === 'boolean') return value;
+                const text = String(value).toLowerCase();
+                if (['true', '1', 'yes'].includes(text)) return true;
+                if (['false', '0', 'no'].includes(text)) return false;
+                return undefined;
+            }
+            case 'date': {
+                const date = new Date(value);
+                return isNaN(date.getTime()) ? undefined : date.toISOString();
+            }
+            case 'list': {
+                if (typeof value === 'string') {
+                    return value.split(',').map(item => item.trim()).filter(Boolean);
+                }
+                return Array.isArray(value) ? value.filter(item => item !== null && item !== undefined && item !== '') : undefined;
+            }
+            case 'currency': {
+                const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+                return /^[A-Z]{3}$/.test(code) ? code : undefined;
+            }
+            case 'price':
+                return this.coercePrice(value);
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+            case 'furnished': {
+                if (typeof value === 'boolean') return value;
+                const text = String(value).trim();
+                if (text.toLowerCase() === 'true') return true;
+                if (text.toLowerCase() === 'false') return false;
+                return text === '' ? undefined : text;
+            }
+            case 'features':
+                return typeof value === 'object' && !Array.isArray(value)
+                    ? this.mapFields(value, this.featureFields, [], issues, 'features.')
+                    : undefined;
+            case 'location':
+                return this.coerceLocation(value);
+            case 'images':
+                return this.coerceImages(value);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Normalize a price from a number, numeric string or { amount, period, onRequest } object
+     * @param {number|string|object} value - Raw price
+     * @returns {object|undefined} - Price ({ amount, period, onRequest, kind })
+     */
+    coercePrice(value) {
+        if (typeof value === 'object' && !Array.isArray(value)) {
+            const amount = this.coerceAmount(value.amount ?? value.value);
+            if (amount === undefined) return undefined;
+
+            const period = this.coercePeriod(value.period ?? value.rentPeriod ?? value.per);
+            const onRequest = value.onRequest === true || (amount === null && value.onRequest !== false);
+            return this.createPrice(amount, period, onRequest);
+        }
+
+        const text = String(value).trim().toLowerCase();
+        if (['on request', 'price on request', 'poa', 'por', 'contact'].includes(text)) {
+            return this.createPrice(null, null, true);
+        }
+
+        const amount = this.coerceAmount(value);
+        return amount === null || amount === undefined ? undefined : this.createPrice(amount, null, false);
+    }
+
+    /**
+     * Apply top-level price hints (rentPeriod, priceOnRequest) to the normalized price
+     * @param {object} price - Price from the price field
+     * @param {object} raw - Property from the API
+     * @returns {object} - Price ({ amount, period, onRequest, kind })
+     */
+    resolvePrice(price, raw) {
+        const period = price.period || this.coercePeriod(raw.rentPeriod ?? raw.pricePeriod);
+        const onRequest = raw.priceOnRequest === true || price.onRequest;
+        return this.createPrice(price.amount, period, onRequest);
+    }
+
+    /**
+     * Build a price object
+     * kind is sale, rent (has a period) or on-request (no amount to show)
+     * @param {number|null} amount - Price amount
+     * @param {string|null} period - Rent period
+     * @param {boolean} onRequest - Price is only given on request
+     * @returns {object} - Price ({ amount, period, onRequest, kind })
+     */
+    createPrice(amount, period, onRequest) {
+        const hidden = onRequest || amount === null;
+        return {
+            amount: amount,
+            period: period,
+            onRequest: hidden,
+            kind: hidden ? 'on-request' : (period ? 'rent' : 'sale')
+        };
+    }
+
+    /**
+     * Parse a price amount, accepting strings like "1,250,000", "$450000" or "450000.50"
+     * Strings whose separators could be read two ways ("1.250.000", "1,250.50 €", "1.250") are rejected
+     * @param {*} value - Raw amount
+     * @returns {number|null|undefined} - Amount, null when missing or not positive, undefined when ambiguous
+     */
+    coerceAmount(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number') return isFinite(value) && value > 0 ? value : null;
+
+        // Drop a currency symbol or code around the number
+        const text = String(value).trim().replace(/^[^\d.,-]+/, '').replace(/[^\d.,]+$/, '');
+        if (!/^\d+(\.\d{1,2})?$/.test(text) && !/^\d{1,3}(,\d{3})+$/.test(text)) return undefined;
+
+        const number = parseFloat(text.replace(/,/g, ''));
+        return isFinite(number) && number > 0 ? number : null;
+    }
+
+    /**
+     * Normalize a rent period
+     * @param {string} value - Raw period
+     * @returns {string|null} - day | week | month | year, or null
+     */
+    coercePeriod(value) {
+        if (typeof value !== 'string') return null;
+        return PRICE_PERIODS[value.trim().toLowerCase().replace(/^per\s+/, '')] || null;
+    }
+
+    /**
+     * Normalize a location into an address object with optional coordinates
+     * @param {object|string} value - Raw location
+     * @returns {object|undefined} - Location ({ address, city, state, zipCode, country, coordinates })
+     */
+    coerceLocation(value) {
+        if (typeof value === 'string') value = { address: value };
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+
+        const text = input => (typeof input === 'string' || typeof input === 'number') ? String(input).trim() : '';
+
+        return {
+            ...value,
+            address: text(value.address || value.street),
+            city: text(value.city),
+            state: text(value.state),
+            zipCode: text(value.zipCode || value.zip || value.postalCode),
+            country: text(value.country),
+            coordinates: this.coerceCoordinates(value.coordinates)
+        };
+    }
+
+    /**
+     * Normalize coordinates from { lat, lng }, { latitude, longitude } or GeoJSON [lng, lat]
+     * @param {object|array} value - Raw coordinates
+     * @returns {object|null} - Coordinates ({ lat, lng }) or null
+     */
+    coerceCoordinates(value) {
+        if (!value) return null;
+
+        const pair = Array.isArray(value) ? { lat: value[1], lng: value[0] }
+            : Array.isArray(value.coordinates) ? { lat: value.coordinates[1], lng: value.coordinates[0] }
+            : { lat: value.lat ?? value.latitude, lng: value.lng ?? value.lon ?? value.longitude };
+
+        const lat = parseFloat(pair.lat);
+        const lng = parseFloat(pair.lng);
+
+        if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+        return { lat, lng };
+    }
+
+    /**
+     * Normalize images into objects with a url, dropping entries without one
+     * 360° images are flagged with isPanorama: true or a type/projection of panorama, 360 or equirectangular
+     * @param {array} value - Raw images (objects or URL strings)
+     * @returns {array|undefined} - Images ({ url, isPrimary, isPanorama, ... })
+     */
+    coerceImages(value) {
+        if (!Array.isArray(value)) return undefined;
+
+        return value
+            .map(image => typeof image === 'string' ? { url: image } : image)
+            .filter(image => image && typeof image === 'object' && typeof image.url === 'string' && image.url.trim() !== '')
+            .map(image => ({
+                ...image,
+                url: image.url.trim(),
+                isPrimary: image.isPrimary === true,
+                isPanorama: image.isPanorama === true
+                    || PANORAMA_IMAGE_TYPES.includes(String(image.type || image.projection || '').toLowerCase())
+            }));
+    }
+
+    /**
+     * Get the primary image URL
+     * Stretched 360° images are only used when the property has no flat photo
+     * @param {array} images - Normalized images
+     * @returns {string} - Primary image URL, first flat image, first image, or empty string
+     */
+    getPrimaryImage(images) {
+        const primary = images.find(image => image.isPrimary)
+            || images.find(image => !image.isPanorama)
+            || images[0];
+        return primary ? primary.url : '';
+    }
+
+    /**
+     * Keep a malformed record for inspection
+     * @param {*} raw - Rejected record
+     * @param {array} errors - Validation errors
+     */
+    quarantineRecord(raw, errors) {
+        this.quarantine.push({ record: raw, errors: errors, rejectedAt: Date.now() });
+        if (this.quarantine.length > this.maxQuarantine) {
+            this.quarantine.shift();
+        }
+    }
+
+    /**
+     * Get the most recently rejected records
+     * @returns {array} - Quarantined records ({ record, errors, rejectedAt })
+     */
+    getQuarantined() {
+        return [...this.quarantine];
+    }
+}
+
+// Initialize normalizer instance
+const propertyNormalizer = new PropertyNormalizer();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROPERTY_FIELDS, PROPERTY_FEATURE_FIELDS, PRICE_PERIODS, PANORAMA_IMAGE_TYPES, PropertyNormalizer, propertyNormalizer };
+}
+
+// Make available globally
+window.PROPERTY_FIELDS = PROPERTY_FIELDS;
+window.PROPERTY_FEATURE_FIELDS = PROPERTY_FEATURE_FIELDS;
+window.PRICE_PERIODS = PRICE_PERIODS;
+window.PANORAMA_IMAGE_TYPES = PANORAMA_IMAGE_TYPES;
+window.PropertyNormalizer = PropertyNormalizer;
+window.propertyNormalizer = propertyNormalizer;
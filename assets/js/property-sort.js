@@ -0,0 +1,194 @@
+/**
+ * Property Sorting
+ * Stable, type-aware multi-key sorting shared by the grid and the API layer
+ */
+
+/**
+ * Sortable fields
+ * type  - number | date | boolean | string, decides how values compare
+ * param - API field name used for server-side sorting
+ * value - reads the value from a normalized property (null/undefined sort last)
+ */
+const PROPERTY_SORT_FIELDS = {
+    price: {
+        type: 'number',
+        param: 'price',
+        value: property => property.price && property.price.kind !== 'on-request' ? property.price.amount : null
+    },
+    area: { type: 'number', param: 'features.area', value: property => property.features && property.features.area },
+    bedrooms: { type: 'number', param: 'features.bedrooms', value: property => property.features && property.features.bedrooms },
+    bathrooms: { type: 'number', param: 'features.bathrooms', value: property => property.features && property.features.bathrooms },
+    createdAt: { type: 'date', param: 'createdAt', value: property => property.createdAt },
+    views: { type: 'number', param: 'views', value: property => property.views },
+    featured: { type: 'boolean', param: 'isFeatured', value: property => property.isFeatured },
+    title: { type: 'string', param: 'title', value: property => property.title }
+};
+
+/**
+ * Sort options offered in the sort dropdown
+ * keys - "field:asc|desc" in priority order, later keys break ties
+ */
+const PROPERTY_SORT_OPTIONS = [
+    { key: 'newest', label: 'Newest First', keys: ['createdAt:desc'] },
+    { key: 'oldest', label: 'Oldest First', keys: ['createdAt:asc'] },
+    { key: 'price-asc', label: 'Price: Low to High', keys: ['price:asc', 'createdAt:desc'] },
+    { key: 'price-desc', label: 'Price: High to Low', keys: ['price:desc', 'createdAt:desc'] },
+    { key: 'area-desc', label: 'Area: Largest First', keys: ['area:desc', 'price:asc'] },
+    { key: 'area-asc', label: 'Area: Smallest First', keys: ['area:asc', 'price:asc'] },
+    { key: 'bedrooms-desc', label: 'Most Bedrooms', keys: ['bedrooms:desc', 'bathrooms:desc', 'price:asc'] },
+    { key: 'bedrooms-asc', label: 'Fewest Bedrooms', keys: ['bedrooms:asc', 'bathrooms:asc', 'price:asc'] },
+    { key: 'bathrooms-desc', label: 'Most Bathrooms', keys: ['bathrooms:desc', 'bedrooms:desc', 'price:asc'] },
+    { key: 'bathrooms-asc', label: 'Fewest Bathrooms', keys: ['bathrooms:asc', 'bedrooms:asc', 'price:asc'] },
+    { key: 'most-viewed', label: 'Most Viewed', keys: ['views:desc', 'createdAt:desc'] },
+    { key: 'featured', label: 'Featured First', keys: ['featured:desc', 'createdAt:desc'] }
+];
+
+class PropertySorter {
+    constructor(fields = PROPERTY_SORT_FIELDS, options = PROPERTY_SORT_OPTIONS) {
+        this.fields = { ...fields };
+        this.options = [...options];
+    }
+
+    /**
+     * Find a sort option by key
+     * @param {string} key - Option key, e.g. "price-asc"
+     * @returns {object|null} - Sort option
+     */
+    getOption(key) {
+        return this.options.find(option => option.key === key) || null;
+    }
+
+    /**
+     * Parse a sort value into sort keys
+     * Accepts option keys ("price-asc"), key lists ("price:asc,area:desc") and the
+     * older single field values ("createdAt", "features"), which sorted descending
+     * @param {string} sort - Sort value
+     * @returns {array} - Sort keys ({ field, descending }), empty for no sort
+     */
+    parse(sort) {
+        if (!sort) return [];
+
+        const option = this.getOption(sort);
+        const keys = option ? option.keys : String(sort).split(',');
+
+        return keys
+            .map(key => {
+                const [name, direction] = key.trim().split(':');
+                const field = name === 'features' ? 'bedrooms' : name;
+                if (!this.fields[field]) return null;
+
+                return { field: field, descending: (direction || 'desc').toLowerCase() !== 'asc' };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Check if a sort value is valid
+     * @param {string} sort - Sort value
+     * @returns {boolean} - True if it parses to at least one key
+     */
+    isValid(sort) {
+        return this.parse(sort).length > 0;
+    }
+
+    /**
+     * Read a field value as a comparable primitive
+     * @param {object} property - Normalized property
+     * @param {object} field - Field definition
+     * @returns {number|string|null} - Comparable value, null when missing
+     */
+    getValue(property, field) {
+        const value = field.value(property);
+        if (value === null || value === undefined || value === '') return null;
+
+        switch (field.type) {
+            case 'number': {
+                const number = typeof value === 'number' ? value : parseFloat(value);
+                return isFinite(number) ? number : null;
+            }
+            case 'date': {
+                const time = Date.parse(value);
+                return isNaN(time) ? null : time;
+            }
+            case 'boolean':
+                return value === true ? 1 : 0;
+            default:
+                return String(value).toLowerCase();
+        }
+    }
+
+    /**
+     * Compare two properties by sort keys
+     * Missing values always sort last, whatever the direction
+     * @param {object} a - First property
+     * @param {object} b - Second property
+     * @param {array} keys - Parsed sort keys
+     * @returns {number} - Negative, zero or positive
+     */
+    compare(a, b, keys) {
+        for (const key of keys) {
+            const field = this.fields[key.field];
+            const aValue = this.getValue(a, field);
+            const bValue = this.getValue(b, field);
+
+            if (aValue === bValue) continue;
+            if (aValue === null) return 1;
+            if (bValue === null) return -1;
+
+            const result = typeof aValue === 'string'
+                ? aValue.localeCompare(bValue)
+                : aValue - bValue;
+
+            if (result !== 0) {
+                return key.descending ? -result : result;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Sort properties without mutating the input
+     * Ties keep their original order
+     * @param {array} properties - Normalized properties
+     * @param {string} sort - Sort value
+     * @returns {array} - New sorted array
+     */
+    sort(properties, sort) {
+        const keys = this.parse(sort);
+        if (keys.length === 0) return [...properties];
+
+        return properties
+            .map((property, index) => ({ property, index }))
+            .sort((a, b) => this.compare(a.property, b.property, keys) || a.index - b.index)
+            .map(entry => entry.property);
+    }
+
+    /**
+     * Build the server-side sort parameter
+     * @param {string} sort - Sort value
+     * @returns {string|null} - e.g. "-price,createdAt", null for no sort
+     */
+    toAPIParam(sort) {
+        const keys = this.parse(sort);
+        if (keys.length === 0) return null;
+
+        return keys
+            .map(key => `${key.descending ? '-' : ''}${this.fields[key.field].param}`)
+            .join(',');
+    }
+}
+
+// Initialize sorter instance
+const propertySorter = new PropertySorter();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROPERTY_SORT_FIELDS, PROPERTY_SORT_OPTIONS, PropertySorter, propertySorter };
+}
+
+// Make available globally
+window.PROPERTY_SORT_FIELDS = PROPERTY_SORT_FIELDS;
+window.PROPERTY_SORT_OPTIONS = PROPERTY_SORT_OPTIONS;
+window.PropertySorter = PropertySorter;
+window.propertySorter = propertySorter;
@@ -0,0 +1,52 @@
+/**
+ * Recent Searches
+ * Remembers the visitor's last keyword searches in localStorage for autocomplete
+ */
+
+class RecentSearchStore extends PersistedStore {
+    constructor(storageKey = 'valeti:recent-searches', limit = 8) {
+        super(storageKey, {
+            label: 'recent searches',
+            limit: limit,
+            validate: item => typeof item.query === 'string' && Boolean(item.query.trim())
+        });
+    }
+
+    /**
+     * Get recent searches, newest first
+     * @returns {array} - Search queries
+     */
+    getAll() {
+        return [...this.items]
+            .sort((a, b) => b.searchedAt - a.searchedAt)
+            .map(item => item.query);
+    }
+
+    /**
+     * Remember a search, moving repeats to the top
+     * @param {string} query - Keyword query
+     */
+    add(query) {
+        const text = String(query || '').trim().replace(/\s+/g, ' ');
+        if (text.length < 2) return;
+
+        this.items = this.items.filter(item => item.query.toLowerCase() !== text.toLowerCase());
+        this.items.push({ query: text, searchedAt: Date.now() });
+        this.items = this.items
+            .sort((a, b) => b.searchedAt - a.searchedAt)
+            .slice(0, this.limit);
+        this.commit();
+    }
+}
+
+// Initialize recent searches instance
+const recentSearchStore = new RecentSearchStore();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RecentSearchStore, recentSearchStore };
+}
+
+// Make available globally
+window.RecentSearchStore = RecentSearchStore;
+window.recentSearchStore = recentSearchStore;
@@ -0,0 +1,133 @@
+/**
+ * Safe HTML Rendering
+ * Escapes API values in HTML templates and validates URLs before they reach href/src
+ */
+
+/**
+ * Markup that is already safe to insert (built by html`` or explicitly trusted)
+ */
+class SafeHTML {
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * Escape a value for use as HTML text or a quoted attribute value
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string, empty for null/undefined
+ */
+function escapeHTML(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Validate a URL for use in href or src
+ * Only http, https and relative URLs are allowed unless other protocols are passed
+ * @param {string} value - URL from API data
+ * @param {object} options - { fallback: returned for rejected URLs, protocols: allowed protocols }
+ * @returns {string} - The URL, or the fallback when it is not allowed
+ */
+function safeURL(value, options = {}) {
+    const fallback = options.fallback !== undefined ? options.fallback : '';
+    const protocols = options.protocols || ['http:', 'https:'];
+
+    if (typeof value !== 'string') return fallback;
+
+    // Browsers ignore whitespace and control characters inside schemes ("java\tscript:")
+    const url = value.trim();
+    const compact = url.replace(/[\u0000- ]/g, '');
+    if (url === '') return fallback;
+
+    // No scheme means a relative URL, which inherits the page's http(s) protocol
+    const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return url;
+
+    return protocols.includes(scheme[1].toLowerCase() + ':') ? url : fallback;
+}
+
+/**
+ * Tagged template that escapes every interpolated value
+ * Nested html`` results and arrays of them are inserted as markup
+ * @example html`<h3>${property.title}</h3>`
+ * @param {array} strings - Template literal strings
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHTML} - Safe markup
+ */
+function html(strings, ...values) {
+    let result = strings[0];
+
+    values.forEach((value, index) => {
+        result += toHTML(value) + strings[index + 1];
+    });
+
+    return new SafeHTML(result);
+}
+
+/**
+ * Convert an interpolated value to markup
+ * @param {*} value - SafeHTML, array, primitive, null or undefined
+ * @returns {string} - Markup string
+ */
+function toHTML(value) {
+    if (value instanceof SafeHTML) return value.value;
+    if (Array.isArray(value)) return value.map(toHTML).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHTML(value);
+}
+
+/**
+ * Mark a trusted string as markup
+ * Only for markup written in this codebase, never for API data
+ * @param {string} markup - Trusted markup
+ * @returns {SafeHTML} - Safe markup
+ */
+function trustedHTML(markup) {
+    return new SafeHTML(markup);
+}
+
+/**
+ * Replace an element's content
+ * SafeHTML is parsed as markup, anything else is inserted as text
+ * @param {HTMLElement} element - Target element
+ * @param {SafeHTML|string} content - Content to render
+ */
+function setHTML(element, content) {
+    if (!element) return;
+
+    if (!(content instanceof SafeHTML)) {
+        element.textContent = content === null || content === undefined ? '' : String(content);
+        return;
+    }
+
+    const template = document.createElement('template');
+    template.innerHTML = content.value;
+    element.replaceChildren(template.content);
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SafeHTML, escapeHTML, safeURL, html, trustedHTML, setHTML };
+}
+
+// Make available globally
+window.SafeHTML = SafeHTML;
+window.escapeHTML = escapeHTML;
+window.safeURL = safeURL;
+window.html = html;
+window.trustedHTML = trustedHTML;
+window.setHTML = setHTML;
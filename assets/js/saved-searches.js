@@ -0,0 +1,155 @@
+/**
+ * Saved Searches
+ * Persists named search criteria in localStorage and tracks new listings between visits
+ */
+
+class SavedSearchStore extends PersistedStore {
+    constructor(storageKey = 'valeti:saved-searches') {
+        super(storageKey, {
+            label: 'saved searches',
+            validate: item => Boolean(item.id && item.criteria && typeof item.criteria === 'object')
+        });
+    }
+
+    /**
+     * Read the time of the last visit, stored beside the searches
+     * @param {object} payload - Stored payload
+     */
+    restore(payload) {
+        this.lastVisitAt = typeof payload.lastVisitAt === 'number' ? payload.lastVisitAt : null;
+    }
+
+    /**
+     * Get the payload written to localStorage, including the time of the last visit
+     * @returns {object} - Payload ({ version, lastVisitAt, items })
+     */
+    getPayload() {
+        return { ...super.getPayload(), lastVisitAt: this.lastVisitAt };
+    }
+
+    /**
+     * Get all saved searches, most recently saved first
+     * @returns {array} - Saved searches ({ id, name, criteria, savedAt, lastRunAt, newCount, checkedAt })
+     */
+    getAll() {
+        return [...this.items].sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Build a stable key for criteria, so the same search is not saved twice
+     * @param {object} criteria - Search criteria
+     * @returns {string} - Criteria key
+     */
+    getCriteriaKey(criteria) {
+        return JSON.stringify(Object.keys(criteria).sort().map(key => [key, criteria[key]]));
+    }
+
+    /**
+     * Save a named search
+     * Saving criteria that are already saved renames the existing entry
+     * @param {string} name - Display name
+     * @param {object} criteria - Normalized search criteria
+     * @returns {object|null} - Saved search, null if the criteria are empty
+     */
+    add(name, criteria) {
+        if (!criteria || Object.keys(criteria).length === 0) return null;
+
+        const label = String(name || '').trim().slice(0, 60) || 'My search';
+        const key = this.getCriteriaKey(criteria);
+        const existing = this.items.find(item => this.getCriteriaKey(item.criteria) === key);
+
+        if (existing) {
+            existing.name = label;
+        } else {
+            this.items.push({
+                id: `search-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                name: label,
+                criteria: { ...criteria },
+                savedAt: Date.now(),
+                lastRunAt: Date.now(),
+                newCount: 0,
+                checkedAt: null
+            });
+        }
+
+        this.commit();
+        return existing || this.items[this.items.length - 1];
+    }
+
+    /**
+     * Record that a saved search was run, clearing its new listing count
+     * @param {string} id - Saved search id
+     */
+    markRun(id) {
+        const item = this.get(id);
+        if (!item) return;
+
+        item.lastRunAt = Date.now();
+        item.newCount = 0;
+        this.commit();
+    }
+
+    /**
+     * Store the number of new listings found for a saved search
+     * @param {string} id - Saved search id
+     * @param {number} count - New listings
+     */
+    setNewCount(id, count) {
+        const item = this.get(id);
+        if (!item) return;
+
+        item.newCount = count;
+        item.checkedAt = Date.now();
+        this.commit();
+    }
+
+    /**
+     * Start a visit and get the time of the previous one
+     * The baseline is kept in sessionStorage, so page loads within one visit share it
+     * @returns {object} - { since: previous visit time or null, isNewVisit }
+     */
+    startVisit() {
+        const sessionKey = `${this.storageKey}:since`;
+
+        try {
+            const stored = window.sessionStorage.getItem(sessionKey);
+            if (stored !== null) {
+                return { since: stored ? Number(stored) : null, isNewVisit: false };
+            }
+
+            window.sessionStorage.setItem(sessionKey, this.lastVisitAt ? String(this.lastVisitAt) : '');
+        } catch (error) {
+            console.error('Failed to read visit state:', error);
+        }
+
+        const since = this.lastVisitAt;
+        this.lastVisitAt = Date.now();
+        this.save();
+        return { since: since, isNewVisit: true };
+    }
+
+    /**
+     * Count listings created after a time
+     * @param {array} properties - Normalized properties
+     * @param {number} since - Timestamp in milliseconds
+     * @returns {number} - Properties with a later createdAt
+     */
+    countNewListings(properties, since) {
+        return properties.filter(property => {
+            const createdAt = property.createdAt ? Date.parse(property.createdAt) : NaN;
+            return !isNaN(createdAt) && createdAt > since;
+        }).length;
+    }
+}
+
+// Initialize saved searches instance
+const savedSearchStore = new SavedSearchStore();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SavedSearchStore, savedSearchStore };
+}
+
+// Make available globally
+window.SavedSearchStore = SavedSearchStore;
+window.savedSearchStore = savedSearchStore;
@@ -0,0 +1,262 @@
+/**
+ * Search Filter Schema
+ * Declarative list of search filters shared by the search forms, URL state and API layer
+ */
+
+/**
+ * Filter definitions
+ * key       - canonical criteria name
+ * aliases   - form field names that map to this filter (after digits are stripped and lowercased)
+ * param     - API query parameter, null for client-only filters
+ * type      - string | number | boolean | enum | bounds
+ * min/max   - allowed range for number filters (values are clamped)
+ * integer   - round number filters to whole numbers
+ * options   - allowed values for enum filters, optionally mapped to API values
+ * transform - converts the normalized value to the API value
+ * Bounds are a map area written as "south,west,north,east" in degrees
+ */
+const SEARCH_FILTERS = [
+    { key: 'keyword', aliases: ['q', 'search'], param: 'keyword', type: 'string' },
+    { key: 'category', aliases: ['property_type'], param: 'category', type: 'string' },
+    { key: 'purpose', param: 'purpose', type: 'enum', options: ['buy', 'sell', 'rent'] },
+    { key: 'bedrooms', param: 'bedrooms', type: 'number', min: 0, max: 20, integer: true },
+    { key: 'maxBedrooms', aliases: ['max_bedrooms'], param: 'maxBedrooms', type: 'number', min: 0, max: 20, integer: true },
+    { key: 'bathrooms', param: 'bathrooms', type: 'number', min: 0, max: 20, integer: true },
+    { key: 'area', param: 'area', type: 'number', min: 0, max: 100000 },
+    { key: 'minArea', aliases: ['min_area'], param: 'minArea', type: 'number', min: 0, max: 100000 },
+    { key: 'maxArea', aliases: ['max_area'], param: 'maxArea', type: 'number', min: 0, max: 100000 },
+    {
+        key: 'lotSize',
+        aliases: ['lot_size'],
+        param: 'propertyFor',
+        type: 'number',
+        min: 1,
+        max: 100,
+        integer: true,
+        // Lot width is stored in propertyFor as "<n> meter"
+        transform: value => `${value} meter`
+    },
+    { key: 'garages', aliases: ['garage'], param: 'garages', type: 'number', min: 0, max: 10, integer: true },
+    {
+        key: 'floors',
+        aliases: ['floor_level'],
+        param: 'floors',
+        type: 'enum',
+        options: { single: 1, double: 2, '1': 1, '2': 2, '3': 3 }
+    },
+    { key: 'parkingSpaces', aliases: ['parking_spaces'], param: 'parkingSpaces', type: 'number', min: 0, max: 10, integer: true },
+    { key: 'minPrice', aliases: ['min_price'], param: 'minPrice', type: 'number', min: 0 },
+    { key: 'maxPrice', aliases: ['max_price'], param: 'maxPrice', type: 'number', min: 0 },
+    { key: 'furnished', param: 'furnished', type: 'boolean' },
+    { key: 'location', param: 'location', type: 'string' },
+    { key: 'bounds', param: 'bounds', type: 'bounds' }
+];
+
+class SearchFilterSchema {
+    constructor(filters = SEARCH_FILTERS) {
+        this.filters = [...filters];
+        this.lookup = new Map();
+
+        filters.forEach(filter => {
+            this.lookup.set(filter.key.toLowerCase(), filter);
+            (filter.aliases || []).forEach(alias => this.lookup.set(alias.toLowerCase(), filter));
+        });
+    }
+
+    /**
+     * Register an additional filter
+     * @param {object} filter - Filter definition
+     */
+    addFilter(filter) {
+        this.filters.push(filter);
+        this.lookup.set(filter.key.toLowerCase(), filter);
+        (filter.aliases || []).forEach(alias => this.lookup.set(alias.toLowerCase(), filter));
+    }
+
+    /**
+     * Find a filter by key or alias
+     * @param {string} name - Filter key, alias or form field name
+     * @returns {object|null} - Filter definition
+     */
+    getFilter(name) {
+        if (!name) return null;
+        return this.lookup.get(String(name).toLowerCase()) || null;
+    }
+
+    /**
+     * Coerce a raw value to the filter's type
+     * @param {object} filter - Filter definition
+     * @param {*} value - Raw value from a form, URL or caller
+     * @returns {*} - Normalized value, or undefined when invalid
+     */
+    coerce(filter, value) {
+        if (value === null || value === undefined || value === '') return undefined;
+
+        switch (filter.type) {
+            case 'number': {
+                let number = filter.integer ? parseInt(value, 10) : parseFloat(value);
+                if (isNaN(number)) return undefined;
+                if (filter.min !== undefined) number = Math.max(filter.min, number);
+                if (filter.max !== undefined) number = Math.min(filter.max, number);
+                return number;
+            }
+            case 'boolean': {
+                const text = String(value).toLowerCase();
+                if (['true', '1', 'yes', 'on'].includes(text)) return true;
+                if (['false', '0', 'no', 'off'].includes(text)) return false;
+                return undefined;
+            }
+            case 'bounds': {
+                const bounds = this.parseBounds(value);
+                return bounds ? this.formatBounds(bounds) : undefined;
+            }
+            case 'enum': {
+                const text = String(value).toLowerCase();
+                const options = Array.isArray(filter.options) ? filter.options : Object.keys(filter.options);
+                return options.includes(text) ? text : undefined;
+            }
+            default: {
+                const text = String(value).trim();
+                return text === '' ? undefined : text;
+            }
+        }
+    }
+
+    /**
+     * Read a map area
+     * @param {string|object|array} value - "south,west,north,east", [south, west, north, east] or { south, west, north, east }
+     * @returns {object|null} - Bounds ({ south, west, north, east }), null if invalid
+     */
+    parseBounds(value) {
+        const parts = typeof value === 'string' ? value.split(',')
+            : Array.isArray(value) ? value
+            : value && typeof value === 'object' ? [value.south, value.west, value.north, value.east]
+            : [];
+        const [south, west, north, east] = parts.map(part => parseFloat(part));
+
+        if (parts.length !== 4 || ![south, west, north, east].every(isFinite)) return null;
+        if (south < -90 || north > 90 || west < -180 || east > 180 || south >= north || west >= east) return null;
+
+        return { south, west, north, east };
+    }
+
+    /**
+     * Write a map area in its canonical form
+     * Five decimals keep about a metre of precision without noisy URLs
+     * @param {object} bounds - Bounds ({ south, west, north, east })
+     * @returns {string} - "south,west,north,east"
+     */
+    formatBounds(bounds) {
+        return [bounds.south, bounds.west, bounds.north, bounds.east]
+            .map(value => String(Math.round(value * 1e5) / 1e5))
+            .join(',');
+    }
+
+    /**
+     * Normalize criteria into canonical keys and typed values
+     * Unknown fields and invalid values are dropped
+     * @param {object} criteria - Raw search criteria
+     * @returns {object} - Normalized criteria
+     */
+    normalize(criteria = {}) {
+        const normalized = {};
+
+        Object.keys(criteria).forEach(name => {
+            const filter = this.getFilter(name);
+            if (!filter || normalized[filter.key] !== undefined) return;
+
+            const value = this.coerce(filter, criteria[name]);
+            if (value !== undefined) {
+                normalized[filter.key] = value;
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Convert criteria into API query parameters
+     * @param {object} criteria - Raw or normalized search criteria
+     * @returns {object} - API parameters
+     */
+    toAPIParams(criteria = {}) {
+        const normalized = this.normalize(criteria);
+        const params = {};
+
+        this.filters.forEach(filter => {
+            const value = normalized[filter.key];
+            if (value === undefined || !filter.param) return;
+
+            if (filter.transform) {
+                params[filter.param] = filter.transform(value, normalized);
+            } else if (filter.type === 'enum' && !Array.isArray(filter.options)) {
+                params[filter.param] = filter.options[value];
+            } else {
+                params[filter.param] = value;
+            }
+        });
+
+        return params;
+    }
+
+    /**
+     * Convert criteria into query string values
+     * @param {object} criteria - Raw or normalized search criteria
+     * @returns {object} - Query values keyed by filter key, in schema order
+     */
+    toQueryParams(criteria = {}) {
+        const normalized = this.normalize(criteria);
+        const query = {};
+
+        this.filters.forEach(filter => {
+            if (normalized[filter.key] !== undefined) {
+                query[filter.key] = String(normalized[filter.key]);
+            }
+        });
+
+        return query;
+    }
+
+    /**
+     * Check if two sets of criteria describe the same search
+     * @param {object} a - Raw or normalized search criteria
+     * @param {object} b - Raw or normalized search criteria
+     * @returns {boolean} - True if they normalize to the same values
+     */
+    isEqual(a = {}, b = {}) {
+        const first = this.toQueryParams(a);
+        const second = this.toQueryParams(b);
+        const keys = Object.keys(first);
+
+        return keys.length === Object.keys(second).length && keys.every(key => first[key] === second[key]);
+    }
+
+    /**
+     * Read criteria from a query string
+     * @param {URLSearchParams|string} searchParams - Query string or parsed params
+     * @returns {object} - Normalized criteria
+     */
+    fromQueryParams(searchParams) {
+        const params = typeof searchParams === 'string' ? new URLSearchParams(searchParams) : searchParams;
+        const criteria = {};
+
+        params.forEach((value, name) => {
+            criteria[name] = value;
+        });
+
+        return this.normalize(criteria);
+    }
+}
+
+// Initialize schema instance
+const searchFilterSchema = new SearchFilterSchema();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SEARCH_FILTERS, SearchFilterSchema, searchFilterSchema };
+}
+
+// Make available globally
+window.SEARCH_FILTERS = SEARCH_FILTERS;
+window.SearchFilterSchema = SearchFilterSchema;
+window.searchFilterSchema = searchFilterSchema;
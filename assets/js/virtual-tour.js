@@ -0,0 +1,428 @@
+/**
+ * Virtual Tours
+ * Turns equirectangular property images into Panolens viewers with room-to-room hotspots
+ */
+
+// Hotspot positions for rooms linked without explicit positions, in Panolens world units
+const VIRTUAL_TOUR_HOTSPOT_POSITIONS = [
+    [4000, -600, 0],
+    [-4000, -600, 0],
+    [0, -600, 4000],
+    [0, -600, -4000]
+];
+
+class VirtualTour {
+    constructor() {
+        this.modal = null;
+        this.tour = null;
+        this.scenes = [];
+        this.activeSceneId = null;
+        this.returnFocus = null;
+        this.webglSupported = null;
+        // Viewers mounted in slider slides, keyed by slide container
+        this.slideTours = new Map();
+
+        this.onKeydown = (e) => {
+            if (e.key === 'Escape') this.close();
+        };
+    }
+
+    /**
+     * Check if 360° viewers can run in this browser
+     * @returns {boolean} - True if Panolens is loaded and WebGL is available
+     */
+    isSupported() {
+        if (typeof PANOLENS === 'undefined' || typeof THREE === 'undefined') return false;
+
+        if (this.webglSupported === null) {
+            try {
+                const canvas = document.createElement('canvas');
+                this.webglSupported = Boolean(window.WebGLRenderingContext
+                    && (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
+            } catch (error) {
+                this.webglSupported = false;
+            }
+        }
+
+        return this.webglSupported;
+    }
+
+    /**
+     * Check if a property has a virtual tour
+     * @param {object} property - Normalized property
+     * @returns {boolean} - True if it has panorama images
+     */
+    hasTour(property) {
+        return this.getScenes(property).length > 0;
+    }
+
+    /**
+     * Build tour scenes from a property's panorama images
+     * Images may name their room and list hotspots ({ to, position: [x, y, z], label });
+     * rooms without hotspots are linked to the previous and next room
+     * @param {object} property - Normalized property
+     * @returns {array} - Scenes ({ id, title, url, links: [{ target, position, label }] })
+     */
+    getScenes(property) {
+        const images = (property && Array.isArray(property.images) ? property.images : [])
+            .filter(image => image.isPanorama && safeURL(image.url));
+        const ids = new Set();
+
+        const scenes = images.map((image, index) => {
+            let id = String(image.id || image.room || `scene-${index + 1}`);
+            if (ids.has(id)) id = `${id}-${index + 1}`;
+            ids.add(id);
+
+            return {
+                id: id,
+                title: String(image.room || image.title || image.caption || `View ${index + 1}`),
+                url: safeURL(image.url),
+                hotspots: Array.isArray(image.hotspots) ? image.hotspots : null
+            };
+        });
+
+        return scenes.map((scene, index) => ({
+            id: scene.id,
+            title: scene.title,
+            url: scene.url,
+            links: scene.hotspots
+                ? this.resolveHotspots(scene.hotspots, scenes, scene.id)
+                : this.getDefaultLinks(scenes, index)
+        }));
+    }
+
+    /**
+     * Match hotspots from the API to scenes
+     * Hotspots point at a scene id or room name; ones that match no other scene are dropped
+     * @param {array} hotspots - Raw hotspots
+     * @param {array} scenes - Scenes of the tour
+     * @param {string} sceneId - Scene the hotspots belong to
+     * @returns {array} - Links ({ target, position, label })
+     */
+    resolveHotspots(hotspots, scenes, sceneId) {
+        return hotspots
+            .map((hotspot, index) => {
+                if (!hotspot || typeof hotspot !== 'object') return null;
+
+                const to = String(hotspot.to || hotspot.scene || hotspot.room || '').trim().toLowerCase();
+                const target = scenes.find(scene => scene.id.toLowerCase() === to || scene.title.toLowerCase() === to);
+                if (!target || target.id === sceneId) return null;
+
+                return {
+                    target: target.id,
+                    position: this.getPosition(hotspot.position, VIRTUAL_TOUR_HOTSPOT_POSITIONS[index % VIRTUAL_TOUR_HOTSPOT_POSITIONS.length]),
+                    label: String(hotspot.label || target.title)
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Link a scene to its neighbours in image order
+     * @param {array} scenes - Scenes of the tour
+     * @param {number} index - Scene index
+     * @returns {array} - Links ({ target, position, label })
+     */
+    getDefaultLinks(scenes, index) {
+        return [scenes[index + 1], scenes[index - 1]]
+            .filter(Boolean)
+            .map((target, position) => ({
+                target: target.id,
+                position: VIRTUAL_TOUR_HOTSPOT_POSITIONS[position],
+                label: target.title
+            }));
+    }
+
+    /**
+     * Read a hotspot position
+     * @param {array|object} value - [x, y, z] or { x, y, z }
+     * @param {array} fallback - Position used when the value is invalid
+     * @returns {array} - Position ([x, y, z])
+     */
+    getPosition(value, fallback) {
+        const position = Array.isArray(value) ? value : (value && typeof value === 'object' ? [value.x, value.y, value.z] : []);
+        const numbers = position.map(Number);
+
+        return numbers.length === 3 && numbers.every(isFinite) ? numbers : [...fallback];
+    }
+
+    /**
+     * Create a Panolens viewer for scenes inside a container
+     * @param {HTMLElement} container - Element the viewer renders into
+     * @param {array} scenes - Scenes from getScenes()
+     * @param {object} options - Panolens viewer options, plus onSceneChange(sceneId)
+     * @returns {object|null} - Tour ({ viewer, panoramas, setScene, dispose }), null if unsupported
+     */
+    createViewer(container, scenes, options = {}) {
+        if (!container || scenes.length === 0 || !this.isSupported()) return null;
+
+        const { onSceneChange, ...viewerOptions } = options;
+        const viewer = new PANOLENS.Viewer({
+            container: container,
+            controlBar: true,
+            autoHideInfospot: false,
+            ...viewerOptions
+        });
+        const panoramas = new Map();
+
+        scenes.forEach(scene => {
+            const panorama = new PANOLENS.ImagePanorama(scene.url);
+            panorama.addEventListener('enter', () => {
+                if (onSceneChange) onSceneChange(scene.id);
+            });
+            panoramas.set(scene.id, panorama);
+            viewer.add(panorama);
+        });
+
+        scenes.forEach(scene => {
+            scene.links.forEach(link => {
+                const target = panoramas.get(link.target);
+                if (!target) return;
+
+                const infospot = new PANOLENS.Infospot(300, PANOLENS.DataImage.Arrow);
+                infospot.position.set(...link.position);
+                infospot.addHoverText(link.label);
+                infospot.addEventListener('click', () => viewer.setPanorama(target));
+                panoramas.get(scene.id).add(infospot);
+            });
+        });
+
+        // Zooming with the wheel must not scroll the page behind the viewer
+        const onWheel = (event) => event.preventDefault();
+        container.addEventListener('wheel', onWheel, { passive: false });
+
+        return {
+            viewer: viewer,
+            panoramas: panoramas,
+            setScene: (sceneId) => {
+                const panorama = panoramas.get(sceneId);
+                if (panorama) viewer.setPanorama(panorama);
+            },
+            dispose: () => {
+                container.removeEventListener('wheel', onWheel);
+                try {
+                    viewer.dispose();
+                } catch (error) {
+                    console.error('Failed to dispose virtual tour:', error);
+                }
+                container.replaceChildren();
+            }
+        };
+    }
+
+    /**
+     * Show flagged slide images of a slider in 360° viewers
+     * <img data-panorama> inside .explore-single-slide is an equirectangular image; other slides
+     * stay flat, as do all slides in browsers without WebGL
+     * @param {HTMLElement} sliderEl - Slider element
+     * @param {Swiper} swiper - Slider instance
+     * @returns {number} - Number of viewers created
+     */
+    mountSlides(sliderEl, swiper) {
+        if (!sliderEl || !this.isSupported()) return 0;
+
+        const allowTouchMove = swiper ? swiper.allowTouchMove : false;
+        let mounted = 0;
+
+        sliderEl.querySelectorAll('.swiper-slide').forEach(slide => {
+            const image = slide.querySelector('img[data-panorama]');
+            const container = slide.querySelector('.explore-single-slide, .propery-single-slide');
+            if (!image || !container || this.slideTours.has(container)) return;
+
+            const tour = this.createViewer(container, [{
+                id: 'slide',
+                title: image.getAttribute('alt') || '',
+                url: safeURL(image.getAttribute('src')),
+                links: []
+            }], {
+                autoRotate: true,
+                autoRotateSpeed: 0.3,
+                controlBar: false
+            });
+            if (!tour) return;
+
+            image.hidden = true;
+            this.slideTours.set(container, tour);
+            mounted++;
+
+            // Dragging inside the viewer pans the view instead of changing slides
+            if (swiper) {
+                ['mouseenter', 'touchstart'].forEach(type => container.addEventListener(type, () => {
+                    swiper.allowTouchMove = false;
+                }, { passive: true }));
+                ['mouseleave', 'touchend'].forEach(type => container.addEventListener(type, () => {
+                    swiper.allowTouchMove = allowTouchMove;
+                }, { passive: true }));
+            }
+        });
+
+        return mounted;
+    }
+
+    /**
+     * Release the viewers mounted in a slider's slides
+     * @param {HTMLElement} sliderEl - Slider element
+     */
+    unmountSlides(sliderEl) {
+        this.slideTours.forEach((tour, container) => {
+            if (sliderEl && !sliderEl.contains(container)) return;
+
+            tour.dispose();
+            this.slideTours.delete(container);
+        });
+    }
+
+    /**
+     * Open a property's tour in a dialog
+     * Browsers without WebGL get the same rooms as flat photos
+     * @param {object} property - Normalized property
+     * @returns {boolean} - True if the tour opened
+     */
+    open(property) {
+        const scenes = this.getScenes(property);
+        if (scenes.length === 0) return false;
+
+        this.close();
+        this.scenes = scenes;
+        this.returnFocus = document.activeElement;
+        this.modal = this.createModal(property, scenes);
+        document.body.appendChild(this.modal);
+        document.body.classList.add('virtual-tour-open');
+
+        const stage = this.modal.querySelector('[data-tour-stage]');
+        try {
+            this.tour = this.createViewer(stage, scenes, {
+                onSceneChange: (sceneId) => this.updateActiveScene(sceneId)
+            });
+        } catch (error) {
+            console.error('Failed to start virtual tour, showing photos instead:', error);
+            this.tour = null;
+        }
+
+        if (!this.tour) {
+            this.modal.classList.add('is-fallback');
+        }
+        this.showScene(scenes[0].id);
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal || e.target.closest('[data-tour-close]')) {
+                this.close();
+                return;
+            }
+
+            const button = e.target.closest('[data-tour-scene]');
+            if (button) this.showScene(button.getAttribute('data-tour-scene'));
+        });
+        document.addEventListener('keydown', this.onKeydown);
+
+        const closeButton = this.modal.querySelector('[data-tour-close]');
+        if (closeButton) closeButton.focus();
+        return true;
+    }
+
+    /**
+     * Close the open tour and release the viewer
+     */
+    close() {
+        if (!this.modal) return;
+
+        if (this.tour) {
+            this.tour.dispose();
+            this.tour = null;
+        }
+
+        document.removeEventListener('keydown', this.onKeydown);
+        document.body.classList.remove('virtual-tour-open');
+        this.modal.remove();
+        this.modal = null;
+        this.scenes = [];
+        this.activeSceneId = null;
+
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Move the open tour to a scene
+     * @param {string} sceneId - Scene id
+     */
+    showScene(sceneId) {
+        const scene = this.scenes.find(item => item.id === sceneId);
+        if (!scene || !this.modal) return;
+
+        if (this.tour) {
+            this.tour.setScene(scene.id);
+        } else {
+            setHTML(this.modal.querySelector('[data-tour-stage]'), html`
+                <img class="virtual-tour-photo" src="${scene.url}" alt="${scene.title}">
+            `);
+        }
+
+        this.updateActiveScene(scene.id);
+    }
+
+    /**
+     * Mark the room buttons for the scene being shown
+     * @param {string} sceneId - Scene id
+     */
+    updateActiveScene(sceneId) {
+        this.activeSceneId = sceneId;
+        if (!this.modal) return;
+
+        this.modal.querySelectorAll('[data-tour-scene]').forEach(button => {
+            const isActive = button.getAttribute('data-tour-scene') === sceneId;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    /**
+     * Create the tour dialog
+     * @param {object} property - Normalized property
+     * @param {array} scenes - Scenes of the tour
+     * @returns {HTMLElement} - Dialog element
+     */
+    createModal(property, scenes) {
+        const modal = document.createElement('div');
+        modal.className = 'virtual-tour-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-label', `Virtual tour of ${property.title}`);
+
+        setHTML(modal, html`
+            <div class="virtual-tour-dialog">
+                <div class="virtual-tour-header">
+                    <h4 class="virtual-tour-title">${property.title}</h4>
+                    <button type="button" class="virtual-tour-close" data-tour-close aria-label="Close tour">
+                        <i class="fa-solid fa-xmark"></i>
+                    </button>
+                </div>
+                <div class="virtual-tour-stage" data-tour-stage></div>
+                <p class="virtual-tour-notice">360&deg; view isn't available in this browser, showing photos of each room instead.</p>
+                ${scenes.length > 1 ? html`
+                    <div class="virtual-tour-rooms" aria-label="Rooms">
+                        ${scenes.map(scene => html`
+                            <button type="button" class="virtual-tour-room" data-tour-scene="${scene.id}" aria-pressed="false">${scene.title}</button>
+                        `)}
+                    </div>
+                ` : ''}
+            </div>
+        `);
+
+        return modal;
+    }
+}
+
+// Initialize virtual tour instance
+const virtualTour = new VirtualTour();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VirtualTour, virtualTour };
+}
+
+// Make available globally
+window.VirtualTour = VirtualTour;
+window.virtualTour = virtualTour;
@@ -0,0 +1,63 @@
+/**
+ * Wishlist Management
+ * Persists favourite properties in localStorage and keeps open tabs in sync
+ */
+
+class WishlistStore extends PersistedStore {
+    constructor(storageKey = 'valeti:wishlist') {
+        super(storageKey, {
+            label: 'wishlist',
+            validate: item => Boolean(item.id)
+        });
+    }
+
+    /**
+     * Get all saved items, most recently added first
+     * @returns {array} - Wishlist items ({ id, addedAt, property })
+     */
+    getAll() {
+        return [...this.items].sort((a, b) => b.addedAt - a.addedAt);
+    }
+
+    /**
+     * Add a property to the wishlist
+     * @param {object} property - Processed property data
+     */
+    add(property) {
+        if (!property || !property.id || this.has(property.id)) return;
+
+        this.items.push({
+            id: property.id,
+            addedAt: Date.now(),
+            property: property
+        });
+        this.commit();
+    }
+
+    /**
+     * Add or remove a property
+     * @param {object} property - Processed property data
+     * @returns {boolean} - True if the property is now saved
+     */
+    toggle(property) {
+        if (this.has(property.id)) {
+            this.remove(property.id);
+            return false;
+        }
+
+        this.add(property);
+        return true;
+    }
+}
+
+// Initialize wishlist instance
+const wishlistStore = new WishlistStore();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WishlistStore, wishlistStore };
+}
+
+// Make available globally
+window.WishlistStore = WishlistStore;
+window.wishlistStore = wishlistStore;
@@ -0,0 +1,62 @@
+/**
+ * Test DOM
+ * Loads the site scripts into a jsdom window in page order, as the script tags would
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const SCRIPT_DIR = path.join(__dirname, '..', '..', 'assets', 'js');
+
+// Site scripts in index.html order, without the vendor libraries and main.js
+const SITE_SCRIPTS = [
+    'safe-html',
+    'search-filters',
+    'property-model',
+    'price-formatter',
+    'property-sort',
+    'property-categories',
+    'property-facets',
+    'persisted-store',
+    'keyword-search',
+    'recent-searches',
+    'saved-searches',
+    'virtual-tour',
+    'compare-store',
+    'property-compare',
+    'api',
+    'wishlist',
+    'property-grid',
+    'frontend'
+];
+
+/**
+ * Create a window with site scripts loaded
+ * Scripts run after the load event, so DOMContentLoaded handlers such as frontend.js's
+ * auto-initialization don't fire and tests construct what they need
+ * @param {array} scripts - Script names without extension, in page order
+ * @param {object} options - { html: body markup }
+ * @returns {Promise<Window>} - jsdom window
+ */
+async function createWindow(scripts = SITE_SCRIPTS, options = {}) {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+
+    const dom = new JSDOM(`<!DOCTYPE html><html><body>${options.html || ''}</body></html>`, {
+        url: 'https://valeti.test/',
+        runScripts: 'outside-only',
+        virtualConsole: virtualConsole
+    });
+
+    await new Promise(resolve => dom.window.addEventListener('load', resolve));
+
+    scripts.forEach(name => {
+        const source = fs.readFileSync(path.join(SCRIPT_DIR, `${name}.js`), 'utf8');
+        dom.window.eval(`${source}\n//# sourceURL=${name}.js`);
+    });
+
+    return dom.window;
+}
+
+module.exports = { SITE_SCRIPTS, createWindow };
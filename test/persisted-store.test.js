@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow } = require('./helpers/dom');
+
+const STORE_SCRIPTS = ['persisted-store', 'recent-searches', 'wishlist'];
+
+/**
+ * Copy a value from the test window into this realm, so deepStrictEqual compares plain arrays
+ * @param {*} value - JSON value
+ * @returns {*} - Copy
+ */
+function toPlain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+test('stores discard payloads with another version and drop invalid items', async () => {
+    const window = await createWindow(STORE_SCRIPTS);
+
+    window.localStorage.setItem('test:wishlist', JSON.stringify({ version: 2, items: [{ id: 'a' }] }));
+    assert.deepStrictEqual(toPlain(new window.WishlistStore('test:wishlist').getAll()), []);
+
+    window.localStorage.setItem('test:wishlist', JSON.stringify({ version: 1, items: [{ id: 'a', addedAt: 1 }, { title: 'No id' }, null] }));
+    assert.deepStrictEqual(toPlain(new window.WishlistStore('test:wishlist').getAll().map(item => item.id)), ['a']);
+
+    window.localStorage.setItem('test:wishlist', '{not json');
+    assert.deepStrictEqual(toPlain(new window.WishlistStore('test:wishlist').getAll()), []);
+
+    window.close();
+});
+
+test('stores keep at most their limit', async () => {
+    const window = await createWindow(STORE_SCRIPTS);
+    const store = new window.RecentSearchStore('test:recent', 2);
+
+    ['villa', 'garden', 'pool', 'Garden'].forEach(query => store.add(query));
+    assert.strictEqual(store.count(), 2);
+    assert.ok(store.getAll().includes('Garden'));
+
+    const items = [1, 2, 3].map(index => ({ query: `query ${index}`, searchedAt: index }));
+    window.localStorage.setItem('test:recent', JSON.stringify({ version: 1, items: items }));
+    assert.strictEqual(new window.RecentSearchStore('test:recent', 2).count(), 2);
+
+    window.close();
+});
+
+test('stores notify subscribers, including for changes from other tabs', async () => {
+    const window = await createWindow(STORE_SCRIPTS);
+    const store = new window.WishlistStore('test:wishlist');
+    const calls = [];
+
+    store.subscribe(() => {
+        throw new Error('Broken listener');
+    });
+    const unsubscribe = store.subscribe(items => calls.push(toPlain(items.map(item => item.id))));
+
+    store.add({ id: 'a' });
+    assert.deepStrictEqual(calls, [['a']]);
+
+    window.localStorage.setItem('test:wishlist', JSON.stringify({ version: 1, items: [{ id: 'b', addedAt: 1 }] }));
+    window.dispatchEvent(new window.StorageEvent('storage', { key: 'test:wishlist' }));
+    assert.deepStrictEqual(calls, [['a'], ['b']]);
+
+    unsubscribe();
+    store.clear();
+    assert.strictEqual(calls.length, 2);
+
+    window.close();
+});
+
+test('saved searches keep the last visit beside the items', async () => {
+    const window = await createWindow([...STORE_SCRIPTS, 'saved-searches']);
+    const store = new window.SavedSearchStore('test:saved');
+
+    assert.strictEqual(store.lastVisitAt, null);
+    store.add('Villas', { category: 'villa' });
+    const { isNewVisit } = store.startVisit();
+    assert.strictEqual(isNewVisit, true);
+
+    const reloaded = new window.SavedSearchStore('test:saved');
+    assert.strictEqual(reloaded.lastVisitAt, store.lastVisitAt);
+    assert.strictEqual(reloaded.count(), 1);
+
+    window.close();
+});
+
+test('the comparison refuses properties past its limit', async () => {
+    const window = await createWindow([...STORE_SCRIPTS, 'compare-store']);
+    const store = new window.CompareStore('test:compare', 2);
+
+    assert.strictEqual(store.add({ id: 'a' }), true);
+    assert.strictEqual(store.add({ id: 'b' }), true);
+    assert.strictEqual(store.add({ id: 'c' }), false);
+    assert.strictEqual(store.isFull(), true);
+    assert.deepStrictEqual(toPlain(store.getAll().map(item => item.id)), ['a', 'b']);
+
+    window.close();
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow } = require('./helpers/dom');
+
+test('the price range covers listings past the first page', async () => {
+    const window = await createWindow();
+    const api = window.propertyAPI;
+    const catalog = Array.from({ length: 150 }, (_, i) => ({ id: `p${i}`, title: `Villa ${i}`, price: 1000 + i }));
+
+    api.endpoints.priceStats = null;
+    api.makeAPICall = async (endpoint, params) => {
+        const start = (params.page - 1) * params.limit;
+        return {
+            success: true,
+            data: {
+                properties: catalog.slice(start, start + params.limit),
+                pagination: { page: params.page, limit: params.limit, total: catalog.length }
+            }
+        };
+    };
+
+    const result = await api.getPriceRange();
+    assert.strictEqual(result.data.min, 1000);
+    assert.strictEqual(result.data.max, 1149);
+
+    window.close();
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow } = require('./helpers/dom');
+
+test('failed detail payloads keep the server message and error code', async () => {
+    const window = await createWindow();
+
+    const result = window.propertyAPI.processPropertyDetailData({
+        success: false,
+        error: 'Listing is under review',
+        code: 'LISTING_LOCKED'
+    });
+
+    assert.strictEqual(result.errorType, 'api');
+    assert.strictEqual(result.error, 'Listing is under review');
+    assert.strictEqual(result.code, 'LISTING_LOCKED');
+    assert.strictEqual(window.getAPIErrorMessage(result), 'Listing is under review');
+
+    window.close();
+});
+
+test('detail payloads that report a missing property are not found', async () => {
+    const window = await createWindow();
+    const api = window.propertyAPI;
+
+    [
+        { success: false, message: 'No such property', code: 'PROPERTY_NOT_FOUND' },
+        { success: false, error: { message: 'No such property', status: 404 } },
+        { success: true, data: null }
+    ].forEach(response => {
+        assert.strictEqual(api.processPropertyDetailData(response).errorType, 'not-found', JSON.stringify(response));
+    });
+
+    window.close();
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow } = require('./helpers/dom');
+
+/**
+ * Create a sized map without touching layout, which jsdom does not compute
+ * @param {Window} window - Test window
+ * @param {object} options - Map options
+ * @returns {PropertyMap} - Map
+ */
+function createMap(window, options = {}) {
+    const map = new window.PropertyMap(window.document.createElement('div'), options);
+    map.width = 800;
+    map.height = 400;
+    return map;
+}
+
+test('the map draws coastlines without a tile server', async () => {
+    const window = await createWindow(['safe-html', 'property-map']);
+    const map = createMap(window);
+    const svg = window.document.createElement('div');
+    window.setHTML(svg, map.createBaseHTML());
+
+    const land = svg.querySelector('.property-map-land');
+    assert.ok(land, 'coastlines are drawn');
+    // One closed outline per land mass
+    const outlines = land.getAttribute('d').split('Z').filter(Boolean);
+    assert.ok(outlines.length > 10);
+    outlines.forEach(outline => assert.match(outline, /^M-?[\d.]+ -?[\d.]+(L-?[\d.]+ -?[\d.]+)+$/));
+    assert.strictEqual(svg.querySelectorAll('image').length, 0);
+    // Water, then land, then grid lines over it
+    assert.deepStrictEqual(
+        Array.from(svg.querySelector('svg').children).map(element => element.getAttribute('class')),
+        ['property-map-world', 'property-map-land', 'property-map-grid']
+    );
+
+    window.close();
+});
+
+test('configured tiles are drawn over the coastlines', async () => {
+    const window = await createWindow(['safe-html', 'property-map']);
+    const map = createMap(window, { tileUrl: 'https://tiles.example.com/{z}/{x}/{y}.png' });
+    const svg = window.document.createElement('div');
+    window.setHTML(svg, map.createBaseHTML());
+
+    const classes = Array.from(svg.querySelector('svg').children).map(element => element.getAttribute('class') || element.tagName);
+    assert.ok(classes.indexOf('image') > classes.indexOf('property-map-land'));
+
+    window.close();
+});
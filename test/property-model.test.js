@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow } = require('./helpers/dom');
+
+test('prices with ambiguous separators are rejected and reported', async () => {
+    const window = await createWindow(['property-model']);
+    const normalizer = new window.PropertyNormalizer();
+
+    [['1,250,000', 1250000], ['$450000', 450000], ['450000.50', 450000.5], ['USD 1,250', 1250]].forEach(([price, amount]) => {
+        const { property, issues } = normalizer.normalize({ id: 'a', price });
+        assert.strictEqual(property.price.amount, amount, price);
+        assert.strictEqual(issues.length, 0, price);
+    });
+
+    ['1.250.000', '1,250.50 €', '1.250', '1250,50'].forEach(price => {
+        const { property, issues } = normalizer.normalize({ id: 'a', price });
+        assert.strictEqual(property.price.kind, 'on-request', price);
+        assert.ok(issues.includes('invalid price'), price);
+    });
+
+    window.close();
+});
+
+test('invalid feature values are reported', async () => {
+    const window = await createWindow(['property-model']);
+    const normalizer = new window.PropertyNormalizer();
+
+    const { property, issues } = normalizer.normalize({ id: 'a', features: { bedrooms: 'many', bathrooms: 2 } });
+
+    assert.strictEqual(property.features.bedrooms, null);
+    assert.strictEqual(property.features.bathrooms, 2);
+    assert.ok(issues.includes('invalid features.bedrooms'));
+
+    window.close();
+});
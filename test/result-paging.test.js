@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow } = require('./helpers/dom');
+
+/**
+ * Copy a value from the test window into this realm, so deepStrictEqual compares plain objects
+ * @param {*} value - JSON value
+ * @returns {*} - Copy
+ */
+function toPlain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+const CATALOG = [
+    { id: 'a', title: 'Villa A', price: 500, features: { bedrooms: 3 } },
+    { id: 'b', title: 'Villa B', price: 100, features: { bedrooms: 2 } },
+    { id: 'c', title: 'Villa C', price: 400, features: { bedrooms: 3 } },
+    { id: 'd', title: 'Villa D', price: 200, features: { bedrooms: 2 } },
+    { id: 'e', title: 'Villa E', price: 300, features: { bedrooms: 3 } }
+];
+
+/**
+ * Create a paged grid backed by a fake catalog
+ * @param {object} sortOptions - API sort options
+ * @param {string} controls - Markup placed before the grid, e.g. the facet panel
+ * @returns {Promise<object>} - { window, display, requests: listing params per API call }
+ */
+async function createPagedGrid(sortOptions = { server: false, param: 'sort' }, controls = '') {
+    const window = await createWindow(undefined, {
+        html: `${controls}<div id="properties-container" data-paging="pages" data-page-size="2"></div>`
+    });
+    const api = window.propertyAPI;
+    const requests = [];
+
+    api.sortOptions = sortOptions;
+    api.makeAPICall = async (endpoint, params) => {
+        requests.push(params);
+        const start = (params.page - 1) * params.limit;
+        return {
+            success: true,
+            data: {
+                properties: CATALOG.slice(start, start + params.limit),
+                pagination: { page: params.page, limit: params.limit, total: CATALOG.length }
+            }
+        };
+    };
+
+    const display = new window.PropertyDisplay();
+    display.grid = new window.PropertyGrid(window.document.getElementById('properties-container'));
+    return { window, display, requests };
+}
+
+/**
+ * Get the ids of the cards in the grid
+ * @param {Window} window - Test window
+ * @returns {array} - Property ids in grid order
+ */
+function getCardIds(window) {
+    return Array.from(window.document.querySelectorAll('#properties-container .filter-item'))
+        .map(card => card.getAttribute('data-property-id'));
+}
+
+test('client sort orders the whole result set before cutting pages', async () => {
+    const { window, display, requests } = await createPagedGrid();
+
+    await display.sortProperties('price-asc');
+    assert.deepStrictEqual(getCardIds(window), ['b', 'd']);
+    assert.strictEqual(display.pagination.totalPages, 3);
+    assert.ok(requests.every(params => params.limit === 100));
+
+    const requestCount = requests.length;
+    await display.loadPage(2);
+    assert.deepStrictEqual(getCardIds(window), ['e', 'c']);
+
+    await display.sortProperties('price-desc');
+    assert.deepStrictEqual(getCardIds(window), ['a', 'c']);
+    assert.strictEqual(display.pagination.page, 1);
+    assert.strictEqual(requests.length, requestCount, 'the loaded result set is re-sorted without a request');
+
+    window.close();
+});
+
+test('server sort requests sorted pages', async () => {
+    const { window, display, requests } = await createPagedGrid({ server: true, param: 'sort' });
+
+    await display.sortProperties('price-asc');
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].limit, 2);
+    assert.strictEqual(requests[0].sort, window.propertySorter.toAPIParam('price-asc'));
+    assert.strictEqual(display.resultSet, null);
+
+    window.close();
+});
+
+test('result sets too large to page on the client fall back to server pages', async () => {
+    const { window, display, requests } = await createPagedGrid();
+    const getAllResults = display.api.getAllResults.bind(display.api);
+    display.api.getAllResults = (criteria, options) => getAllResults(criteria, { ...options, maxResults: 3 });
+
+    await display.sortProperties('price-asc');
+    assert.strictEqual(display.resultSet.complete, false);
+    assert.strictEqual(requests[requests.length - 1].limit, 2);
+    assert.strictEqual(getCardIds(window).length, 2);
+
+    window.close();
+});
+
+/**
+ * Get the count shown on a facet value button
+ * @param {Window} window - Test window
+ * @param {string} key - Facet key
+ * @param {string} value - Facet value
+ * @returns {number|null} - Shown count, null when the button has none
+ */
+function getFacetCount(window, key, value) {
+    const button = window.document.querySelector(`[data-facet="${key}"] [data-facet-value="${value}"]`);
+    const count = button.querySelector('.facet-count');
+    return count ? Number(count.textContent) : null;
+}
+
+test('server pages show facets without counts', async () => {
+    const { window, display, requests } = await createPagedGrid(undefined, '<div id="property-facets"></div>');
+
+    await display.loadPage(1);
+    assert.deepStrictEqual(toPlain(requests), [{ limit: 2, page: 1 }]);
+    assert.strictEqual(getCardIds(window).length, 2);
+    assert.strictEqual(getFacetCount(window, 'bedrooms', '3'), null);
+    assert.strictEqual(display.resultSet, null);
+
+    window.close();
+});
+
+test('picking a facet filters and counts every page', async () => {
+    const { window, display, requests } = await createPagedGrid(undefined, '<div id="property-facets"></div>');
+
+    await display.loadPage(1);
+    await display.toggleFacetValue('bedrooms', '3');
+    assert.deepStrictEqual(getCardIds(window), ['a', 'c']);
+    assert.strictEqual(display.pagination.total, 3);
+    assert.strictEqual(display.pagination.totalPages, 2);
+    assert.strictEqual(getFacetCount(window, 'bedrooms', '3'), 3);
+    assert.strictEqual(getFacetCount(window, 'bedrooms', '2'), 2);
+
+    const requestCount = requests.length;
+    await display.loadPage(2);
+    assert.deepStrictEqual(getCardIds(window), ['e']);
+    assert.strictEqual(requests.length, requestCount, 'facets filter the loaded result set without a request');
+
+    await display.clearFacets();
+    assert.strictEqual(requests[requests.length - 1].limit, 2, 'clearing the facets goes back to server pages');
+    assert.strictEqual(getFacetCount(window, 'bedrooms', '3'), null);
+
+    window.close();
+});
+
+test('price range and facets combine over the full result set', async () => {
+    const { window, display } = await createPagedGrid(undefined, '<div id="property-facets"></div>');
+
+    await display.loadPage(1);
+    await display.updateCriteria({ maxPrice: 300 });
+    await display.toggleFacetValue('bedrooms', '3');
+    assert.deepStrictEqual(getCardIds(window), ['e']);
+    assert.strictEqual(getFacetCount(window, 'bedrooms', '3'), 1);
+    assert.strictEqual(getFacetCount(window, 'bedrooms', '2'), 2);
+
+    window.close();
+});
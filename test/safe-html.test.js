@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow } = require('./helpers/dom');
+
+const HOSTILE_TITLE = '<img src=x onerror=alert(1)>';
+
+/**
+ * Render a card into a fresh container
+ * @param {Window} window - Test window
+ * @param {SafeHTML} markup - Card markup
+ * @returns {HTMLElement} - Container holding the card
+ */
+function renderCard(window, markup) {
+    const container = window.document.createElement('div');
+    window.document.body.appendChild(container);
+    window.setHTML(container, markup);
+    return container;
+}
+
+test('property cards show an HTML title as text', async () => {
+    const window = await createWindow();
+    const display = new window.PropertyDisplay();
+    const { property } = window.propertyNormalizer.normalize({
+        id: 'p-1',
+        title: HOSTILE_TITLE,
+        price: 250000,
+        images: [{ url: 'assets/img/a.jpg' }]
+    });
+    const safeProperty = { ...property, title: 'Safe title' };
+
+    [
+        [display.createPropertyCard(property), display.createPropertyCard(safeProperty)],
+        [display.createFeaturedPropertyCard(property), display.createFeaturedPropertyCard(safeProperty)]
+    ].forEach(([markup, expected]) => {
+        const card = renderCard(window, markup);
+        const title = card.querySelector('[data-highlight="title"]');
+
+        assert.strictEqual(title.textContent, HOSTILE_TITLE);
+        assert.strictEqual(title.children.length, 0);
+        assert.strictEqual(card.querySelector('img[onerror="alert(1)"]'), null);
+        assert.strictEqual(card.querySelector('img[src="x"]'), null);
+        // Only the template's own images are created
+        assert.strictEqual(card.querySelectorAll('img').length, renderCard(window, expected).querySelectorAll('img').length);
+        card.querySelectorAll('.popular-popup-image img').forEach(img => assert.strictEqual(img.getAttribute('alt'), HOSTILE_TITLE));
+    });
+
+    window.close();
+});
+
+test('safeURL rejects script and data image URLs', async () => {
+    const window = await createWindow(['safe-html']);
+    const fallback = 'assets/img/popular/popular-1-1.jpg';
+
+    [
+        'javascript:alert(1)',
+        'JavaScript:alert(1)',
+        'java\tscript:alert(1)',
+        ' javascript:alert(1)',
+        'data:image/svg+xml,<svg onload=alert(1)>',
+        'data:image/png;base64,iVBORw0KGgo='
+    ].forEach(url => {
+        assert.strictEqual(window.safeURL(url, { fallback }), fallback, url);
+    });
+
+    window.close();
+});
+
+test('safeURL keeps relative and https image URLs', async () => {
+    const window = await createWindow(['safe-html']);
+
+    [
+        'assets/img/a.jpg',
+        '/img/a.jpg',
+        '../img/a.jpg',
+        'https://example.com/a.jpg'
+    ].forEach(url => {
+        assert.strictEqual(window.safeURL(url, { fallback: 'fallback.jpg' }), url);
+    });
+
+    window.close();
+});
+
+test('property cards fall back when the image URL is unsafe', async () => {
+    const window = await createWindow();
+    const display = new window.PropertyDisplay();
+    const { property } = window.propertyNormalizer.normalize({
+        id: 'p-2',
+        title: 'Villa',
+        images: [{ url: 'javascript:alert(1)' }, { url: 'data:image/svg+xml,<svg onload=alert(1)>' }]
+    });
+
+    const card = renderCard(window, display.createPropertyCard(property));
+    card.querySelectorAll('img, a').forEach(element => {
+        const url = element.getAttribute('src') || element.getAttribute('href') || '';
+        assert.doesNotMatch(url, /^\s*(javascript|data):/i);
+    });
+    assert.strictEqual(card.querySelector('.popular-popup-image img').getAttribute('src'), 'assets/img/popular/popular-1-1.jpg');
+
+    window.close();
+});
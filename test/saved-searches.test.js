@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow } = require('./helpers/dom');
+
+const CATALOG = Array.from({ length: 150 }, (_, i) => ({
+    id: `p${i}`,
+    title: `Villa ${i}`,
+    price: 1000 + i,
+    createdAt: '2024-05-01T00:00:00Z'
+}));
+
+/**
+ * Create a display with one saved search, backed by a fake catalog
+ * @param {object} criteria - Saved search criteria
+ * @param {string} html - Page markup, e.g. the category menu
+ * @returns {Promise<object>} - { window, display, store }
+ */
+async function createSavedSearchDisplay(criteria, html = '') {
+    const window = await createWindow(undefined, { html });
+
+    window.localStorage.setItem('test:saved-searches', JSON.stringify({
+        version: 1,
+        lastVisitAt: Date.parse('2024-01-01T00:00:00Z'),
+        items: [{ id: 's1', name: 'Villas', criteria, savedAt: 1, lastRunAt: 1, newCount: 0, checkedAt: null }]
+    }));
+
+    window.propertyAPI.makeAPICall = async (endpoint, params) => {
+        const start = (params.page - 1) * params.limit;
+        return {
+            success: true,
+            data: {
+                properties: CATALOG.slice(start, start + params.limit),
+                pagination: { page: params.page, limit: params.limit, total: CATALOG.length }
+            }
+        };
+    };
+
+    const display = new window.PropertyDisplay();
+    const store = new window.SavedSearchStore('test:saved-searches');
+    display.savedSearches = store;
+    return { window, display, store };
+}
+
+test('new listings are counted over every result, not the first page', async () => {
+    const { window, display, store } = await createSavedSearchDisplay({ purpose: 'sale' });
+
+    await display.checkSavedSearches();
+    assert.strictEqual(store.get('s1').newCount, CATALOG.length);
+
+    window.close();
+});
+
+test('saved search names show prices in the catalog currency', async () => {
+    const { window, display } = await createSavedSearchDisplay({});
+
+    display.priceRange = { min: 0, max: 1000000, step: 1000, currency: 'EUR' };
+    const name = display.describeSearch({ minPrice: 200000 });
+    assert.strictEqual(name, `From ${display.priceFormatter.formatAmount(200000, 'EUR')}`);
+    assert.ok(!name.includes('$'), name);
+
+    window.close();
+});
+
+test('running a saved search syncs the category menu and the sort dropdown', async () => {
+    const { window, display } = await createSavedSearchDisplay({ category: 'apartment' }, `
+        <div class="filter-menu">
+            <button data-filter="*" class="active" type="button">View All</button>
+            <button data-filter=".apartment" type="button">Apartment</button>
+        </div>
+        <select id="sort-properties"><option value="">Default</option></select>
+    `);
+
+    display.setupSortSelect();
+    display.currentSort = 'price-asc';
+    await display.runSavedSearch('s1');
+
+    const active = window.document.querySelector('.filter-menu .active');
+    assert.strictEqual(active.getAttribute('data-filter'), display.getActiveFilter());
+    assert.strictEqual(display.getActiveFilter(), '.apartment');
+    assert.strictEqual(window.document.getElementById('sort-properties').value, 'price-asc');
+
+    window.close();
+});